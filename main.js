@@ -55,6 +55,9 @@ class BitsDraw {
         // Initialize Custom Font Manager (Phase 3)
         this.customFontManager = TextRenderer.initializeCustomFontManager(this);
         
+        // Glyph editor window for custom fonts
+        this.fontEditor = new FontEditor(this);
+        
         // Setup real-time thumbnail updates
         this.setupRealtimeThumbnails();
         
@@ -105,10 +108,34 @@ class BitsDraw {
         this.circleDrawBorder = true;
         this.circleDrawFill = false;
         
+        // Selection combine mode shared by all selection tools; Shift/Alt override it per click
+        this.selectionMode = 'replace'; // 'replace', 'add', 'subtract' or 'intersect'
+        this.selectionCombineMode = 'replace'; // Mode captured when the current selection gesture started
+        this.wandContiguous = true;
+        this.wandMatchAlpha = true; // Match pixel + alpha, or the pixel value only
+        this.wandConnectivity = 4;
+        
+        // Free transform of the selection; null unless a transform is in progress
+        this.freeTransform = null;
+        this.freeTransformMethod = 'rotsprite'; // 'rotsprite' or 'nearest'
+        
+        // Polyline/polygon and Bézier tools keep their shape editable until it is drawn
+        this.polylinePoints = null; // Vertices placed so far
+        this.polylineCursor = null; // Rubber-band end point
+        this.polylineDrawValue = 0;
+        this.polylineClosed = false;
+        this.polylineBorder = true;
+        this.polylineFill = false;
+        this.bezierCurve = null; // { points: [start, control1, control2, end], dragIndex, creating, drawValue }
+        
         // Unified Shapes Tool state management
         this.currentShapeMode = 'rectangle'; // 'rectangle' or 'circle'
         this.unifiedShapeBorder = true;      // Unified border setting
         this.unifiedShapeFill = false;       // Unified fill setting
+        this.shapeCornerRadius = 0;          // Rounded rectangle radius, drawn like u8g2 drawRBox/drawRFrame
+        this.circleArcMode = false;          // Circle mode draws an arc/pie like u8g2 drawArc
+        this.arcStartAngle = 0;              // Degrees, counter-clockwise from 3 o'clock
+        this.arcEndAngle = 90;
         this.shapeSpecificSettings = {
             rectangle: {
                 // Rectangle-specific settings
@@ -231,7 +258,11 @@ class BitsDraw {
                 draw_color: '#333333',
                 background_color: '#DDDDDD'
             },
-            // Playdate display mode removed
+            'playdate': {
+                name: 'Playdate',
+                draw_color: '#312F28',
+                background_color: '#B1AEA7'
+            }
         };
         
         this.initializeEventListeners();
@@ -251,7 +282,6 @@ class BitsDraw {
         this.setupToolOptions();
         this.setupNewCanvasDialog();
         this.setupCppExportDialog();
-        this.setupCppImportDialog();
         this.setupImageImportDialog();
         this.setupDitheringDialog();
         this.setupFileImport();
@@ -362,6 +392,10 @@ class BitsDraw {
         ];
         this.currentSheetId = 1;
         
+        // Working sheet outside the project, such as the font editor's glyph canvas.
+        // It can be made current but is never listed, exported or saved.
+        this.editorSheet = null;
+        
         // Setup event listeners
         this.setupSheetsEventListeners();
         
@@ -560,6 +594,14 @@ class BitsDraw {
     }
 
     setupSheetsEventListeners() {
+        // Sheet actions read and copy the active sheet, so a free transform in progress is
+        // applied first; otherwise its lifted pixels would be missing from the sheet
+        document.getElementById('sheets-panel').addEventListener('mousedown', () => {
+            if (this.freeTransform) {
+                this.applyFreeTransform();
+            }
+        }, true);
+
         // Add new sheet button
         document.getElementById('add-sheet-btn').addEventListener('click', () => {
             this.addNewSheet();
@@ -606,21 +648,7 @@ class BitsDraw {
         const newId = Math.max(...this.sheets.map(s => s.id)) + 1;
         
         // Create background layer based on project background type
-        let backgroundPixels, backgroundAlpha;
-        
-        if (this.projectBackgroundType === 'transparent') {
-            // Transparent background
-            backgroundPixels = new Uint8Array(this.editor.width * this.editor.height); // All 0 (white)
-            backgroundAlpha = new Uint8Array(this.editor.width * this.editor.height); // All 0 (transparent)
-        } else if (this.projectBackgroundType === 'black') {
-            // Black background
-            backgroundPixels = new Uint8Array(this.editor.width * this.editor.height).fill(1); // All 1 (black)
-            backgroundAlpha = new Uint8Array(this.editor.width * this.editor.height).fill(1); // All 1 (opaque)
-        } else {
-            // White background (default)
-            backgroundPixels = new Uint8Array(this.editor.width * this.editor.height); // All 0 (white)
-            backgroundAlpha = new Uint8Array(this.editor.width * this.editor.height).fill(1); // All 1 (opaque)
-        }
+        const background = this.createSheetBackground(this.editor.width, this.editor.height);
         
         const newSheet = {
             id: newId,
@@ -633,8 +661,8 @@ class BitsDraw {
                     name: 'Background',
                     visible: true,
                     blendMode: 'normal',
-                    pixels: backgroundPixels,
-                    alpha: backgroundAlpha
+                    pixels: background.pixels,
+                    alpha: background.alpha
                 },
                 {
                     id: 2,
@@ -662,6 +690,108 @@ class BitsDraw {
         }
     }
 
+    /**
+     * Add imported bitmaps ({ name, width, height, pixels }) as new sheets,
+     * each at its own size with the bitmap on an opaque layer
+     */
+    importBitmapsAsSheets(bitmaps) {
+        if (!bitmaps || bitmaps.length === 0) return;
+        
+        this.saveCurrentSheetState();
+        let nextId = Math.max(...this.sheets.map(s => s.id)) + 1;
+        const firstId = nextId;
+        
+        bitmaps.forEach(bitmap => {
+            const { width, height } = bitmap;
+            const background = this.createSheetBackground(width, height);
+            const imported = this.createImportedLayerData(bitmap, width, height);
+            
+            this.sheets.push({
+                id: nextId,
+                name: bitmap.name,
+                width,
+                height,
+                layers: [
+                    {
+                        id: 1,
+                        name: 'Background',
+                        visible: true,
+                        blendMode: 'normal',
+                        pixels: background.pixels,
+                        alpha: background.alpha
+                    },
+                    {
+                        id: 2,
+                        name: bitmap.name,
+                        visible: true,
+                        blendMode: 'normal',
+                        pixels: imported.pixels,
+                        alpha: imported.alpha
+                    }
+                ]
+            });
+            nextId++;
+        });
+        
+        this.renderSheetsList();
+        this.switchToSheet(firstId);
+        
+        if (this.animationState) {
+            this.updateAnimationUI();
+        }
+        
+        if (this.menuManager) {
+            this.menuManager.updateExportGifMenuState();
+        }
+    }
+
+    /**
+     * Add imported bitmaps as new layers of the current sheet, clipped
+     * to the canvas at the top-left corner
+     */
+    importBitmapsAsLayers(bitmaps) {
+        if (!bitmaps || bitmaps.length === 0) return;
+        
+        bitmaps.forEach(bitmap => {
+            const layer = this.editor.addLayer(bitmap.name);
+            const imported = this.createImportedLayerData(bitmap, this.editor.width, this.editor.height);
+            layer.pixels.set(imported.pixels);
+            layer.alpha.set(imported.alpha);
+        });
+        
+        this.editor.markCompositeDirtyFull();
+        this.editor.scheduleRender();
+        this.updateLayersList();
+        this.updateOutput();
+    }
+
+    createSheetBackground(width, height) {
+        const size = width * height;
+        if (this.projectBackgroundType === 'transparent') {
+            return { pixels: new Uint8Array(size), alpha: new Uint8Array(size) };
+        }
+        if (this.projectBackgroundType === 'black') {
+            return { pixels: new Uint8Array(size).fill(1), alpha: new Uint8Array(size).fill(1) };
+        }
+        return { pixels: new Uint8Array(size), alpha: new Uint8Array(size).fill(1) };
+    }
+
+    createImportedLayerData(bitmap, width, height) {
+        const pixels = new Uint8Array(width * height);
+        const alpha = new Uint8Array(width * height);
+        const copyWidth = Math.min(width, bitmap.width);
+        const copyHeight = Math.min(height, bitmap.height);
+        
+        for (let y = 0; y < copyHeight; y++) {
+            for (let x = 0; x < copyWidth; x++) {
+                pixels[y * width + x] = bitmap.pixels[y][x] ? 1 : 0;
+                alpha[y * width + x] = bitmap.alpha && !bitmap.alpha[y][x] ? 0 : 1;
+            }
+        }
+        
+        return { pixels, alpha };
+    }
+
     duplicateCurrentSheet() {
         const currentSheet = this.sheets.find(s => s.id === this.currentSheetId);
         if (!currentSheet) return;
@@ -739,6 +869,11 @@ class BitsDraw {
     switchToSheet(sheetId) {
         if (this.currentSheetId === sheetId) return;
         
+        // The lifted pixels belong to this sheet, so stamp them before it is saved
+        if (this.freeTransform) {
+            this.applyFreeTransform();
+        }
+        
         // Save current sheet state
         this.saveCurrentSheetState();
         
@@ -761,8 +896,18 @@ class BitsDraw {
         }
     }
 
+    /**
+     * Find a project sheet, or the editor sheet, by ID
+     */
+    findSheet(sheetId) {
+        if (this.editorSheet && this.editorSheet.id === sheetId) {
+            return this.editorSheet;
+        }
+        return this.sheets.find(s => s.id === sheetId);
+    }
+
     saveCurrentSheetState() {
-        const currentSheet = this.sheets.find(s => s.id === this.currentSheetId);
+        const currentSheet = this.findSheet(this.currentSheetId);
         if (!currentSheet) return;
         
         // Save current editor dimensions
@@ -781,7 +926,7 @@ class BitsDraw {
     }
 
     loadSheet(sheetId) {
-        const sheet = this.sheets.find(s => s.id === sheetId);
+        const sheet = this.findSheet(sheetId);
         if (!sheet) return;
         
         // Resize editor if needed
@@ -897,13 +1042,29 @@ class BitsDraw {
                 return;
             }
             
+            // The transform box takes all left clicks while a free transform is in progress
+            if (this.freeTransform) {
+                if (e.button === 0) {
+                    this.startFreeTransformDrag(e);
+                }
+                return;
+            }
+            
             const coords = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
             this.startPos = coords;
             
+            // Shift/Alt (or a combine mode) with a selection tool start a combined selection instead of a drag
+            // A polygon in progress keeps the mode it started with and never drags
+            const isSelectionTool = this.isSelectionTool(this.currentTool);
+            if (isSelectionTool && !this.polygonSelectionPoints) {
+                this.selectionCombineMode = this.getSelectionCombineMode(e);
+            }
+            const isCombining = isSelectionTool && (this.selectionCombineMode !== 'replace' || this.polygonSelectionPoints);
+            
             // Check if clicking on existing selection for dragging
-            if (this.selection && this.editor.isInSelection(coords.x, coords.y, this.selection)) {
-                if (e.shiftKey) {
-                    // Shift+drag = move selection graphics
+            if (this.selection && !isCombining && this.editor.isInSelection(coords.x, coords.y, this.selection)) {
+                if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                    // Shift/Ctrl+drag = move selection graphics
                     this.isDraggingSelectionGraphics = true;
                 } else {
                     // Normal drag = move selection bounds
@@ -924,9 +1085,25 @@ class BitsDraw {
             } else if (this.currentTool === 'guide') {
                 this.globalMouseTracking = true; // Enable global tracking for guide creation
                 this.startGuideCreation(e);
-            } else if (['shapes', 'line', 'select-rect', 'select-circle'].includes(this.currentTool)) {
+            } else if (this.currentTool === 'select-polygon') {
+                // Each click places a vertex; double-click closes the polygon
+                this.addPolygonSelectionPoint(coords, e.detail > 1);
+            } else if (this.currentTool === 'select-wand') {
+                this.applySelection(this.editor.createWandSelection(coords.x, coords.y, {
+                    contiguous: this.wandContiguous,
+                    matchAlpha: this.wandMatchAlpha,
+                    connectivity: this.wandConnectivity
+                }));
+            } else if (this.currentTool === 'polyline') {
+                this.addPolylinePoint(coords, e);
+            } else if (this.currentTool === 'bezier') {
+                this.startBezierDrag(coords, e);
+            } else if (['shapes', 'line', 'select-rect', 'select-circle', 'select-lasso'].includes(this.currentTool)) {
                 this.isDrawing = true;
                 this.globalMouseTracking = true; // Enable global tracking for shapes
+                if (this.currentTool === 'select-lasso') {
+                    this.startLassoSelection(coords);
+                }
             } else {
                 this.isDrawing = true;
                 this.globalMouseTracking = true; // Enable global tracking
@@ -945,6 +1122,11 @@ class BitsDraw {
                 this.updatePanning(e);
             } else if (this.isPanningCanvas) {
                 this.updateCanvasPan(e);
+            } else if (this.freeTransform) {
+                // Dragging is handled by the document listener so it continues outside the canvas
+                if (!this.freeTransform.drag) {
+                    this.updateFreeTransformCursor(e);
+                }
             } else if (this.isMovingLayer) {
                 this.updateLayerMove(e);
             } else if (this.isCreatingGuide) {
@@ -957,8 +1139,20 @@ class BitsDraw {
             } else if (this.isDraggingSelectionGraphics) {
                 const coords = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
                 this.moveSelectionGraphics(coords);
+            } else if (this.polygonSelectionPoints) {
+                this.polygonSelectionCursor = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
+                this.drawSelectionPathPreview();
+            } else if (this.polylinePoints) {
+                const coords = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
+                if (coords.x !== this.polylineCursor.x || coords.y !== this.polylineCursor.y) {
+                    this.polylineCursor = coords;
+                    this.drawPendingShapePreview();
+                }
             } else if (this.isDrawing) {
-                if (this.currentTool === 'line' && this.startPos) {
+                if (this.currentTool === 'select-lasso') {
+                    const coords = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
+                    this.updateLassoSelection(coords);
+                } else if (this.currentTool === 'line' && this.startPos) {
                     const coords = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
                     // Throttle preview updates for performance
                     if (!this.previewThrottleTime || Date.now() - this.previewThrottleTime >= 16) {
@@ -987,6 +1181,10 @@ class BitsDraw {
                 this.stopPanning();
             } else if (this.isPanningCanvas) {
                 this.stopCanvasPan();
+            } else if (this.freeTransform) {
+                this.endFreeTransformDrag();
+            } else if (this.bezierCurve) {
+                this.endBezierDrag();
             } else if (this.isMovingLayer) {
                 this.stopLayerMove();
             } else if (this.isCreatingGuide) {
@@ -1001,7 +1199,7 @@ class BitsDraw {
                 this.isDraggingSelectionGraphics = false;
                 this.selectionDragStart = null;
                 this.editor.saveState();
-            } else if (this.isDrawing && ['shapes', 'line', 'select-rect', 'select-circle'].includes(this.currentTool)) {
+            } else if (this.isDrawing && ['shapes', 'line', 'select-rect', 'select-circle', 'select-lasso'].includes(this.currentTool)) {
                 const coords = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
                 
                 if (this.currentTool === 'shapes') {
@@ -1011,7 +1209,9 @@ class BitsDraw {
                     
                     if (this.currentShapeMode === 'rectangle') {
                         // Rectangle mode - use unified border/fill settings
-                        if (this.unifiedShapeBorder && !this.unifiedShapeFill) {
+                        if (this.shapeCornerRadius > 0) {
+                            this.editor.drawShapePixels(this.getU8g2ShapePixels(this.startPos.x, this.startPos.y, coords.x, coords.y, drawValue));
+                        } else if (this.unifiedShapeBorder && !this.unifiedShapeFill) {
                             // Border only
                             this.editor.drawRect(this.startPos.x, this.startPos.y, coords.x, coords.y, false, true, this.currentPattern, drawValue);
                         } else if (this.unifiedShapeFill && !this.unifiedShapeBorder) {
@@ -1027,7 +1227,9 @@ class BitsDraw {
                             this.startPos.x, this.startPos.y, coords.x, coords.y, 
                             this.shiftPressed, this.altPressed
                         );
-                        if (this.unifiedShapeBorder && !this.unifiedShapeFill) {
+                        if (this.circleArcMode) {
+                            this.editor.drawShapePixels(this.getU8g2ShapePixels(this.startPos.x, this.startPos.y, coords.x, coords.y, drawValue));
+                        } else if (this.unifiedShapeBorder && !this.unifiedShapeFill) {
                             // Border only
                             this.editor.drawEllipse(centerX, centerY, radiusX, radiusY, false, true, this.currentPattern, drawValue);
                         } else if (this.unifiedShapeFill && !this.unifiedShapeBorder) {
@@ -1051,8 +1253,7 @@ class BitsDraw {
                     // Defer updateOutput to avoid blocking
                     requestAnimationFrame(() => this.updateOutput());
                 } else if (this.currentTool === 'select-rect') {
-                    this.selection = this.editor.createSelection(this.startPos.x, this.startPos.y, coords.x, coords.y, 'rect');
-                    this.drawSelectionOverlay();
+                    this.applySelection(this.editor.createSelection(this.startPos.x, this.startPos.y, coords.x, coords.y, 'rect'));
                 } else if (this.currentTool === 'select-circle') {
                     const { centerX, centerY, radiusX, radiusY } = this.calculateEllipseParams(
                         this.startPos.x, this.startPos.y, coords.x, coords.y, 
@@ -1060,10 +1261,12 @@ class BitsDraw {
                     );
                     // For now, use the smaller radius to maintain compatibility with circular selections
                     const radius = Math.min(radiusX, radiusY);
-                    this.selection = this.editor.createCircleSelection(centerX, centerY, radius);
-                    this.drawSelectionOverlay();
+                    this.applySelection(this.editor.createCircleSelection(centerX, centerY, radius));
+                } else if (this.currentTool === 'select-lasso') {
+                    this.updateLassoSelection(coords);
+                    this.finishLassoSelection();
                 }
-            } else if (this.isDrawing && !['rect', 'circle', 'line', 'select-rect', 'select-circle'].includes(this.currentTool)) {
+            } else if (this.isDrawing && !['rect', 'circle', 'line', 'select-rect', 'select-circle', 'select-lasso'].includes(this.currentTool)) {
                 // Handle mouseup for drawing tools (brush, pencil, eraser, spray, blur)
                 this.handleCanvasClick(e);
             }
@@ -1093,6 +1296,17 @@ class BitsDraw {
         document.addEventListener('mousemove', (e) => {
             if (!this.globalMouseTracking) return;
             
+            if (this.freeTransform && this.freeTransform.drag) {
+                this.updateFreeTransformDrag(e);
+                return;
+            }
+            
+            if (this.bezierCurve && this.bezierCurve.dragIndex !== null) {
+                const coords = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
+                this.updateBezierDrag(coords);
+                return;
+            }
+            
             // Continue drawing operations even outside canvas
             if (this.isDrawing && ['pencil', 'brush', 'eraser', 'spray', 'blur'].includes(this.currentTool)) {
                 // Check if coordinates are within reasonable bounds relative to canvas
@@ -1116,6 +1330,9 @@ class BitsDraw {
             } else if (this.isDraggingSelectionGraphics) {
                 const coords = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
                 this.moveSelectionGraphics(coords);
+            } else if (this.isDrawing && this.currentTool === 'select-lasso') {
+                const coords = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
+                this.updateLassoSelection(coords);
             } else if (this.isDrawing && this.currentTool === 'line' && this.startPos) {
                 const coords = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
                 if (!this.previewThrottleTime || Date.now() - this.previewThrottleTime >= 16) {
@@ -1140,20 +1357,35 @@ class BitsDraw {
             
             this.globalMouseTracking = false; // Disable global tracking
             
+            if (this.freeTransform) {
+                this.endFreeTransformDrag();
+                return;
+            }
+            
+            if (this.bezierCurve) {
+                this.endBezierDrag();
+                return;
+            }
+            
             // Handle mouse up for ongoing operations
             if (this.isDrawing) {
                 this.isDrawing = false;
                 
                 // Handle shape/line completion
-                if (['shapes', 'line', 'select-rect', 'select-circle'].includes(this.currentTool) && this.startPos) {
+                if (['shapes', 'line', 'select-rect', 'select-circle', 'select-lasso'].includes(this.currentTool) && this.startPos) {
                     const coords = this.editor.getCanvasCoordinates(e.clientX, e.clientY);
                     
-                    if (this.currentTool === 'shapes') {
+                    if (this.currentTool === 'select-lasso') {
+                        this.updateLassoSelection(coords);
+                        this.finishLassoSelection();
+                    } else if (this.currentTool === 'shapes') {
                         this.clearShapePreview();
                         const drawValue = e.button === 0 ? 0 : 1;
                         
                         if (this.currentShapeMode === 'rectangle') {
-                            if (this.unifiedShapeBorder && !this.unifiedShapeFill) {
+                            if (this.shapeCornerRadius > 0) {
+                                this.editor.drawShapePixels(this.getU8g2ShapePixels(this.startPos.x, this.startPos.y, coords.x, coords.y, drawValue));
+                            } else if (this.unifiedShapeBorder && !this.unifiedShapeFill) {
                                 this.editor.drawRect(this.startPos.x, this.startPos.y, coords.x, coords.y, false, true, this.currentPattern, drawValue);
                             } else if (this.unifiedShapeFill && !this.unifiedShapeBorder) {
                                 this.editor.drawRect(this.startPos.x, this.startPos.y, coords.x, coords.y, true, false, this.currentPattern, drawValue);
@@ -1165,7 +1397,9 @@ class BitsDraw {
                                 this.startPos.x, this.startPos.y, coords.x, coords.y, 
                                 this.shiftPressed, this.altPressed
                             );
-                            if (this.unifiedShapeBorder && !this.unifiedShapeFill) {
+                            if (this.circleArcMode) {
+                                this.editor.drawShapePixels(this.getU8g2ShapePixels(this.startPos.x, this.startPos.y, coords.x, coords.y, drawValue));
+                            } else if (this.unifiedShapeBorder && !this.unifiedShapeFill) {
                                 this.editor.drawEllipse(centerX, centerY, radiusX, radiusY, false, true, this.currentPattern, drawValue);
                             } else if (this.unifiedShapeFill && !this.unifiedShapeBorder) {
                                 this.editor.drawEllipse(centerX, centerY, radiusX, radiusY, true, false, this.currentPattern, drawValue);
@@ -1303,7 +1537,8 @@ class BitsDraw {
     setupToolbarEvents() {
         // Tool palette events
         const tools = ['brush', 'pencil', 'eraser', 'bucket', 'select-rect', 'select-circle', 
-                      'move', 'line', 'text', 'shapes', 'spray', 'blur', 'guide', 'hand'];
+                      'select-lasso', 'select-polygon', 'select-wand',
+                      'move', 'line', 'polyline', 'bezier', 'text', 'shapes', 'spray', 'blur', 'guide', 'hand'];
         
         tools.forEach(tool => {
             const btn = document.getElementById(`${tool}-tool`);
@@ -1754,6 +1989,43 @@ class BitsDraw {
 
             const isCtrl = e.ctrlKey;
             
+            // While transforming: Enter applies, Escape or undo cancels, arrows nudge,
+            // anything else applies the transform before it runs
+            if (this.freeTransform && !['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+                const nudges = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.applyFreeTransform();
+                    return;
+                } else if (e.key === 'Escape' || (isCtrl && e.key === 'z')) {
+                    e.preventDefault();
+                    this.cancelFreeTransform();
+                    return;
+                } else if (nudges[e.key]) {
+                    e.preventDefault();
+                    const [dx, dy] = nudges[e.key];
+                    const step = e.shiftKey ? 10 : 1;
+                    const { offsetX, offsetY } = this.freeTransform.transform;
+                    this.setFreeTransform({ offsetX: offsetX + dx * step, offsetY: offsetY + dy * step });
+                    this.updateFreeTransformInputs();
+                    return;
+                }
+                this.applyFreeTransform();
+            }
+            
+            // Pending polyline or curve: Enter draws it, Escape discards it, Backspace removes the last vertex
+            if ((this.polylinePoints || this.bezierCurve) && ['Enter', 'Escape', 'Backspace'].includes(e.key)) {
+                e.preventDefault();
+                if (e.key === 'Enter') {
+                    this.finishPendingShape();
+                } else if (e.key === 'Escape') {
+                    this.cancelPendingShape();
+                } else {
+                    this.removeLastPolylinePoint();
+                }
+                return;
+            }
+            
             // File operations
             if (isCtrl && e.key === 'n') {
                 e.preventDefault();
@@ -1824,9 +2096,24 @@ class BitsDraw {
                 this.invertDisplayMode();
             }
             // Selection tool shortcuts
-            else if (e.key.toLowerCase() === 'm' && e.shiftKey && !isCtrl) {
+            else if (e.key === 'T' && e.shiftKey && !isCtrl) {
+                e.preventDefault();
+                this.startFreeTransform();
+            } else if (e.key.toLowerCase() === 'm' && e.shiftKey && !isCtrl) {
                 e.preventDefault();
                 this.setTool('select-circle');
+            } else if (e.key.toLowerCase() === 'l' && e.shiftKey && !isCtrl) {
+                e.preventDefault();
+                this.setTool(this.currentTool === 'select-lasso' ? 'select-polygon' : 'select-lasso');
+            } else if (e.key.toLowerCase() === 'w' && !isCtrl) {
+                e.preventDefault();
+                this.setTool('select-wand');
+            } else if (e.key === 'Enter' && this.polygonSelectionPoints) {
+                e.preventDefault();
+                this.finishPolygonSelection();
+            } else if (e.key === 'Escape' && this.polygonSelectionPoints) {
+                e.preventDefault();
+                this.cancelPolygonSelection();
             }
             // Tool shortcuts
             else if (e.key.toLowerCase() === 'b' && !isCtrl) {
@@ -2055,7 +2342,7 @@ class BitsDraw {
                     // Create a temporary, invisible but clickable file input
                     const tempInput = document.createElement('input');
                     tempInput.type = 'file';
-                    tempInput.accept = 'image/*';
+                    tempInput.accept = 'image/*,.xbm,.pbm,.pgm';
                     tempInput.style.cssText = 'position: fixed; top: -100px; left: -100px; opacity: 0; width: 1px; height: 1px; z-index: 10000; pointer-events: auto;';
                     
                     // Add it to the body
@@ -2154,7 +2441,7 @@ class BitsDraw {
                         // Create a temporary, invisible but clickable file input
                         const tempInput = document.createElement('input');
                         tempInput.type = 'file';
-                        tempInput.accept = 'image/*';
+                        tempInput.accept = 'image/*,.xbm,.pbm,.pgm';
                         tempInput.style.cssText = 'position: fixed; top: -100px; left: -100px; opacity: 0; width: 1px; height: 1px; z-index: 10000; pointer-events: auto;';
                         
                         // Add it to the body
@@ -2260,6 +2547,15 @@ class BitsDraw {
         const zoomSelect = document.getElementById('zoom-select');
         const zoomLevels = [1, 2, 4, 8, 16, 32];
         
+        // Any other action finishes a free transform first; undo abandons it instead
+        if (this.freeTransform && !['free-transform', 'transform'].includes(action)) {
+            if (action === 'undo') {
+                this.cancelFreeTransform();
+                return;
+            }
+            this.applyFreeTransform();
+        }
+        
         switch (action) {
             case 'new':
                 this.showNewCanvasDialog();
@@ -2365,6 +2661,9 @@ class BitsDraw {
                 break;
             
             // Layer transformation actions
+            case 'free-transform':
+                this.startFreeTransform();
+                break;
             case 'rotate-90':
                 if (this.editor.rotateLayer90()) {
                     this.updateLayersList();
@@ -3030,6 +3329,14 @@ class BitsDraw {
         // Initialize layer selection tracking
         this.selectedLayers = new Set();
         
+        // Any layer panel action (select, add, delete, reorder) first applies a free transform
+        // in progress, so the lifted pixels land on the layer they were taken from
+        document.getElementById('layers-panel').addEventListener('mousedown', () => {
+            if (this.freeTransform) {
+                this.applyFreeTransform();
+            }
+        }, true);
+        
         // Add layer button
         document.getElementById('add-layer-btn').addEventListener('click', () => {
             const layerName = `Layer ${this.editor.getLayerCount() + 1}`;
@@ -3474,7 +3781,7 @@ class BitsDraw {
             try {
                 const textStr = String(text || '');
                 const displayText = textStr.toUpperCase() || 'TYPE HERE';
-                TextRenderer.renderTextPreview(displayText, previewCanvas);
+                TextRenderer.renderTextPreview(displayText, previewCanvas, TextRenderer.getCurrentFontChain());
             } catch (error) {
                 console.error('In-place text preview error:', error);
             }
@@ -3494,6 +3801,7 @@ class BitsDraw {
                     this.textClickPos.y,
                     {
                         font: TextRenderer.getCurrentFont(),
+                        fallbackFonts: TextRenderer.getCurrentFallbackFonts(),
                         size: TextRenderer.getCurrentSize(),
                         pattern: this.currentPattern,
                         layer: this.editor.getActiveLayerIndex()
@@ -3527,7 +3835,7 @@ class BitsDraw {
                         this.textClickPos.y,
                         this.editor,
                         this.currentPattern,
-                        TextRenderer.getCurrentFont(),
+                        TextRenderer.getCurrentFontChain(),
                         TextRenderer.getCurrentSize(),
                         multilineOptions
                     );
@@ -3559,6 +3867,7 @@ class BitsDraw {
         const dialog = document.getElementById('text-creation-dialog');
         const textInput = document.getElementById('text-creation-input');
         const fontSelect = document.getElementById('text-creation-font');
+        const fallbackSelect = document.getElementById('text-creation-fallback-font');
         const sizeSelect = document.getElementById('text-creation-size');
         const alignmentSelect = document.getElementById('text-creation-alignment');
         const lineSpacingInput = document.getElementById('text-creation-line-spacing');
@@ -3568,6 +3877,8 @@ class BitsDraw {
         // Set current values
         textInput.value = '';
         fontSelect.value = TextRenderer.getCurrentFont();
+        this.populateFallbackFontSelect();
+        fallbackSelect.value = TextRenderer.getCurrentFallbackFonts()[0] || '';
         sizeSelect.value = TextRenderer.getCurrentSize();
         
         // Set default multi-line values
@@ -3642,6 +3953,26 @@ class BitsDraw {
         dialog.style.paddingLeft = `${preferredX}px`;
     }
     
+    /**
+     * Fill the text dialog's fallback font select with every loaded font
+     */
+    populateFallbackFontSelect() {
+        const select = document.getElementById('text-creation-fallback-font');
+        if (!select) return;
+        
+        select.innerHTML = '<option value="">None</option>';
+        Object.entries(TextRenderer.fonts).forEach(([key, font]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = font.name;
+            if (font.custom) {
+                // Lets CustomFontManager.updateFontSelectionUI() replace it without duplicates
+                option.setAttribute('data-custom', 'true');
+            }
+            select.appendChild(option);
+        });
+    }
+    
     /**
      * Create text creation dialog
      */
@@ -3685,6 +4016,10 @@ class BitsDraw {
                             </select>
                         </div>
                     </div>
+                    <div class="input-section">
+                        <label for="text-creation-fallback-font">Fallback Font (for missing characters):</label>
+                        <select id="text-creation-fallback-font"></select>
+                    </div>
                     <div class="input-row">
                         <div class="input-section">
                             <label for="text-creation-alignment">Alignment:</label>
@@ -3743,6 +4078,7 @@ class BitsDraw {
             if (text.trim()) {
                 // Get all text settings
                 const fontType = document.getElementById('text-creation-font').value;
+                const fallbackFont = document.getElementById('text-creation-fallback-font').value;
                 const size = parseInt(document.getElementById('text-creation-size').value);
                 const alignment = document.getElementById('text-creation-alignment').value;
                 const lineSpacing = parseInt(document.getElementById('text-creation-line-spacing').value);
@@ -3751,6 +4087,7 @@ class BitsDraw {
                 
                 // Update renderer settings
                 TextRenderer.setCurrentFont(fontType);
+                TextRenderer.setCurrentFallbackFonts(fallbackFont ? [fallbackFont] : []);
                 TextRenderer.setCurrentSize(size);
                 
                 // Create multi-line text options
@@ -3781,6 +4118,7 @@ class BitsDraw {
         
         document.getElementById('text-creation-input').addEventListener('input', updatePreview);
         document.getElementById('text-creation-font').addEventListener('change', updatePreview);
+        document.getElementById('text-creation-fallback-font').addEventListener('change', updatePreview);
         document.getElementById('text-creation-size').addEventListener('change', updatePreview);
         document.getElementById('text-creation-alignment').addEventListener('change', updatePreview);
         document.getElementById('text-creation-line-spacing').addEventListener('input', updatePreview);
@@ -3864,7 +4202,8 @@ class BitsDraw {
             return;
         }
         
-        const font = document.getElementById('text-creation-font').value;
+        const fallbackFont = document.getElementById('text-creation-fallback-font').value;
+        const font = [document.getElementById('text-creation-font').value, ...(fallbackFont ? [fallbackFont] : [])];
         const size = parseInt(document.getElementById('text-creation-size').value);
         const alignment = document.getElementById('text-creation-alignment').value;
         const lineSpacing = parseInt(document.getElementById('text-creation-line-spacing').value);
@@ -3930,45 +4269,35 @@ class BitsDraw {
 
     /**
      * Render single line preview overlay
+     * @param {string|Array<string>} font - Font key, or keys of a fallback chain
      */
     renderSingleLinePreviewOverlay(ctx, text, x, y, font, size, zoom) {
-        const fontData = TextRenderer.fonts[font];
-        if (!fontData) return;
-        
-        const charWidth = fontData.width * size * zoom;
-        const charHeight = fontData.height * size * zoom;
-        const spacing = fontData.spacing * size * zoom;
-        
-        let currentX = x;
-        
-        for (const char of text) {
-            const charBitmap = fontData.data[char] || fontData.data[char.toUpperCase()];
-            if (charBitmap) {
-                // Render character as filled rectangle (simplified preview)
-                for (let row = 0; row < charBitmap.length; row++) {
-                    for (let col = 0; col < charBitmap[row].length; col++) {
-                        if (charBitmap[row][col] === 1) {
-                            ctx.fillRect(
-                                currentX + col * size * zoom,
-                                y + row * size * zoom,
-                                size * zoom,
-                                size * zoom
-                            );
-                        }
+        const layout = TextRenderer.layoutTextForFont(text, font, size);
+        if (!layout) return;
+        
+        layout.glyphs.forEach(glyph => {
+            const charBitmap = glyph.bitmap;
+            // Render character as filled rectangle (simplified preview)
+            for (let row = 0; row < charBitmap.length; row++) {
+                for (let col = 0; col < charBitmap[row].length; col++) {
+                    if (charBitmap[row][col] === 1) {
+                        ctx.fillRect(
+                            x + (glyph.x + col * size) * zoom,
+                            y + (glyph.y + row * size) * zoom,
+                            size * zoom,
+                            size * zoom
+                        );
                     }
                 }
-                currentX += charWidth + spacing;
-            } else {
-                currentX += charWidth + spacing;
             }
-        }
+        });
     }
 
     /**
      * Render multi-line preview overlay (simplified)
      */
     renderMultilinePreviewOverlay(ctx, text, x, y, font, size, multilineOptions, zoom) {
-        const fontData = TextRenderer.fonts[font];
+        const fontData = TextRenderer.getFont(font);
         if (!fontData) return;
         
         const charWidth = fontData.width * size * zoom;
@@ -4275,11 +4604,22 @@ class BitsDraw {
             this.generateCppCode();
         });
 
+        // Source (image / sheets / layers) change handler
+        const sourceSelect = document.getElementById('export-source-select');
+        if (sourceSelect) {
+            sourceSelect.addEventListener('change', () => {
+                this.generateCppCode();
+            });
+        }
+
         // Copy code handler
         copyBtn.addEventListener('click', async () => {
             try {
                 await navigator.clipboard.writeText(codeTextarea.value);
                 this.showNotification('Code copied to clipboard!', 'success');
+                if (this.cppExportReadsSheets) {
+                    this.warnSkippedExportSheets();
+                }
             } catch (err) {
                 console.error('Failed to copy to clipboard:', err);
                 this.showNotification('Failed to copy to clipboard. Please copy manually.', 'error');
@@ -4287,64 +4627,6 @@ class BitsDraw {
         });
     }
 
-    setupCppImportDialog() {
-        const dialog = document.getElementById('cpp-import-dialog');
-        const closeBtn = document.getElementById('cpp-import-close-btn');
-        const cancelBtn = document.getElementById('cpp-import-cancel-btn');
-        const importBtn = document.getElementById('cpp-import-load-btn');
-        const fileInput = document.getElementById('cpp-import-file');
-        const codeTextarea = document.getElementById('cpp-import-code');
-
-        // Close dialog handlers
-        const closeDialog = () => {
-            dialog.style.display = 'none';
-            fileInput.value = '';
-            codeTextarea.value = '';
-        };
-
-        closeBtn.addEventListener('click', closeDialog);
-        cancelBtn.addEventListener('click', closeDialog);
-
-        // Close on overlay click
-        dialog.addEventListener('click', (e) => {
-            if (e.target === dialog) {
-                closeDialog();
-            }
-        });
-
-        // File input handler
-        fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    codeTextarea.value = e.target.result;
-                };
-                reader.readAsText(file);
-            }
-        });
-
-        // Import code handler
-        importBtn.addEventListener('click', () => {
-            const code = codeTextarea.value.trim();
-            if (!code) {
-                this.showNotification('Please select a file or paste code to import', 'error');
-                return;
-            }
-
-            try {
-                const bitmapData = BitmapExporter.parseHFile(code);
-                this.editor.loadBitmapData(bitmapData);
-                this.updateOutput();
-                this.showNotification('CPP header imported successfully!', 'success');
-                closeDialog();
-            } catch (error) {
-                console.error('Import error:', error);
-                this.showNotification('Failed to import code: ' + error.message, 'error');
-            }
-        });
-    }
-
     setupImageImportDialog() {
         const dialog = document.getElementById('image-import-dialog');
         const closeBtn = document.getElementById('image-import-close-btn');
@@ -4801,12 +5083,7 @@ class BitsDraw {
     }
 
     showCppImportDialog() {
-        const dialog = document.getElementById('cpp-import-dialog');
-        dialog.style.display = 'flex';
-        
-        // Clear previous content
-        document.getElementById('cpp-import-file').value = '';
-        document.getElementById('cpp-import-code').value = '';
+        this.dialogs.showCppImportDialog();
     }
 
     generateCppCode() {
@@ -4816,9 +5093,125 @@ class BitsDraw {
         const codeTextarea = document.getElementById('cpp-export-code');
         
         const bitmapData = this.editor.getBitmapData();
-        const code = BitmapExporter.generateHFile(bitmapData, arrayName, format);
         
-        codeTextarea.value = code;
+        // Multi-array formats can split the export per sheet or per layer
+        const sourceSelect = document.getElementById('export-source-select');
+        this.cppExportReadsSheets = false;
+        if (sourceSelect) {
+            const supportsFrames = BitmapExporter.supportsMultipleArrays(format);
+            sourceSelect.disabled = !supportsFrames;
+            if (format === 'project-header') {
+                // The project header always walks every sheet; "layers" adds each layer too
+                bitmapData.frames = this.getProjectExportFrames(sourceSelect.value === 'layers');
+            } else if (format === 'animation-delta') {
+                // Delta animations always play the Sheets panel in order
+                bitmapData.frames = this.getExportFrames('sheets');
+                this.cppExportReadsSheets = true;
+            } else if (supportsFrames && sourceSelect.value !== 'image') {
+                bitmapData.frames = this.getExportFrames(sourceSelect.value);
+                this.cppExportReadsSheets = sourceSelect.value === 'sheets';
+            }
+        }
+        
+        try {
+            codeTextarea.value = BitmapExporter.generateHFile(bitmapData, arrayName, format);
+        } catch (error) {
+            // Leave no code behind that could be copied while it doesn't match the image
+            codeTextarea.value = `// Export failed: ${error.message}`;
+            this.showNotification(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Collect named 2D pixel/alpha arrays for multi-array exports
+     * @param {string} source - 'sheets' (one composite per sheet) or 'layers' (active sheet layers)
+     */
+    getExportFrames(source) {
+        const width = this.editor.width;
+        const height = this.editor.height;
+        
+        if (source === 'layers') {
+            return this.editor.layers.map(layer =>
+                this.createExportFrame(layer.name, width, height, layer.pixels, layer.alpha));
+        }
+        
+        // Make sure the active sheet reflects the editor before reading it
+        this.saveCurrentSheetState();
+        
+        // Frames share one size, so sheets of another size can't be part of the export;
+        // warnSkippedExportSheets() tells the user once the export actually happens
+        return this.sheets
+            .filter(sheet => sheet.width === width && sheet.height === height)
+            .map(sheet => {
+                const composite = this.compositeSheetLayers(sheet);
+                return this.createExportFrame(sheet.name, width, height, composite.pixels, composite.alpha);
+            });
+    }
+
+    /**
+     * Warn about sheets that getExportFrames('sheets') leaves out because their size
+     * differs from the current sheet
+     */
+    warnSkippedExportSheets() {
+        const { width, height } = this.editor;
+        const skipped = this.sheets.filter(sheet => sheet.width !== width || sheet.height !== height);
+        if (skipped.length > 0) {
+            this.showNotification(
+                `Skipped ${skipped.length} sheet${skipped.length === 1 ? '' : 's'} not sized ${width}×${height}: ` +
+                skipped.map(sheet => `"${sheet.name}"`).join(', '), 'warning');
+        }
+    }
+
+    /**
+     * Collect every sheet (optionally every layer of every sheet) at its own size
+     */
+    getProjectExportFrames(includeLayers = false) {
+        this.saveCurrentSheetState();
+        
+        const frames = [];
+        this.sheets.forEach(sheet => {
+            if (includeLayers) {
+                sheet.layers.forEach(layer => {
+                    frames.push(this.createExportFrame(`${sheet.name} ${layer.name}`,
+                        sheet.width, sheet.height, layer.pixels, layer.alpha));
+                });
+            } else {
+                const composite = this.compositeSheetLayers(sheet);
+                frames.push(this.createExportFrame(sheet.name,
+                    sheet.width, sheet.height, composite.pixels, composite.alpha));
+            }
+        });
+        return frames;
+    }
+
+    compositeSheetLayers(sheet) {
+        const pixels = new Uint8Array(sheet.width * sheet.height);
+        const alpha = new Uint8Array(sheet.width * sheet.height);
+        sheet.layers.forEach(layer => {
+            if (!layer.visible) return;
+            for (let i = 0; i < pixels.length; i++) {
+                if (layer.alpha[i] > 0) {
+                    pixels[i] = layer.pixels[i];
+                    alpha[i] = layer.alpha[i];
+                }
+            }
+        });
+        return { pixels, alpha };
+    }
+
+    createExportFrame(name, width, height, flatPixels, flatAlpha) {
+        const pixels = [];
+        const alpha = [];
+        for (let y = 0; y < height; y++) {
+            pixels[y] = [];
+            alpha[y] = [];
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                pixels[y][x] = flatAlpha[index] > 0 ? flatPixels[index] : 0;
+                alpha[y][x] = flatAlpha[index];
+            }
+        }
+        return { name, width, height, pixels, alpha };
     }
 
     setupFileImport() {
@@ -5320,7 +5713,8 @@ class BitsDraw {
             console.log('File dropped on canvas');
             
             const files = Array.from(e.dataTransfer.files);
-            const imageFile = files.find(file => file.type.startsWith('image/'));
+            // XBM/PBM files often arrive without an image/* MIME type
+            const imageFile = files.find(file => file.type.startsWith('image/') || ImageImporter.isValidImageFile(file));
             
             if (imageFile) {
                 console.log('Image file dropped:', imageFile.name, imageFile.type);
@@ -5349,6 +5743,10 @@ class BitsDraw {
             return;
         }
 
+        if (ImageImporter.isLosslessBitmapFile(file) && await this.importLosslessBitmapFile(file)) {
+            return;
+        }
+
         try {
             console.log('Loading image for placement...');
             const formatInfo = ImageImporter.getFileFormatInfo(file);
@@ -5378,6 +5776,27 @@ class BitsDraw {
         }
     }
 
+    /**
+     * Open XBM/PBM/PGM and palette BMP/ICO files as a new sheet at their own size,
+     * skipping the placement dialog so 1-bit data is not resampled or dithered.
+     * Returns false when the file needs the regular image import path.
+     */
+    async importLosslessBitmapFile(file) {
+        try {
+            const formatInfo = ImageImporter.getFileFormatInfo(file);
+            const bitmap = await ImageImporter.loadBitmapFile(file);
+            if (!bitmap) {
+                return false;
+            }
+            this.importBitmapsAsSheets([bitmap]);
+            this.showNotification(`Imported ${formatInfo.name}: ${bitmap.width}×${bitmap.height} pixels as a new sheet`, 'success');
+        } catch (error) {
+            console.error('Bitmap file import error:', error);
+            this.showNotification('Failed to import file: ' + error.message, 'error');
+        }
+        return true;
+    }
+
     setPattern(patternName) {
         this.currentPattern = patternName;
         
@@ -5410,8 +5829,13 @@ class BitsDraw {
         const animate = () => {
             if (this.selection && this.selection.active) {
                 // Redraw canvas and overlay for animation
-                this.editor.redraw();
-                this.editor.drawSelectionOverlay(this.editor.ctx, this.selection, this.editor.zoom);
+                if (this.freeTransform) {
+                    this.drawFreeTransform();
+                } else {
+                    this.editor.redraw();
+                    this.editor.drawSelectionOverlay(this.editor.ctx, this.selection, this.editor.zoom);
+                    this.strokeSelectionPath();
+                }
                 requestAnimationFrame(animate);
             } else {
                 this.selectionAnimationRunning = false;
@@ -5422,6 +5846,10 @@ class BitsDraw {
     }
 
     setTool(tool) {
+        if (this.freeTransform) {
+            this.applyFreeTransform();
+        }
+        this.finishPendingShape();
         this.currentTool = tool;
         document.querySelectorAll('.tool-icon').forEach(btn => {
             btn.classList.remove('active');
@@ -5460,8 +5888,13 @@ class BitsDraw {
             this.hideBrushCursor();
         }
         
+        // Drop a polygon selection that was never closed
+        if (this.polygonSelectionPoints) {
+            this.cancelPolygonSelection();
+        }
+        
         // Clear selection when switching tools (except for selection tools)
-        if (!['select-rect', 'select-circle'].includes(tool)) {
+        if (!this.isSelectionTool(tool)) {
             this.selection = null;
             this.selectionAnimationRunning = false;
             this.editor.redraw();
@@ -5494,8 +5927,13 @@ class BitsDraw {
             'eraser': { icon: 'ph-eraser', name: 'Eraser' },
             'select-rect': { icon: 'ph-selection', name: 'Rectangle Select' },
             'select-circle': { icon: 'ph-circle-dashed', name: 'Circle Select' },
+            'select-lasso': { icon: 'ph-lasso', name: 'Lasso Select' },
+            'select-polygon': { icon: 'ph-polygon', name: 'Polygon Select' },
+            'select-wand': { icon: 'ph-magic-wand', name: 'Magic Wand' },
             'move': { icon: 'ph-arrows-out-cardinal', name: 'Move' },
             'line': { icon: 'ph-line-segment', name: 'Line' },
+            'polyline': { icon: 'ph-line-segments', name: 'Polyline' },
+            'bezier': { icon: 'ph-bezier-curve', name: 'Bézier Curve' },
             'text': { icon: 'ph-text-aa', name: 'Text' },
             'shapes': { icon: 'ph-shapes', name: 'Shapes' },
             'spray': { icon: 'ph-spray-bottle', name: 'Spray' },
@@ -5995,7 +6433,8 @@ class BitsDraw {
         // Bounds checking to prevent selection from going off-canvas
         let newX1, newY1, newX2, newY2;
         
-        if (this.selection.type === 'rect') {
+        if (this.selection.type === 'rect' || this.selection.type === 'mask') {
+            // Mask selections store their mask relative to these bounds
             newX1 = Math.max(0, Math.min(this.editor.width - 1, this.selection.x1 + deltaX));
             newX2 = Math.max(0, Math.min(this.editor.width - 1, this.selection.x2 + deltaX));
             newY1 = Math.max(0, Math.min(this.editor.height - 1, this.selection.y1 + deltaY));
@@ -6108,12 +6547,571 @@ class BitsDraw {
         this.drawSelectionOverlay();
     }
 
-    copySelection() {
-        if (!this.selection) return;
-        
-        this.selectionClipboard = {
-            selection: {...this.selection},
-            pixels: []
+    /**
+     * Lift the selection into a floating buffer for interactive scale, rotate and skew.
+     * Nothing is written to history until the transform is applied.
+     */
+    startFreeTransform() {
+        if (this.freeTransform) return;
+        if (!this.selection) {
+            this.showNotification('Make a selection to transform first', 'info');
+            return;
+        }
+        if (this.polygonSelectionPoints) {
+            this.cancelPolygonSelection();
+        }
+        
+        const buffer = this.editor.liftSelection(this.selection);
+        if (!buffer) return;
+        
+        this.freeTransform = {
+            buffer,
+            originalSelection: this.selection,
+            transform: PixelTransform.createIdentity(),
+            result: null,
+            drag: null,
+            cursor: this.canvas.style.cursor
+        };
+        this.updateFreeTransformResult();
+        this.updateToolOptionsBar();
+        this.drawFreeTransform();
+        
+        if (!this.selectionAnimationRunning) {
+            this.startSelectionAnimation();
+        }
+    }
+
+    /**
+     * Update part of the transform and refresh the preview
+     */
+    setFreeTransform(changes) {
+        const transform = { ...this.freeTransform.transform, ...changes };
+        this.freeTransform.transform = PixelTransform.snapToPixelGrid(this.freeTransform.buffer, transform);
+        this.updateFreeTransformResult();
+        this.drawFreeTransform();
+    }
+
+    updateFreeTransformResult() {
+        const { buffer, transform } = this.freeTransform;
+        this.freeTransform.result = PixelTransform.apply(buffer, transform, this.freeTransformMethod, {
+            width: this.editor.width,
+            height: this.editor.height
+        });
+    }
+
+    /**
+     * Draw the transformed pixels as a floating preview layer with the transform box on top
+     */
+    drawFreeTransform() {
+        const ctx = this.editor.ctx;
+        const zoom = this.editor.zoom;
+        const { buffer, transform, result } = this.freeTransform;
+        
+        this.editor.redraw();
+        
+        ctx.save();
+        for (let y = 0; y < result.height; y++) {
+            for (let x = 0; x < result.width; x++) {
+                const code = result.codes[y * result.width + x];
+                if (code !== PixelTransform.CODE.BLACK && code !== PixelTransform.CODE.WHITE) continue;
+                
+                const isBlack = code === PixelTransform.CODE.BLACK;
+                if (this.editor.inverted) {
+                    ctx.fillStyle = isBlack ? this.editor.backgroundColor : this.editor.drawColor;
+                } else {
+                    ctx.fillStyle = isBlack ? this.editor.drawColor : this.editor.backgroundColor;
+                }
+                ctx.fillRect((result.x + x) * zoom, (result.y + y) * zoom, zoom, zoom);
+            }
+        }
+        
+        // Dashed box drawn twice so it shows on both black and white pixels
+        const corners = PixelTransform.getCorners(buffer, transform);
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ['#000000', '#ffffff'].forEach((color, index) => {
+            ctx.strokeStyle = color;
+            ctx.lineDashOffset = index * 4;
+            ctx.beginPath();
+            corners.forEach((point, i) => {
+                if (i === 0) {
+                    ctx.moveTo(point.x * zoom, point.y * zoom);
+                } else {
+                    ctx.lineTo(point.x * zoom, point.y * zoom);
+                }
+            });
+            ctx.closePath();
+            ctx.stroke();
+        });
+        
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#000000';
+        PixelTransform.getHandles(buffer, transform).forEach(handle => {
+            ctx.fillRect(handle.x * zoom - 3, handle.y * zoom - 3, 6, 6);
+            ctx.strokeRect(handle.x * zoom - 3.5, handle.y * zoom - 3.5, 7, 7);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Find what a canvas point hits: a box handle, the inside of the box (move) or outside (rotate)
+     */
+    getFreeTransformHit(point) {
+        const { buffer, transform } = this.freeTransform;
+        const tolerance = 6 / this.editor.zoom;
+        
+        const handle = PixelTransform.getHandles(buffer, transform).find(h =>
+            Math.abs(h.x - point.x) <= tolerance && Math.abs(h.y - point.y) <= tolerance);
+        if (handle) return { type: 'handle', handle };
+        
+        const inverse = PixelTransform.invertMatrix(PixelTransform.getMatrix(transform));
+        if (!inverse) return { type: 'move' };
+        
+        const center = PixelTransform.getCenter(buffer);
+        const dx = point.x - center.x - transform.offsetX;
+        const dy = point.y - center.y - transform.offsetY;
+        const u = inverse.a * dx + inverse.b * dy;
+        const v = inverse.c * dx + inverse.d * dy;
+        const inside = Math.abs(u) <= buffer.width / 2 && Math.abs(v) <= buffer.height / 2;
+        
+        return { type: inside ? 'move' : 'rotate' };
+    }
+
+    updateFreeTransformCursor(e) {
+        const point = this.editor.getCanvasCoordinates(e.clientX, e.clientY, true);
+        const hit = this.getFreeTransformHit(point);
+        
+        if (hit.type === 'handle') {
+            const { hx, hy } = hit.handle;
+            if (hx === 0) {
+                this.canvas.style.cursor = 'ns-resize';
+            } else if (hy === 0) {
+                this.canvas.style.cursor = 'ew-resize';
+            } else {
+                this.canvas.style.cursor = hx === hy ? 'nwse-resize' : 'nesw-resize';
+            }
+        } else {
+            this.canvas.style.cursor = hit.type === 'move' ? 'move' : 'crosshair';
+        }
+    }
+
+    /**
+     * Start dragging the transform box.
+     * Handles scale (Shift keeps the aspect ratio on corners), Ctrl+edge handles skew,
+     * inside the box moves and outside rotates (Shift snaps to 15°).
+     */
+    startFreeTransformDrag(e) {
+        const point = this.editor.getCanvasCoordinates(e.clientX, e.clientY, true);
+        const hit = this.getFreeTransformHit(point);
+        let mode = hit.type;
+        
+        if (hit.type === 'handle') {
+            const isEdge = hit.handle.hx === 0 || hit.handle.hy === 0;
+            mode = (e.ctrlKey || e.metaKey) && isEdge ? 'skew' : 'scale';
+        }
+        
+        this.freeTransform.drag = {
+            mode,
+            handle: hit.handle,
+            start: point,
+            startTransform: { ...this.freeTransform.transform }
+        };
+        this.globalMouseTracking = true;
+    }
+
+    updateFreeTransformDrag(e) {
+        const { drag, buffer } = this.freeTransform;
+        const point = this.editor.getCanvasCoordinates(e.clientX, e.clientY, true);
+        const start = drag.startTransform;
+        const center = PixelTransform.getCenter(buffer);
+        const pivotX = center.x + start.offsetX;
+        const pivotY = center.y + start.offsetY;
+        
+        if (drag.mode === 'move') {
+            this.setFreeTransform({
+                offsetX: start.offsetX + Math.round(point.x - drag.start.x),
+                offsetY: start.offsetY + Math.round(point.y - drag.start.y)
+            });
+            return;
+        }
+        
+        if (drag.mode === 'rotate') {
+            const startAngle = Math.atan2(drag.start.y - pivotY, drag.start.x - pivotX);
+            const currentAngle = Math.atan2(point.y - pivotY, point.x - pivotX);
+            let angle = start.angle + (currentAngle - startAngle) * 180 / Math.PI;
+            angle = e.shiftKey ? Math.round(angle / 15) * 15 : Math.round(angle * 10) / 10;
+            // Keep the angle within -180..180
+            angle = ((angle + 180) % 360 + 360) % 360 - 180;
+            this.setFreeTransform({ angle });
+            return;
+        }
+        
+        // Pointer in the box's frame with rotation removed; skew and scale still apply
+        const radians = start.angle * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const dx = point.x - pivotX;
+        const dy = point.y - pivotY;
+        const rx = cos * dx + sin * dy;
+        const ry = -sin * dx + cos * dy;
+        
+        const boxWidth = buffer.width * start.scaleX;
+        const boxHeight = buffer.height * start.scaleY;
+        const { hx, hy } = drag.handle;
+        
+        if (drag.mode === 'skew') {
+            const snap = (degrees) => {
+                const rounded = e.shiftKey ? Math.round(degrees / 15) * 15 : Math.round(degrees * 10) / 10;
+                return Math.max(-80, Math.min(80, rounded));
+            };
+            if (hy !== 0) {
+                this.setFreeTransform({ skewX: snap(Math.atan(rx / (hy * boxHeight / 2)) * 180 / Math.PI) });
+            } else {
+                this.setFreeTransform({ skewY: snap(Math.atan(ry / (hx * boxWidth / 2)) * 180 / Math.PI) });
+            }
+            return;
+        }
+        
+        // Scale against the opposite handle, working in the unskewed frame
+        const kx = Math.tan(start.skewX * Math.PI / 180);
+        const ky = Math.tan(start.skewY * Math.PI / 180);
+        const det = 1 - kx * ky;
+        const localX = (rx - kx * ry) / det;
+        const localY = (ry - ky * rx) / det;
+        
+        let newWidth = hx !== 0 ? (localX + hx * boxWidth / 2) * hx : boxWidth;
+        let newHeight = hy !== 0 ? (localY + hy * boxHeight / 2) * hy : boxHeight;
+        
+        if (e.shiftKey && hx !== 0 && hy !== 0) {
+            const ratio = Math.max(Math.abs(newWidth / boxWidth), Math.abs(newHeight / boxHeight));
+            newWidth = boxWidth * ratio * Math.sign(newWidth / boxWidth || 1);
+            newHeight = boxHeight * ratio * Math.sign(newHeight / boxHeight || 1);
+        }
+        
+        // Whole-pixel sizes keep the pixel grid; a negative size flips
+        const roundSize = (size) => Math.round(size) || (size < 0 ? -1 : 1);
+        newWidth = roundSize(newWidth);
+        newHeight = roundSize(newHeight);
+        
+        // New box center relative to the old one, mapped back through skew and rotation
+        const shiftX = hx !== 0 ? hx * (newWidth - boxWidth) / 2 : 0;
+        const shiftY = hy !== 0 ? hy * (newHeight - boxHeight) / 2 : 0;
+        const skewedX = shiftX + kx * shiftY;
+        const skewedY = ky * shiftX + shiftY;
+        
+        this.setFreeTransform({
+            scaleX: newWidth / buffer.width,
+            scaleY: newHeight / buffer.height,
+            offsetX: start.offsetX + cos * skewedX - sin * skewedY,
+            offsetY: start.offsetY + sin * skewedX + cos * skewedY
+        });
+    }
+
+    endFreeTransformDrag() {
+        if (!this.freeTransform || !this.freeTransform.drag) return;
+        
+        this.freeTransform.drag = null;
+        this.updateFreeTransformInputs();
+    }
+
+    /**
+     * Stamp the transformed pixels onto the layer as a single undo step
+     */
+    applyFreeTransform() {
+        if (!this.freeTransform) return;
+        
+        const { result, cursor } = this.freeTransform;
+        this.freeTransform = null;
+        this.selection = this.editor.stampSelectionBuffer(result);
+        this.editor.saveState();
+        this.finishFreeTransform(cursor);
+    }
+
+    /**
+     * Put the lifted pixels back untouched
+     */
+    cancelFreeTransform() {
+        if (!this.freeTransform) return;
+        
+        const { buffer, originalSelection, cursor } = this.freeTransform;
+        this.freeTransform = null;
+        this.editor.stampSelectionBuffer(buffer);
+        this.selection = originalSelection;
+        this.finishFreeTransform(cursor);
+    }
+
+    finishFreeTransform(cursor) {
+        this.canvas.style.cursor = cursor;
+        this.updateToolOptionsBar();
+        
+        if (this.selection) {
+            this.drawSelectionOverlay();
+        } else {
+            this.editor.redraw();
+        }
+        this.updateOutput();
+    }
+
+    getFreeTransformOptionsHTML() {
+        const field = (id, label, unit, title) => `
+                <div class="option-group" title="${title}">
+                    <span class="transform-field-label">${label}</span>
+                    <div class="number-input">
+                        <input type="number" id="${id}" step="1">
+                    </div>
+                    <span class="transform-field-label">${unit}</span>
+                </div>`;
+        const methods = Object.entries(PixelTransform.METHODS).map(([value, name]) =>
+            `<option value="${value}" ${this.freeTransformMethod === value ? 'selected' : ''}>${name}</option>`).join('');
+        
+        return field('transform-scale-x', 'W', '%', 'Horizontal scale (negative flips)') +
+            field('transform-scale-y', 'H', '%', 'Vertical scale (negative flips)') +
+            field('transform-angle', 'Angle', '°', 'Rotation angle') +
+            field('transform-skew-x', 'Skew X', '°', 'Horizontal skew') +
+            field('transform-skew-y', 'Skew Y', '°', 'Vertical skew') +
+            field('transform-offset-x', 'X', 'px', 'Horizontal offset') +
+            field('transform-offset-y', 'Y', 'px', 'Vertical offset') + `
+                <div class="option-group">
+                    <select id="transform-method" title="Resampling">${methods}</select>
+                </div>
+                <div class="option-group">
+                    <button class="btn-toggle" id="transform-apply" title="Apply (Enter)">
+                        <i class="ph ph-check"></i>
+                    </button>
+                    <button class="btn-toggle" id="transform-cancel" title="Cancel (Esc)">
+                        <i class="ph ph-x"></i>
+                    </button>
+                </div>
+            `;
+    }
+
+    attachFreeTransformOptionEvents() {
+        const bindings = {
+            'transform-scale-x': (value) => ({ scaleX: (value || 1) / 100 }),
+            'transform-scale-y': (value) => ({ scaleY: (value || 1) / 100 }),
+            'transform-angle': (value) => ({ angle: value }),
+            'transform-skew-x': (value) => ({ skewX: Math.max(-80, Math.min(80, value)) }),
+            'transform-skew-y': (value) => ({ skewY: Math.max(-80, Math.min(80, value)) }),
+            'transform-offset-x': (value) => ({ offsetX: value }),
+            'transform-offset-y': (value) => ({ offsetY: value })
+        };
+        
+        Object.entries(bindings).forEach(([id, toChanges]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('change', () => {
+                if (!this.freeTransform) return;
+                this.setFreeTransform(toChanges(parseFloat(input.value) || 0));
+                this.updateFreeTransformInputs();
+            });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    input.blur();
+                }
+            });
+        });
+        
+        const methodSelect = document.getElementById('transform-method');
+        const applyBtn = document.getElementById('transform-apply');
+        const cancelBtn = document.getElementById('transform-cancel');
+        
+        if (methodSelect) {
+            methodSelect.addEventListener('change', (e) => {
+                this.freeTransformMethod = e.target.value;
+                if (this.freeTransform) {
+                    this.setFreeTransform({});
+                }
+            });
+        }
+        if (applyBtn) applyBtn.addEventListener('click', () => this.applyFreeTransform());
+        if (cancelBtn) cancelBtn.addEventListener('click', () => this.cancelFreeTransform());
+        
+        this.updateFreeTransformInputs();
+    }
+
+    /**
+     * Show the current transform in the tool options bar fields
+     */
+    updateFreeTransformInputs() {
+        if (!this.freeTransform) return;
+        
+        const transform = this.freeTransform.transform;
+        const round = (value) => Math.round(value * 10) / 10;
+        const values = {
+            'transform-scale-x': round(transform.scaleX * 100),
+            'transform-scale-y': round(transform.scaleY * 100),
+            'transform-angle': round(transform.angle),
+            'transform-skew-x': round(transform.skewX),
+            'transform-skew-y': round(transform.skewY),
+            'transform-offset-x': round(transform.offsetX),
+            'transform-offset-y': round(transform.offsetY)
+        };
+        
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+    }
+
+    /**
+     * Start a freehand lasso selection
+     */
+    startLassoSelection(coords) {
+        this.lassoSelectionPoints = [coords];
+        this.drawSelectionPathPreview();
+    }
+
+    updateLassoSelection(coords) {
+        if (!this.lassoSelectionPoints) return;
+        
+        const last = this.lassoSelectionPoints[this.lassoSelectionPoints.length - 1];
+        if (last.x === coords.x && last.y === coords.y) return;
+        
+        this.lassoSelectionPoints.push(coords);
+        this.drawSelectionPathPreview();
+    }
+
+    /**
+     * Close the lasso path and turn it into a mask selection
+     */
+    finishLassoSelection() {
+        const points = this.lassoSelectionPoints;
+        this.lassoSelectionPoints = null;
+        if (!points) return;
+        
+        this.applyPathSelection(points);
+    }
+
+    /**
+     * Add a vertex to the polygon selection being placed.
+     * Clicking the first vertex or double-clicking closes the polygon.
+     */
+    addPolygonSelectionPoint(coords, close = false) {
+        if (!this.polygonSelectionPoints) {
+            this.polygonSelectionPoints = [coords];
+            this.polygonSelectionCursor = coords;
+            this.drawSelectionPathPreview();
+            return;
+        }
+        
+        const points = this.polygonSelectionPoints;
+        const first = points[0];
+        const last = points[points.length - 1];
+        // Allow a few screen pixels of slack when hitting the first vertex
+        const snap = Math.max(1, Math.round(6 / this.editor.zoom));
+        const onFirst = Math.abs(coords.x - first.x) <= snap && Math.abs(coords.y - first.y) <= snap;
+        
+        if ((onFirst && points.length >= 3) || close) {
+            this.finishPolygonSelection();
+            return;
+        }
+        
+        if (last.x !== coords.x || last.y !== coords.y) {
+            points.push(coords);
+        }
+        this.polygonSelectionCursor = coords;
+        this.drawSelectionPathPreview();
+    }
+
+    finishPolygonSelection() {
+        const points = this.polygonSelectionPoints;
+        this.polygonSelectionPoints = null;
+        if (!points) return;
+        
+        this.applyPathSelection(points);
+    }
+
+    cancelPolygonSelection() {
+        this.polygonSelectionPoints = null;
+        this.drawSelectionPathPreview();
+    }
+
+    /**
+     * Select the area enclosed by a lasso or polygon path
+     */
+    applyPathSelection(points) {
+        this.applySelection(this.editor.createPolygonSelection(points));
+    }
+
+    isSelectionTool(tool) {
+        return ['select-rect', 'select-circle', 'select-lasso', 'select-polygon', 'select-wand'].includes(tool);
+    }
+
+    /**
+     * Combine mode for a selection gesture: Shift adds, Alt subtracts,
+     * Shift+Alt intersects, otherwise the mode chosen in the tool options bar
+     */
+    getSelectionCombineMode(e) {
+        if (e.shiftKey && e.altKey) return 'intersect';
+        if (e.shiftKey) return 'add';
+        if (e.altKey) return 'subtract';
+        return this.selectionMode;
+    }
+
+    /**
+     * Merge a newly made selection into the current one using the gesture's combine mode
+     */
+    applySelection(selection) {
+        this.selection = this.editor.combineSelections(this.selection, selection, this.selectionCombineMode);
+        
+        if (this.selection) {
+            this.drawSelectionOverlay();
+        } else {
+            this.editor.redraw();
+        }
+    }
+
+    /**
+     * Redraw the canvas with the current selection and the lasso or polygon path being made
+     */
+    drawSelectionPathPreview() {
+        this.editor.redraw();
+        if (this.selection) {
+            this.editor.drawSelectionOverlay(this.editor.ctx, this.selection, this.editor.zoom);
+        }
+        this.strokeSelectionPath();
+    }
+
+    /**
+     * Stroke the lasso or polygon path in progress, if any
+     */
+    strokeSelectionPath() {
+        const points = this.lassoSelectionPoints || this.polygonSelectionPoints;
+        if (!points) return;
+        
+        const ctx = this.editor.ctx;
+        const zoom = this.editor.zoom;
+        const path = this.polygonSelectionPoints ? [...points, this.polygonSelectionCursor] : points;
+        
+        ctx.save();
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        path.forEach((point, index) => {
+            const x = (point.x + 0.5) * zoom;
+            const y = (point.y + 0.5) * zoom;
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+        
+        // Mark the first vertex so the polygon can be closed on it
+        ctx.setLineDash([]);
+        ctx.strokeRect(points[0].x * zoom, points[0].y * zoom, zoom, zoom);
+        ctx.restore();
+    }
+
+    copySelection() {
+        if (!this.selection) return;
+        
+        this.selectionClipboard = {
+            selection: {...this.selection},
+            pixels: []
         };
         
         for (let y = 0; y < this.editor.height; y++) {
@@ -6254,8 +7252,10 @@ class BitsDraw {
 
     /**
      * Draw actual pixel preview showing how pixels will look when placed
+     * @param {Array|null} shapePixels - Pixels with values for 'polyline' and 'bezier', which
+     *   work from vertex lists rather than two corners
      */
-    drawActualPixelPreview(x1, y1, x2OrRadiusX, y2OrRadiusY, shapeType) {
+    drawActualPixelPreview(x1, y1, x2OrRadiusX, y2OrRadiusY, shapeType, shapePixels = null) {
         // Create a temporary layer to preview the shape
         const tempPixels = this.createEmptyBitmap();
         const tempAlpha = this.createEmptyAlpha();
@@ -6272,6 +7272,9 @@ class BitsDraw {
             this.drawCircleToTempLayer(tempPixels, tempAlpha, x1, y1, x2OrRadiusX, y2OrRadiusY, drawValue, alphaValue);
         } else if (shapeType === 'line') {
             this.drawLineToTempLayer(tempPixels, tempAlpha, x1, y1, x2OrRadiusX, y2OrRadiusY, drawValue, alphaValue);
+        } else if (shapeType === 'polyline' || shapeType === 'bezier') {
+            // These tools pass the exact pixels they will draw, pattern included
+            this.drawShapePixelsToTempLayer(tempPixels, tempAlpha, shapePixels);
         }
         
         // Render the preview pixels on top of existing canvas
@@ -6322,6 +7325,17 @@ class BitsDraw {
         }
     }
 
+    drawShapePixelsToTempLayer(pixels, alpha, shapePixels) {
+        for (const pixel of shapePixels) {
+            if (pixel.x >= 0 && pixel.x < this.editor.width && 
+                pixel.y >= 0 && pixel.y < this.editor.height) {
+                const index = this.editor.getPixelIndex(pixel.x, pixel.y);
+                pixels[index] = pixel.value;
+                alpha[index] = pixel.alpha;
+            }
+        }
+    }
+
     renderTempLayerPreview(previewPixels, previewAlpha) {
         const ctx = this.editor.ctx;
         const zoom = this.editor.zoom;
@@ -6509,7 +7523,9 @@ class BitsDraw {
         }
         
         // Always draw pixel-perfect rectangle preview with red overlay
-        const rectPixels = this.getRectPixels(x1, y1, x2, y2);
+        const rectPixels = this.shapeCornerRadius > 0
+            ? this.getU8g2ShapePixels(x1, y1, x2, y2, 0)
+            : this.getRectPixels(x1, y1, x2, y2);
         
         // Draw preview pixels as red semi-transparent overlay
         ctx.save();
@@ -6607,7 +7623,9 @@ class BitsDraw {
         }
         
         // Always draw pixel-perfect ellipse preview with red overlay
-        const ellipsePixels = this.getEllipsePixels(centerX, centerY, radiusX, radiusY);
+        const ellipsePixels = this.circleArcMode
+            ? this.getU8g2ShapePixels(startX, startY, endX, endY, 0)
+            : this.getEllipsePixels(centerX, centerY, radiusX, radiusY);
         
         // Draw preview pixels as red semi-transparent overlay
         ctx.save();
@@ -6623,6 +7641,26 @@ class BitsDraw {
         ctx.restore();
     }
 
+    /**
+     * Pixels for the shape modes that follow u8g2's own rasterizers: rounded rectangles
+     * (drawRBox/drawRFrame) and arcs (drawArc). Arcs use the largest circle that fits the drag.
+     */
+    getU8g2ShapePixels(startX, startY, endX, endY, drawValue) {
+        const options = { border: this.unifiedShapeBorder, filled: this.unifiedShapeFill };
+        
+        if (this.currentShapeMode === 'rectangle') {
+            return this.editor.getRoundedRectShapePixels(startX, startY, endX, endY,
+                this.shapeCornerRadius, options, this.currentPattern, drawValue);
+        }
+        
+        const { centerX, centerY, radiusX, radiusY } = this.calculateEllipseParams(
+            startX, startY, endX, endY, this.shiftPressed, this.altPressed
+        );
+        return this.editor.getArcShapePixels(centerX, centerY, Math.floor(Math.min(radiusX, radiusY)),
+            this.editor.degreesToU8g2Angle(this.arcStartAngle), this.editor.degreesToU8g2Angle(this.arcEndAngle),
+            options, this.currentPattern, drawValue);
+    }
+
     clearShapePreview() {
         this.editor.redraw();
         if (this.selection) {
@@ -6630,6 +7668,226 @@ class BitsDraw {
         }
     }
 
+    // ===== POLYLINE AND BÉZIER TOOLS =====
+
+    /**
+     * Place a polyline vertex. Clicking the first vertex closes the shape as a polygon,
+     * double-clicking finishes it (closed only when the polygon option is on).
+     */
+    addPolylinePoint(coords, e) {
+        if (!this.polylinePoints) {
+            this.polylinePoints = [coords];
+            this.polylineCursor = coords;
+            this.polylineDrawValue = e.button === 0 ? 0 : 1; // Left = primary, right = secondary
+            this.drawPendingShapePreview();
+            return;
+        }
+        
+        const points = this.polylinePoints;
+        const first = points[0];
+        const last = points[points.length - 1];
+        // Allow a few screen pixels of slack when hitting the first vertex
+        const snap = Math.max(1, Math.round(6 / this.editor.zoom));
+        const onFirst = Math.abs(coords.x - first.x) <= snap && Math.abs(coords.y - first.y) <= snap;
+        
+        if (onFirst && points.length >= 3) {
+            this.finishPolyline(true);
+            return;
+        }
+        
+        if (last.x !== coords.x || last.y !== coords.y) {
+            points.push(coords);
+        }
+        
+        if (e.detail > 1) {
+            this.finishPolyline(this.polylineClosed);
+            return;
+        }
+        
+        this.polylineCursor = coords;
+        this.drawPendingShapePreview();
+    }
+
+    removeLastPolylinePoint() {
+        if (!this.polylinePoints) return;
+        
+        if (this.polylinePoints.length > 1) {
+            this.polylinePoints.pop();
+            this.drawPendingShapePreview();
+        } else {
+            this.cancelPendingShape();
+        }
+    }
+
+    finishPolyline(closed = this.polylineClosed) {
+        const points = this.polylinePoints;
+        this.polylinePoints = null;
+        this.polylineCursor = null;
+        
+        if (points && points.length >= 2) {
+            const pixels = this.editor.getPolygonShapePixels(points, {
+                closed,
+                border: this.polylineBorder,
+                filled: this.polylineFill
+            }, this.currentPattern, this.polylineDrawValue);
+            this.editor.drawShapePixels(pixels);
+            this.editor.saveState();
+            requestAnimationFrame(() => this.updateOutput());
+        }
+        this.clearShapePreview();
+    }
+
+    /**
+     * Start dragging a Bézier handle, or start a new curve by dragging from its start to its end.
+     * Clicking away from the handles of a pending curve draws it.
+     */
+    startBezierDrag(coords, e) {
+        if (this.bezierCurve) {
+            const index = this.getBezierHandleAt(coords);
+            if (index === -1) {
+                this.finishBezierCurve();
+                return;
+            }
+            this.bezierCurve.dragIndex = index;
+        } else {
+            this.bezierCurve = {
+                points: [coords, { ...coords }, { ...coords }, { ...coords }],
+                dragIndex: 3,
+                creating: true, // Control points follow the end point until the first drag ends
+                drawValue: e.button === 0 ? 0 : 1
+            };
+        }
+        
+        this.globalMouseTracking = true;
+        this.drawPendingShapePreview();
+    }
+
+    updateBezierDrag(coords) {
+        const curve = this.bezierCurve;
+        curve.points[curve.dragIndex] = coords;
+        
+        if (curve.creating) {
+            const [start, , , end] = curve.points;
+            curve.points[1] = {
+                x: Math.round(start.x + (end.x - start.x) / 3),
+                y: Math.round(start.y + (end.y - start.y) / 3)
+            };
+            curve.points[2] = {
+                x: Math.round(start.x + (end.x - start.x) * 2 / 3),
+                y: Math.round(start.y + (end.y - start.y) * 2 / 3)
+            };
+        }
+        this.drawPendingShapePreview();
+    }
+
+    endBezierDrag() {
+        const curve = this.bezierCurve;
+        if (!curve || curve.dragIndex === null) return;
+        
+        curve.dragIndex = null;
+        if (curve.creating) {
+            curve.creating = false;
+            const [start, , , end] = curve.points;
+            // A click without a drag does not make a curve
+            if (start.x === end.x && start.y === end.y) {
+                this.cancelPendingShape();
+            }
+        }
+    }
+
+    /**
+     * @returns {number} Index of the Bézier point under the cursor, or -1
+     */
+    getBezierHandleAt(coords) {
+        const snap = Math.max(1, Math.round(6 / this.editor.zoom));
+        // Control points first, they often sit close to the ends
+        return [1, 2, 0, 3].find(index => {
+            const point = this.bezierCurve.points[index];
+            return Math.abs(coords.x - point.x) <= snap && Math.abs(coords.y - point.y) <= snap;
+        }) ?? -1;
+    }
+
+    finishBezierCurve() {
+        const curve = this.bezierCurve;
+        this.bezierCurve = null;
+        
+        if (curve) {
+            const pixels = this.editor.getBezierShapePixels(curve.points, this.currentPattern, curve.drawValue);
+            this.editor.drawShapePixels(pixels);
+            this.editor.saveState();
+            requestAnimationFrame(() => this.updateOutput());
+        }
+        this.clearShapePreview();
+    }
+
+    finishPendingShape() {
+        if (this.polylinePoints) {
+            this.finishPolyline();
+        } else if (this.bezierCurve) {
+            this.finishBezierCurve();
+        }
+    }
+
+    cancelPendingShape() {
+        this.polylinePoints = null;
+        this.polylineCursor = null;
+        this.bezierCurve = null;
+        this.clearShapePreview();
+    }
+
+    /**
+     * Preview the polyline or curve being edited with the exact pixels it will draw,
+     * plus its vertices or control handles
+     */
+    drawPendingShapePreview() {
+        if (!this.polylinePoints && !this.bezierCurve) return;
+        
+        const ctx = this.editor.ctx;
+        const zoom = this.editor.zoom;
+        let handles;
+        
+        this.editor.redraw();
+        
+        if (this.polylinePoints) {
+            const points = [...this.polylinePoints, this.polylineCursor];
+            const pixels = this.editor.getPolygonShapePixels(points, {
+                closed: this.polylineClosed,
+                border: this.polylineBorder,
+                filled: this.polylineFill
+            }, this.currentPattern, this.polylineDrawValue);
+            const first = points[0];
+            const last = points[points.length - 1];
+            this.drawActualPixelPreview(first.x, first.y, last.x, last.y, 'polyline', pixels);
+            handles = this.polylinePoints;
+        } else if (this.bezierCurve) {
+            const [start, control1, control2, end] = this.bezierCurve.points;
+            const pixels = this.editor.getBezierShapePixels(this.bezierCurve.points, this.currentPattern, this.bezierCurve.drawValue);
+            this.drawActualPixelPreview(start.x, start.y, end.x, end.y, 'bezier', pixels);
+            handles = this.bezierCurve.points;
+            
+            // Control arms
+            ctx.save();
+            ctx.strokeStyle = 'rgba(255, 0, 0, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo((start.x + 0.5) * zoom, (start.y + 0.5) * zoom);
+            ctx.lineTo((control1.x + 0.5) * zoom, (control1.y + 0.5) * zoom);
+            ctx.moveTo((end.x + 0.5) * zoom, (end.y + 0.5) * zoom);
+            ctx.lineTo((control2.x + 0.5) * zoom, (control2.y + 0.5) * zoom);
+            ctx.stroke();
+            ctx.restore();
+        }
+        
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 0, 0, 0.9)';
+        ctx.lineWidth = 1;
+        handles.forEach(point => {
+            ctx.strokeRect(point.x * zoom - 1.5, point.y * zoom - 1.5, zoom + 3, zoom + 3);
+        });
+        ctx.restore();
+    }
+
     // ===== PIXEL-PERFECT PREVIEW HELPERS =====
     
     getLinePixels(x1, y1, x2, y2) {
@@ -6810,10 +8068,6 @@ class BitsDraw {
      * Export animation as GIF (Phase 5)
      */
     async exportAnimationGIF() {
-        // GIF export is currently disabled
-        alert('GIF export is currently disabled.');
-        return;
-        
         // Check if we have multiple sheets for animation
         if (!this.sheets || this.sheets.length <= 1) {
             alert('Animation export requires multiple sheets. Please create additional sheets to use this feature.');
@@ -6835,10 +8089,7 @@ class BitsDraw {
     /**
      * Show animation export dialog with format options
      */
-    async showAnimationExportDialog(frameRate, loop) {
-        // Animation system is disabled
-        alert('Animation export is currently disabled.');
-        return;
+    async showAnimationExportDialog(frameRate, loop, initialFormat = 'gif') {
         // Create modal dialog
         const modal = document.createElement('div');
         modal.className = 'dialog-overlay';
@@ -6853,10 +8104,14 @@ class BitsDraw {
                 </div>
                 <div class="dialog-content">
                     <div class="export-formats">
-                        <button class="format-btn active" data-format="gif">
+                        <button class="format-btn ${initialFormat === 'gif' ? 'active' : ''}" data-format="gif">
                             <i class="ph ph-gif"></i>
                             <span>GIF</span>
                         </button>
+                        <button class="format-btn ${initialFormat === 'apng' ? 'active' : ''}" data-format="apng">
+                            <i class="ph ph-file-png"></i>
+                            <span>APNG</span>
+                        </button>
                         <button class="format-btn" data-format="png-sequence">
                             <i class="ph ph-images"></i>
                             <span>PNG</span>
@@ -6876,9 +8131,13 @@ class BitsDraw {
                             <label>Name:</label>
                             <input type="text" id="project-name" value="animation" placeholder="filename">
                         </div>
+                        <div id="apng-plays-section" class="setting-row" style="display: ${initialFormat === 'apng' ? 'flex' : 'none'};">
+                            <label for="anim-export-plays">Plays (0 = loop forever):</label>
+                            <input type="number" id="anim-export-plays" min="0" max="65535" value="${loop ? 0 : 1}">
+                        </div>
                     </div>
                     
-                    <div id="gif-quality-section" class="quality-section">
+                    <div id="gif-quality-section" class="quality-section" style="display: ${initialFormat === 'gif' ? 'block' : 'none'};">
                         <div class="quality-buttons">
                             <button class="quality-btn" data-quality="fast">Fast</button>
                             <button class="quality-btn active" data-quality="balanced">Balanced</button>
@@ -6908,8 +8167,10 @@ class BitsDraw {
         const formatBtns = modal.querySelectorAll('.format-btn');
         const qualityBtns = modal.querySelectorAll('.quality-btn');
         const gifQualitySection = modal.querySelector('#gif-quality-section');
+        const apngPlaysSection = modal.querySelector('#apng-plays-section');
+        const playsInput = modal.querySelector('#anim-export-plays');
         
-        let selectedFormat = 'gif';
+        let selectedFormat = initialFormat;
         let selectedQuality = 'balanced';
         
         fpsSlider.addEventListener('input', () => {
@@ -6930,6 +8191,9 @@ class BitsDraw {
                 } else {
                     gifQualitySection.style.display = 'none';
                 }
+                
+                // APNG stores its play count in acTL
+                apngPlaysSection.style.display = selectedFormat === 'apng' ? 'flex' : 'none';
             });
         });
 
@@ -6962,6 +8226,7 @@ class BitsDraw {
                 
                 const finalFrameRate = parseInt(fpsSlider.value);
                 const projectName = modal.querySelector('#project-name').value || 'animation';
+                const playCount = Math.max(0, Math.min(65535, parseInt(playsInput.value) || 0));
                 
                 console.log(`📋 Export settings: format=${selectedFormat}, fps=${finalFrameRate}, name=${projectName}, quality=${selectedQuality}`);
 
@@ -6969,7 +8234,7 @@ class BitsDraw {
 
                 try {
                     console.log('🎬 Starting performAnimationExport...');
-                    await this.performAnimationExport(selectedFormat, finalFrameRate, projectName, selectedQuality);
+                    await this.performAnimationExport(selectedFormat, finalFrameRate, projectName, selectedQuality, playCount);
                     console.log('✅ Export completed successfully');
                     resolve(true);
                 } catch (error) {
@@ -6982,8 +8247,9 @@ class BitsDraw {
 
     /**
      * Perform the actual animation export
+     * @param {number|null} playCount APNG play count (0 = forever); null follows the loop toggle
      */
-    async performAnimationExport(format, frameRate, projectName, quality = 'balanced') {
+    async performAnimationExport(format, frameRate, projectName, quality = 'balanced', playCount = null) {
         console.log('🔧 performAnimationExport called with:', { format, frameRate, projectName, quality });
         
         // Show loading indicator
@@ -7004,11 +8270,16 @@ class BitsDraw {
         exporter.getSheetPixelData = (sheet, width, height) => {
             return this.getSheetCompositePixels(sheet);
         };
+        exporter.getSheetAlphaData = (sheet, width, height) => {
+            return this.getSheetCompositeAlpha(sheet);
+        };
 
         const settings = {
             width: this.editor.width,
             height: this.editor.height,
             frameRate: frameRate,
+            loop: this.animationState ? this.animationState.loop : true,
+            playCount: playCount,
             projectName: projectName,
             quality: quality
         };
@@ -7018,6 +8289,8 @@ class BitsDraw {
         try {
             if (format === 'gif') {
                 result = await exporter.exportGIF(this.sheets, settings);
+            } else if (format === 'apng') {
+                result = await exporter.exportAPNG(this.sheets, settings);
             } else if (format === 'png-sequence') {
                 result = await exporter.exportPngSequence(this.sheets, settings);
             } else if (format === 'webm') {
@@ -7142,37 +8415,40 @@ class BitsDraw {
      * Get composite pixel data for a sheet
      */
     getSheetCompositePixels(sheet) {
-        // Temporarily switch to the sheet
-        const currentSheet = this.currentSheet;
-        this.switchToSheet(sheet.id);
-        
-        // Get composite data
-        const composite = this.editor.compositeAllLayers();
-        const pixels = new Uint8Array(composite.pixels.length);
-        
-        // Copy pixel data
-        for (let i = 0; i < composite.pixels.length; i++) {
-            pixels[i] = composite.pixels[i];
+        // The active sheet only holds the editor's layers once saved
+        if (sheet.id === this.currentSheetId) {
+            this.saveCurrentSheetState();
         }
-        
-        // Switch back to original sheet
-        this.switchToSheet(currentSheet);
-        
-        return pixels;
+        return this.compositeSheetLayers(sheet).pixels;
+    }
+
+    /**
+     * Get composite alpha data for a sheet
+     */
+    getSheetCompositeAlpha(sheet) {
+        if (sheet.id === this.currentSheetId) {
+            this.saveCurrentSheetState();
+        }
+        return this.compositeSheetLayers(sheet).alpha;
     }
 
     /**
      * Export animation as APNG (Phase 5)
      */
-    exportAnimationAPNG() {
-        // Animation export temporarily disabled
-        alert('APNG export is temporarily unavailable. Please use GIF export instead.');
-        return;
+    async exportAnimationAPNG() {
+        if (!this.sheets || this.sheets.length <= 1) {
+            alert('Animation export requires multiple sheets. Please create additional sheets to use this feature.');
+            return;
+        }
+
+        const frameRate = this.animationState ? this.animationState.speed : 12;
+        const loop = this.animationState ? this.animationState.loop : true;
         
-        if (this.legacyAdapter) {
-            this.legacyAdapter.exportAnimationAPNG();
-        } else {
-            alert('Animation export requires the advanced CanvasUnit system.');
+        try {
+            await this.showAnimationExportDialog(frameRate, loop, 'apng');
+        } catch (error) {
+            console.error('Animation export error:', error);
+            alert('Failed to export animation. Please try again.');
         }
     }
 
@@ -7187,6 +8463,13 @@ class BitsDraw {
         }
     }
 
+    /**
+     * Export sheets as a Playdate image table (.pdt), one cell per sheet
+     */
+    exportPlaydateImageTable() {
+        return this.exportToFormat('pdt', { source: 'sheets' });
+    }
+
     // Helper method for animation system to select sheets by number
     selectSheet(sheetNumber) {
         if (sheetNumber >= 1 && sheetNumber <= this.sheets.length) {
@@ -9767,6 +11050,14 @@ class BitsDraw {
             <div class="tool-options-separator"></div>
         `;
         
+        // A free transform in progress takes over the bar until it is applied or cancelled
+        if (this.freeTransform) {
+            this.toolOptionsBar.innerHTML = activeToolIndicatorHTML + this.getFreeTransformOptionsHTML();
+            this.attachFreeTransformOptionEvents();
+            this.updateActiveToolIndicator(this.currentTool);
+            return;
+        }
+        
         // Add options based on current tool
         const tool = this.currentTool;
         
@@ -9936,6 +11227,31 @@ class BitsDraw {
                         <i class="ph ph-paint-bucket"></i>
                     </button>
                 </div>
+                ${this.currentShapeMode === 'rectangle' ? `
+                <div class="option-group" title="Corner radius (matches u8g2 drawRBox/drawRFrame)">
+                    <span class="transform-field-label">Radius</span>
+                    <div class="number-input">
+                        <button type="button" id="shape-radius-dec">−</button>
+                        <input type="number" id="shape-radius-bar" min="0" max="64" value="${this.shapeCornerRadius}">
+                        <button type="button" id="shape-radius-inc">+</button>
+                    </div>
+                </div>` : `
+                <div class="option-group">
+                    <button class="btn-toggle ${this.circleArcMode ? 'active' : ''}" id="shape-arc-bar" title="Arc / pie (matches u8g2 drawArc, fill draws to the center)">
+                        <i class="ph ph-chart-pie-slice"></i>
+                    </button>
+                </div>
+                <div class="option-group" title="Arc angles in degrees, counter-clockwise from 3 o'clock">
+                    <span class="transform-field-label">Start</span>
+                    <div class="number-input">
+                        <input type="number" id="arc-start-bar" min="0" max="360" step="15" value="${this.arcStartAngle}" ${this.circleArcMode ? '' : 'disabled'}>
+                    </div>
+                    <span class="transform-field-label">End</span>
+                    <div class="number-input">
+                        <input type="number" id="arc-end-bar" min="0" max="360" step="15" value="${this.arcEndAngle}" ${this.circleArcMode ? '' : 'disabled'}>
+                    </div>
+                    <span class="transform-field-label">°</span>
+                </div>`}
             `;
             
             // Shape mode selection event handlers
@@ -9947,16 +11263,15 @@ class BitsDraw {
             if (shapeRectangleBar) {
                 shapeRectangleBar.addEventListener('click', () => {
                     this.currentShapeMode = 'rectangle';
-                    shapeRectangleBar.classList.add('active');
-                    if (shapeCircleBar) shapeCircleBar.classList.remove('active');
+                    // Re-render to swap the radius and arc options
+                    this.updateToolOptionsBar();
                 });
             }
             
             if (shapeCircleBar) {
                 shapeCircleBar.addEventListener('click', () => {
                     this.currentShapeMode = 'circle';
-                    shapeCircleBar.classList.add('active');
-                    if (shapeRectangleBar) shapeRectangleBar.classList.remove('active');
+                    this.updateToolOptionsBar();
                 });
             }
             
@@ -9974,6 +11289,103 @@ class BitsDraw {
                 });
             }
             
+            const shapeRadiusBar = document.getElementById('shape-radius-bar');
+            const shapeRadiusInc = document.getElementById('shape-radius-inc');
+            const shapeRadiusDec = document.getElementById('shape-radius-dec');
+            const shapeArcBar = document.getElementById('shape-arc-bar');
+            const arcStartBar = document.getElementById('arc-start-bar');
+            const arcEndBar = document.getElementById('arc-end-bar');
+            
+            if (shapeRadiusBar) {
+                shapeRadiusBar.addEventListener('input', (e) => {
+                    this.shapeCornerRadius = Math.max(0, Math.min(64, parseInt(e.target.value) || 0));
+                });
+            }
+            
+            if (shapeRadiusInc) {
+                shapeRadiusInc.addEventListener('click', () => {
+                    if (this.shapeCornerRadius < 64) {
+                        this.shapeCornerRadius++;
+                        shapeRadiusBar.value = this.shapeCornerRadius;
+                    }
+                });
+            }
+            
+            if (shapeRadiusDec) {
+                shapeRadiusDec.addEventListener('click', () => {
+                    if (this.shapeCornerRadius > 0) {
+                        this.shapeCornerRadius--;
+                        shapeRadiusBar.value = this.shapeCornerRadius;
+                    }
+                });
+            }
+            
+            if (shapeArcBar) {
+                shapeArcBar.addEventListener('click', () => {
+                    this.circleArcMode = !this.circleArcMode;
+                    shapeArcBar.classList.toggle('active', this.circleArcMode);
+                    if (arcStartBar) arcStartBar.disabled = !this.circleArcMode;
+                    if (arcEndBar) arcEndBar.disabled = !this.circleArcMode;
+                });
+            }
+            
+            if (arcStartBar) {
+                arcStartBar.addEventListener('input', (e) => {
+                    this.arcStartAngle = parseInt(e.target.value) || 0;
+                });
+            }
+            
+            if (arcEndBar) {
+                arcEndBar.addEventListener('input', (e) => {
+                    this.arcEndAngle = parseInt(e.target.value) || 0;
+                });
+            }
+            
+        } else if (tool === 'polyline') {
+            this.toolOptionsBar.innerHTML = activeToolIndicatorHTML + `
+                <div class="option-group">
+                    <button class="btn-toggle ${this.polylineClosed ? 'active' : ''}" id="polyline-closed-bar" title="Closed polygon (clicking the first vertex always closes)">
+                        <i class="ph ph-polygon"></i>
+                    </button>
+                </div>
+                <div class="option-group">
+                    <button class="btn-toggle ${this.polylineBorder ? 'active' : ''}" id="polyline-border-bar" title="Border">
+                        <i class="ph ph-selection-background"></i>
+                    </button>
+                    <button class="btn-toggle ${this.polylineFill ? 'active' : ''}" id="polyline-fill-bar" title="Fill with the current pattern (closed polygons)">
+                        <i class="ph ph-paint-bucket"></i>
+                    </button>
+                </div>
+            `;
+            
+            const polylineClosedBar = document.getElementById('polyline-closed-bar');
+            const polylineBorderBar = document.getElementById('polyline-border-bar');
+            const polylineFillBar = document.getElementById('polyline-fill-bar');
+            
+            if (polylineClosedBar) {
+                polylineClosedBar.addEventListener('click', () => {
+                    this.polylineClosed = !this.polylineClosed;
+                    polylineClosedBar.classList.toggle('active', this.polylineClosed);
+                    this.drawPendingShapePreview();
+                });
+            }
+            
+            if (polylineBorderBar) {
+                polylineBorderBar.addEventListener('click', () => {
+                    this.polylineBorder = !this.polylineBorder;
+                    polylineBorderBar.classList.toggle('active', this.polylineBorder);
+                    this.drawPendingShapePreview();
+                });
+            }
+            
+            if (polylineFillBar) {
+                polylineFillBar.addEventListener('click', () => {
+                    this.polylineFill = !this.polylineFill;
+                    polylineFillBar.classList.toggle('active', this.polylineFill);
+                    this.drawPendingShapePreview();
+                });
+            }
+            
         } else if (tool === 'spray') {
             this.toolOptionsBar.innerHTML = activeToolIndicatorHTML + `
                 <div class="option-group">
@@ -10139,8 +11551,27 @@ class BitsDraw {
                 </div>
             `;
             
-        } else if (tool === 'select-rect' || tool === 'select-circle') {
+        } else if (this.isSelectionTool(tool)) {
+            const modeButton = (mode, icon, title) => `
+                    <button class="btn-toggle ${this.selectionMode === mode ? 'active' : ''}" data-selection-mode="${mode}" title="${title}">
+                        <i class="ph ${icon}"></i>
+                    </button>`;
+            const wandOptions = tool !== 'select-wand' ? '' : `
+                <div class="option-group">
+                    <button class="btn-toggle ${this.wandContiguous ? 'active' : ''}" id="wand-contiguous-bar" title="Contiguous (off selects every matching pixel)">
+                        <i class="ph ph-path"></i>
+                    </button>
+                    <button class="btn-toggle ${this.wandMatchAlpha ? 'active' : ''}" id="wand-match-alpha-bar" title="Match pixel + alpha (off matches the pixel value only)">
+                        <i class="ph ph-checkerboard"></i>
+                    </button>
+                    <button class="btn-toggle" id="wand-connectivity-bar" title="Neighbours followed by contiguous selection">
+                        ${this.wandConnectivity}-way
+                    </button>
+                </div>`;
+            
             this.toolOptionsBar.innerHTML = activeToolIndicatorHTML + `
+                <div class="option-group">${modeButton('replace', 'ph-selection', 'New selection')}${modeButton('add', 'ph-selection-plus', 'Add to selection (Shift)')}${modeButton('subtract', 'ph-selection-slash', 'Subtract from selection (Alt)')}${modeButton('intersect', 'ph-intersect', 'Intersect with selection (Shift+Alt)')}
+                </div>${wandOptions}
                 <div class="option-group">
                     <button id="select-copy-bar" class="btn-toggle">
                         <i class="ph ph-copy"></i>
@@ -10171,6 +11602,37 @@ class BitsDraw {
                 this.editor.redraw();
             });
             
+            this.toolOptionsBar.querySelectorAll('[data-selection-mode]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.selectionMode = btn.dataset.selectionMode;
+                    this.toolOptionsBar.querySelectorAll('[data-selection-mode]').forEach(other => {
+                        other.classList.toggle('active', other === btn);
+                    });
+                });
+            });
+            
+            const wandContiguousBar = document.getElementById('wand-contiguous-bar');
+            const wandMatchAlphaBar = document.getElementById('wand-match-alpha-bar');
+            const wandConnectivityBar = document.getElementById('wand-connectivity-bar');
+            if (wandContiguousBar) {
+                wandContiguousBar.addEventListener('click', () => {
+                    this.wandContiguous = !this.wandContiguous;
+                    wandContiguousBar.classList.toggle('active', this.wandContiguous);
+                });
+            }
+            if (wandMatchAlphaBar) {
+                wandMatchAlphaBar.addEventListener('click', () => {
+                    this.wandMatchAlpha = !this.wandMatchAlpha;
+                    wandMatchAlphaBar.classList.toggle('active', this.wandMatchAlpha);
+                });
+            }
+            if (wandConnectivityBar) {
+                wandConnectivityBar.addEventListener('click', () => {
+                    this.wandConnectivity = this.wandConnectivity === 4 ? 8 : 4;
+                    wandConnectivityBar.textContent = `${this.wandConnectivity}-way`;
+                });
+            }
+            
         } else if (tool === 'guide') {
             this.toolOptionsBar.innerHTML = activeToolIndicatorHTML + `
                 <div class="option-group">
@@ -10794,8 +12256,14 @@ class BitsDraw {
             const bitmapData = {
                 width: this.editor.width,
                 height: this.editor.height,
-                pixels: editorBitmapData.pixels || editorBitmapData // Handle both formats
+                pixels: editorBitmapData.pixels || editorBitmapData, // Handle both formats
+                alpha: editorBitmapData.alpha
             };
+            
+            // Multi-image formats (e.g. Playdate image tables) read one frame per sheet or layer
+            if (options.source) {
+                bitmapData.frames = this.getExportFrames(options.source);
+            }
 
             this.showNotification(`Exporting to ${format.toUpperCase()}...`, 'info');
 
@@ -10805,6 +12273,9 @@ class BitsDraw {
             BitmapExporter.downloadExport(exportData, filename, format);
             
             this.showNotification(`${format.toUpperCase()} export completed successfully!`, 'success');
+            if (options.source === 'sheets') {
+                this.warnSkippedExportSheets();
+            }
             return true;
 
         } catch (error) {
@@ -10845,12 +12316,16 @@ class BitsDraw {
             .map(([key, info]) => `${key}: ${info.name} - ${info.description}`)
             .join('\n');
 
+        // Projects created from a template (e.g. Playdate) suggest their own format
+        const defaultFormat = this.projectManager?.getCurrentProject()?.export?.format;
         const selectedFormat = prompt(
             `Select export format:\n\n${formatList}\n\nEnter format code:`,
-            'svg'
+            formats[defaultFormat] ? defaultFormat : 'png'
         );
 
-        if (selectedFormat && formats[selectedFormat]) {
+        if (selectedFormat === 'pdt') {
+            this.exportPlaydateImageTable();
+        } else if (selectedFormat && formats[selectedFormat]) {
             this.exportToFormat(selectedFormat);
         } else if (selectedFormat) {
             this.showNotification('Invalid format selected', 'error');
@@ -257,9 +257,9 @@ class LegacyAdapter {
         }
 
         try {
-            if (typeof AnimationExporter !== 'undefined') {
-                this.animationExporter = new AnimationExporter(this.unitManager);
-                console.log('AnimationExporter initialized');
+            if (typeof CanvasUnitAnimationExporter !== 'undefined') {
+                this.animationExporter = new CanvasUnitAnimationExporter(this.unitManager);
+                console.log('CanvasUnitAnimationExporter initialized');
                 
                 if (typeof AnimationExportDialog !== 'undefined') {
                     this.animationExportDialog = new AnimationExportDialog(this.animationExporter);
@@ -306,7 +306,7 @@ class LegacyAdapter {
 
     /**
      * Get animation exporter instance
-     * @returns {AnimationExporter|null} Animation exporter
+     * @returns {CanvasUnitAnimationExporter|null} Animation exporter
      */
     getAnimationExporter() {
         return this.animationExporter;
@@ -135,6 +135,7 @@ class ProjectManager {
         Object.assign(project.canvas, templateData.canvas || {});
         Object.assign(project.views, templateData.views || {});
         Object.assign(project.tools, templateData.tools || {});
+        Object.assign(project.export, templateData.export || {});
 
         // Apply template content if available
         if (templateData.units) {
@@ -164,11 +165,15 @@ class ProjectManager {
             },
             'playdate-400x240': {
                 meta: { name: 'Playdate Console 400×240' },
-                canvas: { width: 400, height: 240 }
+                description: 'Playdate display colors, exports .pdi images and .pdt tables',
+                canvas: { width: 400, height: 240, displayMode: 'playdate' },
+                export: { format: 'pdi' }
             },
             'gameboy-160x144': {
                 meta: { name: 'Game Boy 160×144' },
-                canvas: { width: 160, height: 144 }
+                description: 'Full-screen background, exports deduplicated tiles + tilemap',
+                canvas: { width: 160, height: 144 },
+                export: { format: 'gameboy-tilemap' }
             },
             'animation': {
                 meta: { name: 'Animation Template' },
@@ -1,43 +1,45 @@
 /**
- * AnimationExporter - Advanced animation export capabilities
+ * CanvasUnitAnimationExporter - Advanced animation export capabilities
  * 
  * Exports animations in various formats including GIF, APNG, and sprite sheets
- * Leverages CanvasUnit system for frame-based animations
+ * Leverages CanvasUnit system for frame-based animations. Named apart from the
+ * sheet-based AnimationExporter (utils/animationExporter.js); both write APNG with ApngEncoder.
  */
-class AnimationExporter {
+class CanvasUnitAnimationExporter {
     constructor(unitManager) {
         this.unitManager = unitManager;
         
-        // GIF.js library integration (will be loaded dynamically)
+        // GIF.js library integration (loaded on the first GIF export)
         this.gifLibrary = null;
-        this.loadGifLibrary();
     }
 
     /**
-     * Load GIF.js library dynamically
+     * Load GIF.js library on demand
+     * @returns {Promise<Function|null>} GIF constructor, or null when it can't be loaded
      */
-    async loadGifLibrary() {
-        try {
-            // Check if gif.js is already loaded
-            if (typeof GIF !== 'undefined') {
-                this.gifLibrary = GIF;
-                return;
-            }
+    loadGifLibrary() {
+        if (typeof GIF !== 'undefined') {
+            this.gifLibrary = GIF;
+        }
+        if (this.gifLibrary) {
+            return Promise.resolve(this.gifLibrary);
+        }
 
+        return new Promise(resolve => {
             // Load gif.js from CDN
             const script = document.createElement('script');
             script.src = 'https://cdn.jsdelivr.net/npm/gif.js@0.2.0/dist/gif.min.js';
             script.onload = () => {
-                this.gifLibrary = window.GIF;
-                console.log('GIF.js library loaded');
+                this.gifLibrary = window.GIF || null;
+                resolve(this.gifLibrary);
             };
             script.onerror = () => {
+                script.remove();
                 console.warn('Failed to load GIF.js library - GIF export will not be available');
+                resolve(null);
             };
             document.head.appendChild(script);
-        } catch (error) {
-            console.warn('GIF library loading error:', error);
-        }
+        });
     }
 
     /**
@@ -46,7 +48,7 @@ class AnimationExporter {
      * @returns {Promise<Blob>} GIF blob
      */
     async exportGIF(options = {}) {
-        if (!this.gifLibrary) {
+        if (!await this.loadGifLibrary()) {
             throw new Error('GIF library not available. Animation export requires gif.js.');
         }
 
@@ -116,6 +118,7 @@ class AnimationExporter {
             endFrame = null,
             fps = 12,
             loop = true,
+            loopCount = 0,
             scale = 1
         } = options;
 
@@ -125,8 +128,6 @@ class AnimationExporter {
             throw new Error('No animation frames found to export');
         }
 
-        // For now, we'll create a simplified APNG by encoding each frame as PNG
-        // and combining them (this is a basic implementation)
         const frameDelay = Math.round(1000 / fps);
         
         try {
@@ -135,9 +136,7 @@ class AnimationExporter {
                 this.createFrameCanvas(frame.unit, scale)
             );
 
-            // For basic APNG support, we'll use a canvas-based approach
-            // In a production environment, you might want to use a dedicated APNG library
-            const apngData = await this.createSimpleAPNG(frameCanvases, frameDelay, loop);
+            const apngData = await this.createSimpleAPNG(frameCanvases, frameDelay, loop ? loopCount : 1);
             return apngData;
 
         } catch (error) {
@@ -307,41 +306,48 @@ class AnimationExporter {
     }
 
     /**
-     * Create simple APNG (basic implementation)
+     * Create an APNG (acTL/fcTL/fdAT) from frame canvases.
+     * Frames are stored as 2-bit indexed PNG (white, black, transparent); every frame after
+     * the first is cropped to the region that changed since the previous frame.
      * @param {HTMLCanvasElement[]} frameCanvases Array of frame canvases
-     * @param {number} frameDelay Delay between frames in ms
-     * @param {boolean} loop Whether to loop
+     * @param {number|number[]} frameDelay Delay in ms, or one delay per frame
+     * @param {boolean|number} loop true = loop forever, false = play once, number = play count (0 = forever)
      * @returns {Promise<Blob>} APNG blob
      */
     async createSimpleAPNG(frameCanvases, frameDelay, loop) {
-        // For this implementation, we'll create a simple animated canvas
-        // In production, you'd want to use a proper APNG encoder
-        
-        if (frameCanvases.length === 1) {
-            // Single frame - just return as PNG
-            return new Promise((resolve) => {
-                frameCanvases[0].toBlob(resolve, 'image/png');
-            });
-        }
-
-        // For multiple frames, we'll create a combined canvas with frame data
-        // This is a simplified approach - real APNG requires proper encoding
-        const firstFrame = frameCanvases[0];
-        const canvas = document.createElement('canvas');
-        canvas.width = firstFrame.width;
-        canvas.height = firstFrame.height;
-        const ctx = canvas.getContext('2d');
+        const width = frameCanvases[0].width;
+        const height = frameCanvases[0].height;
+        const delays = frameCanvases.map((_, i) =>
+            Array.isArray(frameDelay) ? (frameDelay[i] ?? frameDelay[frameDelay.length - 1]) : frameDelay);
+        const numPlays = typeof loop === 'number' ? loop : (loop ? 0 : 1);
+
+        const indexedFrames = frameCanvases.map(canvas => {
+            const ctx = canvas.getContext('2d');
+            return this.canvasToPaletteIndices(ctx.getImageData(0, 0, width, height).data);
+        });
 
-        // Draw the first frame
-        ctx.drawImage(firstFrame, 0, 0);
+        const encoder = new ApngEncoder(width, height, { numPlays });
+        const bytes = await encoder.encode(indexedFrames.map((indices, i) => ({ indices, delay: delays[i] })));
+        return new Blob([bytes], { type: 'image/apng' });
+    }
 
-        // Add metadata comment (not a real APNG, but includes frame info)
-        return new Promise((resolve) => {
-            canvas.toBlob((blob) => {
-                // In a real implementation, you'd encode proper APNG chunks here
-                resolve(blob);
-            }, 'image/png');
-        });
+    /**
+     * Map RGBA data onto the APNG palette: 0 = white, 1 = black, 2 = transparent
+     * @param {Uint8ClampedArray} rgba RGBA pixel data
+     * @returns {Uint8Array} Palette indices
+     */
+    canvasToPaletteIndices(rgba) {
+        const indices = new Uint8Array(rgba.length / 4);
+        for (let i = 0; i < indices.length; i++) {
+            const o = i * 4;
+            if (rgba[o + 3] < 128) {
+                indices[i] = 2;
+            } else {
+                const luminance = rgba[o] * 0.299 + rgba[o + 1] * 0.587 + rgba[o + 2] * 0.114;
+                indices[i] = luminance < 128 ? 1 : 0;
+            }
+        }
+        return indices;
     }
 
     /**
@@ -416,7 +422,7 @@ class AnimationExporter {
     getExportCapabilities() {
         return {
             gif: {
-                available: !!this.gifLibrary,
+                available: true, // gif.js is fetched on the first GIF export
                 description: 'Animated GIF - Universal animation format',
                 maxColors: 256,
                 compression: 'LZW',
@@ -453,5 +459,5 @@ class AnimationExporter {
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = AnimationExporter;
+    module.exports = CanvasUnitAnimationExporter;
 }
\ No newline at end of file
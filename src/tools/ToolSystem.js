@@ -575,7 +575,11 @@ class CircleTool extends Tool {
         
         // Create preview overlay
         this.previewOverlay = context.editor.createPreviewOverlay();
-        this.previewOverlay.drawEllipse(centerX, centerY, radiusX, radiusY, drawFill, drawBorder);
+        if (state.tools.circleArc === true) {
+            this.previewOverlay.drawPixels(this.getArcPixels(centerX, centerY, radiusX, radiusY, state, 1, context));
+        } else {
+            this.previewOverlay.drawEllipse(centerX, centerY, radiusX, radiusY, drawFill, drawBorder);
+        }
         context.editor.showPreviewOverlay(this.previewOverlay);
     }
 
@@ -590,11 +594,13 @@ class CircleTool extends Tool {
         const drawBorder = state.tools.circleBorder !== false;
         const drawFill = state.tools.circleFill === true;
         
-        // Draw the actual circle
-        const pixels = context.editor.drawEllipse(
-            centerX, centerY, radiusX, radiusY, 
-            drawFill, drawBorder, pattern, drawValue
-        );
+        // Draw the actual circle, or an arc the way u8g2 drawArc() would
+        const pixels = state.tools.circleArc === true
+            ? context.editor.drawShapePixels(this.getArcPixels(centerX, centerY, radiusX, radiusY, state, drawValue, context))
+            : context.editor.drawEllipse(
+                centerX, centerY, radiusX, radiusY, 
+                drawFill, drawBorder, pattern, drawValue
+            );
         
         // Create command for undo/redo
         if (pixels && pixels.length > 0) {
@@ -603,6 +609,20 @@ class CircleTool extends Tool {
         }
     }
 
+    /**
+     * Arc or pie pixels on the largest circle that fits the dragged ellipse
+     */
+    getArcPixels(centerX, centerY, radiusX, radiusY, state, drawValue, context) {
+        const editor = context.editor;
+        return editor.getArcShapePixels(
+            Math.round(centerX), Math.round(centerY), Math.floor(Math.min(radiusX, radiusY)),
+            editor.degreesToU8g2Angle(state.tools.arcStart ?? 0),
+            editor.degreesToU8g2Angle(state.tools.arcEnd ?? 90),
+            { border: state.tools.circleBorder !== false, filled: state.tools.circleFill === true },
+            state.tools.pattern, drawValue
+        );
+    }
+
     calculateEllipseParams(start, end, shiftKey, altKey) {
         let centerX, centerY, radiusX, radiusY;
         
@@ -662,6 +682,38 @@ class CircleTool extends Tool {
                             defaultValue: false
                         }
                     ]
+                },
+                {
+                    title: 'Arc',
+                    controls: [
+                        {
+                            type: 'checkbox',
+                            id: 'circle-arc',
+                            label: 'Arc / Pie',
+                            statePath: 'tools.circleArc',
+                            defaultValue: false
+                        },
+                        {
+                            type: 'range',
+                            id: 'arc-start',
+                            label: 'Start Angle',
+                            min: 0,
+                            max: 360,
+                            step: 15,
+                            statePath: 'tools.arcStart',
+                            defaultValue: 0
+                        },
+                        {
+                            type: 'range',
+                            id: 'arc-end',
+                            label: 'End Angle',
+                            min: 0,
+                            max: 360,
+                            step: 15,
+                            statePath: 'tools.arcEnd',
+                            defaultValue: 90
+                        }
+                    ]
                 }
             ]
         };
@@ -706,10 +758,17 @@ class RectangleTool extends Tool {
         const state = context.stateManager.getState();
         const drawBorder = state.tools.rectBorder !== false;
         const drawFill = state.tools.rectFill === true;
+        const radius = state.tools.rectRadius || 0;
         
         // Create preview overlay
         this.previewOverlay = context.editor.createPreviewOverlay();
-        this.previewOverlay.drawRect(start.x, start.y, end.x, end.y, drawFill, drawBorder);
+        if (radius > 0) {
+            this.previewOverlay.drawPixels(context.editor.getRoundedRectShapePixels(
+                start.x, start.y, end.x, end.y, radius, { border: drawBorder, filled: drawFill }
+            ));
+        } else {
+            this.previewOverlay.drawRect(start.x, start.y, end.x, end.y, drawFill, drawBorder);
+        }
         context.editor.showPreviewOverlay(this.previewOverlay);
     }
 
@@ -719,12 +778,18 @@ class RectangleTool extends Tool {
         const drawValue = event.button === 0 ? 1 : 0;
         const drawBorder = state.tools.rectBorder !== false;
         const drawFill = state.tools.rectFill === true;
+        const radius = state.tools.rectRadius || 0;
         
-        // Draw the actual rectangle
-        const pixels = context.editor.drawRect(
-            start.x, start.y, end.x, end.y, 
-            drawFill, drawBorder, pattern, drawValue
-        );
+        // Draw the actual rectangle, rounded the way u8g2 drawRBox()/drawRFrame() would
+        const pixels = radius > 0
+            ? context.editor.drawShapePixels(context.editor.getRoundedRectShapePixels(
+                start.x, start.y, end.x, end.y, radius,
+                { border: drawBorder, filled: drawFill }, pattern, drawValue
+            ))
+            : context.editor.drawRect(
+                start.x, start.y, end.x, end.y, 
+                drawFill, drawBorder, pattern, drawValue
+            );
         
         // Create command for undo/redo
         if (pixels && pixels.length > 0) {
@@ -764,6 +829,15 @@ class RectangleTool extends Tool {
                             label: 'Fill',
                             statePath: 'tools.rectFill',
                             defaultValue: false
+                        },
+                        {
+                            type: 'range',
+                            id: 'rect-radius',
+                            label: 'Corner Radius',
+                            min: 0,
+                            max: 32,
+                            statePath: 'tools.rectRadius',
+                            defaultValue: 0
                         }
                     ]
                 }
@@ -866,8 +940,237 @@ class LineTool extends Tool {
     }
 }
 
+/**
+ * Polyline Tool Implementation
+ * Click to place vertices; double-click or Enter finishes, clicking the first vertex
+ * closes the shape as a polygon. Escape discards it and Backspace removes the last vertex.
+ */
+class PolylineTool extends Tool {
+    constructor() {
+        super('polyline', {
+            cursor: 'crosshair',
+            allowContinuousDrawing: false
+        });
+        this.points = null;
+        this.drawValue = 1;
+        this.previewOverlay = null;
+    }
+
+    onMouseDown(coords, event, context) {
+        if (!this.points) {
+            this.points = [coords];
+            this.drawValue = event.button === 0 ? 1 : 0;
+            return;
+        }
+        
+        const first = this.points[0];
+        const last = this.points[this.points.length - 1];
+        const onFirst = Math.abs(coords.x - first.x) <= 1 && Math.abs(coords.y - first.y) <= 1;
+        
+        if (onFirst && this.points.length >= 3) {
+            this.finish(context, true);
+            return;
+        }
+        if (last.x !== coords.x || last.y !== coords.y) {
+            this.points.push(coords);
+        }
+        if (event.detail > 1) {
+            this.finish(context);
+        }
+    }
+
+    onMouseMove(coords, event, context) {
+        if (this.points) {
+            this.drawPreview([...this.points, coords], context);
+        }
+    }
+
+    onKeyboard(key, event, context) {
+        if (!this.points) return;
+        
+        if (key === 'Enter') {
+            this.finish(context);
+        } else if (key === 'Escape') {
+            this.points = null;
+            this.clearPreview(context);
+        } else if (key === 'Backspace' && this.points.length > 1) {
+            this.points.pop();
+            this.drawPreview(this.points, context);
+        }
+    }
+
+    getShapeOptions(context, closed) {
+        const state = context.stateManager.getState();
+        return {
+            closed,
+            border: state.tools.polylineBorder !== false,
+            filled: state.tools.polylineFill === true
+        };
+    }
+
+    drawPreview(points, context) {
+        this.clearPreview(context);
+        
+        const state = context.stateManager.getState();
+        const pixels = context.editor.getPolygonShapePixels(
+            points, this.getShapeOptions(context, state.tools.polylineClosed === true),
+            state.tools.pattern, this.drawValue
+        );
+        
+        this.previewOverlay = context.editor.createPreviewOverlay();
+        this.previewOverlay.drawPixels(pixels);
+        context.editor.showPreviewOverlay(this.previewOverlay);
+    }
+
+    finish(context, closed = null) {
+        const points = this.points;
+        this.points = null;
+        this.clearPreview(context);
+        if (!points || points.length < 2) return;
+        
+        const state = context.stateManager.getState();
+        const shapeClosed = closed !== null ? closed : state.tools.polylineClosed === true;
+        const pixels = context.editor.drawShapePixels(context.editor.getPolygonShapePixels(
+            points, this.getShapeOptions(context, shapeClosed), state.tools.pattern, this.drawValue
+        ));
+        
+        // Create command for undo/redo
+        if (pixels && pixels.length > 0) {
+            const command = new DrawingCommand('polyline', 0, pixels);
+            context.commandSystem.execute(command, { editor: context.editor });
+        }
+    }
+
+    clearPreview(context) {
+        if (this.previewOverlay) {
+            context.editor.hidePreviewOverlay();
+            this.previewOverlay = null;
+        }
+    }
+
+    onDeactivate(context) {
+        super.onDeactivate(context);
+        this.finish(context);
+    }
+}
+
+/**
+ * Bézier Curve Tool Implementation
+ * Drag from the start point to the end point, then drag any of the four points
+ * to edit the curve. Clicking away or Enter draws it, Escape discards it.
+ */
+class BezierTool extends Tool {
+    constructor() {
+        super('bezier', {
+            cursor: 'crosshair',
+            allowContinuousDrawing: false
+        });
+        this.points = null;
+        this.dragIndex = null;
+        this.creating = false;
+        this.drawValue = 1;
+        this.previewOverlay = null;
+    }
+
+    onMouseDown(coords, event, context) {
+        if (this.points) {
+            this.dragIndex = [1, 2, 0, 3].find(index =>
+                Math.abs(coords.x - this.points[index].x) <= 1 &&
+                Math.abs(coords.y - this.points[index].y) <= 1) ?? null;
+            if (this.dragIndex === null) {
+                this.finish(context);
+            }
+            return;
+        }
+        
+        this.points = [coords, { ...coords }, { ...coords }, { ...coords }];
+        this.dragIndex = 3;
+        this.creating = true;
+        this.drawValue = event.button === 0 ? 1 : 0;
+    }
+
+    onMouseMove(coords, event, context) {
+        if (!this.points || this.dragIndex === null) return;
+        
+        this.points[this.dragIndex] = coords;
+        if (this.creating) {
+            // Control points sit on thirds of the line until the curve is edited
+            const [start, , , end] = this.points;
+            this.points[1] = { x: Math.round(start.x + (end.x - start.x) / 3), y: Math.round(start.y + (end.y - start.y) / 3) };
+            this.points[2] = { x: Math.round(start.x + (end.x - start.x) * 2 / 3), y: Math.round(start.y + (end.y - start.y) * 2 / 3) };
+        }
+        this.drawPreview(context);
+    }
+
+    onMouseUp(coords, event, context) {
+        if (this.creating) {
+            const [start, , , end] = this.points;
+            if (start.x === end.x && start.y === end.y) {
+                this.points = null;
+            }
+        }
+        this.dragIndex = null;
+        this.creating = false;
+    }
+
+    onKeyboard(key, event, context) {
+        if (!this.points) return;
+        
+        if (key === 'Enter') {
+            this.finish(context);
+        } else if (key === 'Escape') {
+            this.points = null;
+            this.clearPreview(context);
+        }
+    }
+
+    drawPreview(context) {
+        this.clearPreview(context);
+        
+        const pattern = context.stateManager.getState().tools.pattern;
+        const pixels = context.editor.getBezierShapePixels(this.points, pattern, this.drawValue);
+        
+        this.previewOverlay = context.editor.createPreviewOverlay();
+        this.previewOverlay.drawPixels(pixels);
+        context.editor.showPreviewOverlay(this.previewOverlay);
+    }
+
+    finish(context) {
+        const points = this.points;
+        this.points = null;
+        this.clearPreview(context);
+        if (!points) return;
+        
+        const pattern = context.stateManager.getState().tools.pattern;
+        const pixels = context.editor.drawShapePixels(
+            context.editor.getBezierShapePixels(points, pattern, this.drawValue)
+        );
+        
+        // Create command for undo/redo
+        if (pixels && pixels.length > 0) {
+            const command = new DrawingCommand('bezier', 0, pixels);
+            context.commandSystem.execute(command, { editor: context.editor });
+        }
+    }
+
+    clearPreview(context) {
+        if (this.previewOverlay) {
+            context.editor.hidePreviewOverlay();
+            this.previewOverlay = null;
+        }
+    }
+
+    onDeactivate(context) {
+        super.onDeactivate(context);
+        this.finish(context);
+    }
+}
+
 /**
  * Selection Tool Implementation
+ * Shapes: 'rectangle', 'circle', 'lasso' (freehand drag) and 'polygon'
+ * (click to place vertices, double-click, Enter or clicking the first vertex to close).
+ * Lasso and polygon produce per-pixel mask selections.
  */
 class SelectionTool extends Tool {
     constructor(shape = 'rectangle') {
@@ -878,9 +1181,15 @@ class SelectionTool extends Tool {
         this.shape = shape;
         this.startPos = null;
         this.isSelecting = false;
+        this.points = null; // Path vertices for lasso and polygon selection
     }
 
     onMouseDown(coords, event, context) {
+        if (this.shape === 'polygon' && this.points) {
+            this.addPolygonPoint(coords, event, context);
+            return;
+        }
+        
         // Check if clicking inside existing selection
         const currentSelection = context.stateManager.getState().selection;
         if (currentSelection && this.isInsideSelection(coords, currentSelection)) {
@@ -892,23 +1201,77 @@ class SelectionTool extends Tool {
         // Start new selection
         this.startPos = coords;
         this.isSelecting = true;
+        if (this.shape === 'lasso' || this.shape === 'polygon') {
+            this.points = [coords];
+        }
         context.editor.clearSelection();
     }
 
     onMouseMove(coords, event, context) {
-        if (this.isSelecting && this.startPos) {
+        if (this.shape === 'lasso' && this.isSelecting) {
+            this.addPathPoint(coords);
+            context.editor.showSelectionPreview({ type: 'path', points: this.points });
+        } else if (this.shape === 'polygon' && this.points) {
+            context.editor.showSelectionPreview({ type: 'path', points: [...this.points, coords] });
+        } else if (this.isSelecting && this.startPos) {
             this.updateSelectionPreview(this.startPos, coords, context);
         }
     }
 
     onMouseUp(coords, event, context) {
-        if (this.isSelecting && this.startPos) {
+        if (this.shape === 'polygon') {
+            // Polygon selection continues until it is closed
+            return;
+        }
+        
+        if (this.shape === 'lasso' && this.isSelecting) {
+            this.addPathPoint(coords);
+            this.createPathSelection(context);
+            this.isSelecting = false;
+            this.startPos = null;
+        } else if (this.isSelecting && this.startPos) {
             this.createSelection(this.startPos, coords, context);
             this.isSelecting = false;
             this.startPos = null;
         }
     }
 
+    addPathPoint(coords) {
+        const last = this.points[this.points.length - 1];
+        if (last.x !== coords.x || last.y !== coords.y) {
+            this.points.push({ x: coords.x, y: coords.y });
+        }
+    }
+
+    addPolygonPoint(coords, event, context) {
+        const first = this.points[0];
+        const onFirst = Math.abs(coords.x - first.x) <= 1 && Math.abs(coords.y - first.y) <= 1;
+        
+        if (event.detail > 1 || (onFirst && this.points.length >= 3)) {
+            this.createPathSelection(context);
+            return;
+        }
+        
+        this.addPathPoint(coords);
+        context.editor.showSelectionPreview({ type: 'path', points: this.points });
+    }
+
+    /**
+     * Turn the lasso or polygon path into a mask selection
+     */
+    createPathSelection(context) {
+        const selection = context.editor.createPolygonSelection(this.points);
+        this.points = null;
+        this.isSelecting = false;
+        
+        if (selection) {
+            context.editor.setSelection(selection);
+        } else {
+            context.editor.clearSelection();
+        }
+        context.stateManager.setState('selection', selection);
+    }
+
     updateSelectionPreview(start, end, context) {
         const selection = this.shape === 'rectangle' ? 
             this.createRectSelection(start, end) :
@@ -963,6 +1326,13 @@ class SelectionTool extends Tool {
                 Math.pow(coords.y - selection.centerY, 2)
             );
             return distance <= selection.radius;
+        } else if (selection.type === 'mask') {
+            if (coords.x < selection.x1 || coords.x > selection.x2 ||
+                coords.y < selection.y1 || coords.y > selection.y2) {
+                return false;
+            }
+            const width = selection.x2 - selection.x1 + 1;
+            return selection.mask[(coords.y - selection.y1) * width + (coords.x - selection.x1)] === 1;
         }
         return false;
     }
@@ -973,6 +1343,19 @@ class SelectionTool extends Tool {
     }
 
     onKeyboard(key, event, context) {
+        // Close or abandon a polygon that is still being placed
+        if (this.shape === 'polygon' && this.points) {
+            if (key === 'Enter') {
+                this.createPathSelection(context);
+                return;
+            } else if (key === 'Escape') {
+                this.points = null;
+                this.isSelecting = false;
+                context.editor.clearSelection();
+                return;
+            }
+        }
+        
         // Handle selection shortcuts (Ctrl+C, Ctrl+V, Delete, etc.)
         if (event.ctrlKey || event.metaKey) {
             switch (key.toLowerCase()) {
@@ -1022,6 +1405,45 @@ class SelectionTool extends Tool {
     }
 }
 
+/**
+ * Magic Wand Tool Implementation
+ * Selects pixels matching the clicked one. Shift adds to the current
+ * selection, Alt subtracts from it and Shift+Alt intersects with it.
+ */
+class MagicWandTool extends Tool {
+    constructor() {
+        super('select-wand', {
+            cursor: 'crosshair',
+            contiguous: true,
+            matchAlpha: true,
+            connectivity: 4
+        });
+    }
+
+    onMouseDown(coords, event, context) {
+        const wandSelection = context.editor.createWandSelection(coords.x, coords.y, {
+            contiguous: this.config.contiguous,
+            matchAlpha: this.config.matchAlpha,
+            connectivity: this.config.connectivity
+        });
+        
+        let mode = 'replace';
+        if (event.shiftKey && event.altKey) mode = 'intersect';
+        else if (event.shiftKey) mode = 'add';
+        else if (event.altKey) mode = 'subtract';
+        
+        const currentSelection = context.stateManager.getState().selection;
+        const selection = context.editor.combineSelections(currentSelection, wandSelection, mode);
+        
+        if (selection) {
+            context.editor.setSelection(selection);
+        } else {
+            context.editor.clearSelection();
+        }
+        context.stateManager.setState('selection', selection);
+    }
+}
+
 /**
  * Text Tool Implementation
  */
@@ -1478,8 +1900,13 @@ class ToolSystem {
         this.registerTool(new CircleTool());
         this.registerTool(new RectangleTool());
         this.registerTool(new LineTool());
+        this.registerTool(new PolylineTool());
+        this.registerTool(new BezierTool());
         this.registerTool(new SelectionTool('rectangle'));
         this.registerTool(new SelectionTool('circle'));
+        this.registerTool(new SelectionTool('lasso'));
+        this.registerTool(new SelectionTool('polygon'));
+        this.registerTool(new MagicWandTool());
         this.registerTool(new TextTool());
         this.registerTool(new SprayTool());
         this.registerTool(new MoveTool());
@@ -1639,7 +2066,10 @@ if (typeof module !== 'undefined' && module.exports) {
         CircleTool,
         RectangleTool,
         LineTool,
+        PolylineTool,
+        BezierTool,
         SelectionTool,
+        MagicWandTool,
         TextTool,
         SprayTool,
         MoveTool,
@@ -1653,7 +2083,10 @@ if (typeof module !== 'undefined' && module.exports) {
     window.CircleTool = CircleTool;
     window.RectangleTool = RectangleTool;
     window.LineTool = LineTool;
+    window.PolylineTool = PolylineTool;
+    window.BezierTool = BezierTool;
     window.SelectionTool = SelectionTool;
+    window.MagicWandTool = MagicWandTool;
     window.TextTool = TextTool;
     window.SprayTool = SprayTool;
     window.MoveTool = MoveTool;
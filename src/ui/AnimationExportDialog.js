@@ -63,17 +63,17 @@ class AnimationExportDialog {
                                 <div class="setting-group">
                                     <label>Frame Range:</label>
                                     <div class="frame-range-inputs">
-                                        <input type="number" id="start-frame" min="0" value="0" placeholder="Start">
+                                        <input type="number" id="anim-export-start-frame" min="0" value="0" placeholder="Start">
                                         <span>to</span>
-                                        <input type="number" id="end-frame" min="0" placeholder="End (auto)">
+                                        <input type="number" id="anim-export-end-frame" min="0" placeholder="End (auto)">
                                     </div>
                                 </div>
 
                                 <div class="setting-group animation-only">
                                     <label>Frame Rate:</label>
                                     <div class="fps-control">
-                                        <input type="range" id="fps-slider" min="1" max="60" value="12">
-                                        <span id="fps-value">12</span> FPS
+                                        <input type="range" id="anim-export-fps" min="1" max="60" value="12">
+                                        <span id="anim-export-fps-value">12</span> FPS
                                     </div>
                                 </div>
 
@@ -81,15 +81,20 @@ class AnimationExportDialog {
                                     <label>Animation:</label>
                                     <div class="animation-options">
                                         <label>
-                                            <input type="checkbox" id="loop-animation" checked>
+                                            <input type="checkbox" id="anim-export-loop" checked>
                                             Loop animation
                                         </label>
+                                        <label>
+                                            Loop count:
+                                            <input type="number" id="anim-export-loop-count" min="0" max="65535" value="0">
+                                            (0 = forever)
+                                        </label>
                                     </div>
                                 </div>
 
                                 <div class="setting-group">
                                     <label>Scale:</label>
-                                    <select id="export-scale">
+                                    <select id="anim-export-scale">
                                         <option value="1">1x (Original)</option>
                                         <option value="2" selected>2x</option>
                                         <option value="4">4x</option>
@@ -99,12 +104,12 @@ class AnimationExportDialog {
 
                                 <div class="setting-group spritesheet-only" style="display: none;">
                                     <label>Columns:</label>
-                                    <input type="number" id="sprite-columns" min="1" max="16" value="8">
+                                    <input type="number" id="anim-export-sprite-columns" min="1" max="16" value="8">
                                 </div>
 
                                 <div class="setting-group spritesheet-only" style="display: none;">
                                     <label>Spacing:</label>
-                                    <input type="number" id="sprite-spacing" min="0" max="10" value="2"> px
+                                    <input type="number" id="anim-export-sprite-spacing" min="0" max="10" value="2"> px
                                 </div>
                             </div>
                         </div>
@@ -137,8 +142,8 @@ class AnimationExportDialog {
         const cancelBtn = document.getElementById('animation-export-cancel-btn');
         const exportBtn = document.getElementById('animation-export-btn');
         const formatRadios = document.querySelectorAll('input[name="export-format"]');
-        const fpsSlider = document.getElementById('fps-slider');
-        const fpsValue = document.getElementById('fps-value');
+        const fpsSlider = document.getElementById('anim-export-fps');
+        const fpsValue = document.getElementById('anim-export-fps-value');
 
         // Close dialog events
         closeBtn.addEventListener('click', () => this.hide());
@@ -164,10 +169,10 @@ class AnimationExportDialog {
         exportBtn.addEventListener('click', () => this.performExport());
 
         // Update preview when settings change
-        document.getElementById('start-frame').addEventListener('input', () => this.updatePreview());
-        document.getElementById('end-frame').addEventListener('input', () => this.updatePreview());
-        document.getElementById('export-scale').addEventListener('change', () => this.updatePreview());
-        document.getElementById('sprite-columns').addEventListener('input', () => this.updatePreview());
+        document.getElementById('anim-export-start-frame').addEventListener('input', () => this.updatePreview());
+        document.getElementById('anim-export-end-frame').addEventListener('input', () => this.updatePreview());
+        document.getElementById('anim-export-scale').addEventListener('change', () => this.updatePreview());
+        document.getElementById('anim-export-sprite-columns').addEventListener('input', () => this.updatePreview());
     }
 
     /**
@@ -223,11 +228,11 @@ class AnimationExportDialog {
     updatePreview() {
         if (!this.exporter) return;
 
-        const startFrame = parseInt(document.getElementById('start-frame').value) || 0;
-        const endFrameInput = document.getElementById('end-frame').value;
+        const startFrame = parseInt(document.getElementById('anim-export-start-frame').value) || 0;
+        const endFrameInput = document.getElementById('anim-export-end-frame').value;
         const endFrame = endFrameInput ? parseInt(endFrameInput) : null;
-        const scale = parseInt(document.getElementById('export-scale').value) || 1;
-        const fps = parseInt(document.getElementById('fps-slider').value) || 12;
+        const scale = parseInt(document.getElementById('anim-export-scale').value) || 1;
+        const fps = parseInt(document.getElementById('anim-export-fps').value) || 12;
         const selectedFormat = document.querySelector('input[name="export-format"]:checked').value;
 
         // Get available frames
@@ -253,8 +258,8 @@ class AnimationExportDialog {
             const frameHeight = frames[0].unit.height * scale;
 
             if (selectedFormat === 'spritesheet') {
-                const columns = parseInt(document.getElementById('sprite-columns').value) || 8;
-                const spacing = parseInt(document.getElementById('sprite-spacing').value) || 2;
+                const columns = parseInt(document.getElementById('anim-export-sprite-columns').value) || 8;
+                const spacing = parseInt(document.getElementById('anim-export-sprite-spacing').value) || 2;
                 const rows = Math.ceil(frames.length / columns);
                 const sheetWidth = (frameWidth * columns) + (spacing * (columns - 1));
                 const sheetHeight = (frameHeight * rows) + (spacing * (rows - 1));
@@ -276,25 +281,27 @@ class AnimationExportDialog {
         }
 
         const selectedFormat = document.querySelector('input[name="export-format"]:checked').value;
-        const startFrame = parseInt(document.getElementById('start-frame').value) || 0;
-        const endFrameInput = document.getElementById('end-frame').value;
+        const startFrame = parseInt(document.getElementById('anim-export-start-frame').value) || 0;
+        const endFrameInput = document.getElementById('anim-export-end-frame').value;
         const endFrame = endFrameInput ? parseInt(endFrameInput) : null;
-        const scale = parseInt(document.getElementById('export-scale').value) || 1;
-        const fps = parseInt(document.getElementById('fps-slider').value) || 12;
-        const loop = document.getElementById('loop-animation').checked;
+        const scale = parseInt(document.getElementById('anim-export-scale').value) || 1;
+        const fps = parseInt(document.getElementById('anim-export-fps').value) || 12;
+        const loop = document.getElementById('anim-export-loop').checked;
+        const loopCount = Math.max(0, parseInt(document.getElementById('anim-export-loop-count').value) || 0);
 
         const options = {
             startFrame,
             endFrame,
             scale,
             fps,
-            loop
+            loop,
+            loopCount
         };
 
         // Add format-specific options
         if (selectedFormat === 'spritesheet') {
-            options.columns = parseInt(document.getElementById('sprite-columns').value) || 8;
-            options.spacing = parseInt(document.getElementById('sprite-spacing').value) || 2;
+            options.columns = parseInt(document.getElementById('anim-export-sprite-columns').value) || 8;
+            options.spacing = parseInt(document.getElementById('anim-export-sprite-spacing').value) || 2;
         }
 
         try {
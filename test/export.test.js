@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+// utils/ are browser scripts that declare globals rather than export them
+const source = readFileSync(new URL('../utils/export.js', import.meta.url), 'utf8');
+const BitmapExporter = vm.runInThisContext(`${source}\nBitmapExporter`);
+
+// XBM header as written for u8g2's drawXBMP()
+const U8G2_XBM_HEADER = `
+#define logo_width 16
+#define logo_height 4
+static const unsigned char logo_bits[] U8X8_PROGMEM = {
+   0x01, 0x80, 0xff, 0xff, 0x0f, 0xf0, 0x00, 0x00 };
+`;
+
+test('parseHeaderArrays finds u8g2 U8X8_PROGMEM arrays', () => {
+    const arrays = BitmapExporter.parseHeaderArrays(U8G2_XBM_HEADER);
+
+    assert.equal(arrays.length, 1);
+    assert.equal(arrays[0].name, 'logo_bits');
+    assert.equal(arrays[0].width, 16);
+    assert.equal(arrays[0].height, 4);
+    assert.deepEqual(arrays[0].bytes, [0x01, 0x80, 0xff, 0xff, 0x0f, 0xf0, 0x00, 0x00]);
+});
+
+test('parseHFile decodes a u8g2 XBM header LSB first', () => {
+    const { width, height, pixels } = BitmapExporter.parseHFile(U8G2_XBM_HEADER);
+
+    assert.equal(width, 16);
+    assert.equal(height, 4);
+    assert.deepEqual(Array.from(pixels[0]), [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+    assert.deepEqual(Array.from(pixels[1]), new Array(16).fill(1));
+    assert.deepEqual(Array.from(pixels[2]), [1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1]);
+    assert.deepEqual(Array.from(pixels[3]), new Array(16).fill(0));
+});
+
+test('parseHeaderArrays accepts attributes between the declarator and initializer', () => {
+    const code = `
+#define icon_width 8
+#define icon_height 2
+const uint8_t icon_bits[] __attribute__((aligned(4), section(".rodata"))) = { 0x3c, 0x42 };
+`;
+    const arrays = BitmapExporter.parseHeaderArrays(code);
+
+    assert.equal(arrays.length, 1);
+    assert.equal(arrays[0].name, 'icon_bits');
+    assert.deepEqual(arrays[0].bytes, [0x3c, 0x42]);
+});
+
+test('parseHeaderArrays still reads Adafruit PROGMEM arrays', () => {
+    const code = `
+// 'cat', 8x1px
+const unsigned char epd_bitmap_cat [] PROGMEM = {
+	0x81
+};
+`;
+    const arrays = BitmapExporter.parseHeaderArrays(code);
+
+    assert.equal(arrays.length, 1);
+    assert.equal(arrays[0].name, 'epd_bitmap_cat');
+    assert.deepEqual(arrays[0].bytes, [0x81]);
+});
+
+test('delta animation size counts offsets at the width the header declares', () => {
+    // Seeded noise so every frame differs and the delta stream is not compressible
+    let seed = 1;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return (seed >> 16) & 1;
+    };
+    const makeFrames = (count, width, height) => Array.from({ length: count }, (_, i) => ({
+        name: `frame${i}`,
+        pixels: Array.from({ length: height }, () => Array.from({ length: width }, random))
+    }));
+
+    for (const frameCount of [4, 80]) {
+        const bitmapData = { width: 128, height: 64, frames: makeFrames(frameCount, 128, 64) };
+        const stats = BitmapExporter.getDeltaAnimationStats(bitmapData);
+        const code = BitmapExporter.generateDeltaAnimationCode(bitmapData, 'anim');
+
+        const deltaBytes = Number(code.match(/anim_deltas\[(\d+)\]/)[1]);
+        const offsetBytes = /const unsigned long anim_delta_offsets/.test(code) ? 4 : 2;
+        assert.equal(stats.offsetBytes, offsetBytes);
+        assert.equal(stats.compressedBytes, stats.frameBytes + deltaBytes + (frameCount - 1) * offsetBytes);
+    }
+});
@@ -80,7 +80,7 @@ class AnimationExporter {
      * Export animation as GIF (high quality with fallback strategies)
      */
     async exportGIF(sheets, settings) {
-        const { width, height, frameRate, projectName, quality = 'balanced' } = settings;
+        const { width, height, frameRate, loop = true, projectName, quality = 'balanced' } = settings;
 
         if (!window.GifExportStrategies) {
             throw new Error('GIF export strategies not available');
@@ -91,10 +91,14 @@ class AnimationExporter {
             this.gifExporter = new GifExportStrategies();
         }
 
-        // Set up global reference for pixel data access
+        // Set up global reference for pixel data access (the app instance is restored afterwards)
+        const previousBitsDraw = window.bitsDraw;
         window.bitsDraw = {
             getSheetCompositePixels: (sheet) => {
                 return this.getSheetPixelData(sheet, width, height);
+            },
+            getSheetCompositeAlpha: (sheet) => {
+                return this.getSheetAlphaData(sheet, width, height);
             }
         };
 
@@ -102,6 +106,7 @@ class AnimationExporter {
             width, 
             height, 
             frameRate, 
+            loop,
             projectName, 
             quality
         };
@@ -124,9 +129,47 @@ class AnimationExporter {
             
             // Suggest PNG sequence as fallback
             throw new Error(`GIF export failed: ${error.message}\n\nTip: Try PNG Sequence export for guaranteed compatibility.`);
+        } finally {
+            window.bitsDraw = previousBitsDraw;
         }
     }
 
+    /**
+     * Export animation as APNG with the built-in acTL/fcTL/fdAT encoder.
+     * Each sheet's delay (ms) overrides the frame rate; playCount (0 = forever) overrides loop.
+     */
+    async exportAPNG(sheets, settings) {
+        const { width, height, frameRate, loop = true, playCount = null, projectName } = settings;
+
+        if (typeof ApngEncoder === 'undefined') {
+            throw new Error('APNG encoder not available');
+        }
+
+        // Palette indices: 0 = white, 1 = black, 2 = transparent
+        const defaultDelay = Math.round(1000 / frameRate);
+        const frames = sheets.map(sheet => {
+            const pixels = this.getSheetPixelData(sheet, width, height);
+            const alpha = this.getSheetAlphaData(sheet, width, height);
+            const indices = new Uint8Array(width * height);
+            for (let i = 0; i < indices.length; i++) {
+                indices[i] = alpha && alpha[i] === 0 ? 2 : (pixels[i] === 0 ? 0 : 1);
+            }
+            return { indices, delay: sheet.delay || defaultDelay };
+        });
+
+        const numPlays = playCount ?? (loop ? 0 : 1);
+        const bytes = await new ApngEncoder(width, height, { numPlays }).encode(frames);
+        const blob = new Blob([bytes], { type: 'image/apng' });
+
+        this.downloadBlob(blob, `${projectName || 'bitsdraw_animation'}.png`);
+
+        return {
+            format: 'APNG',
+            frameCount: sheets.length,
+            fileSize: blob.size
+        };
+    }
+
     /**
      * Export animation as WebM video (modern browsers)
      */
@@ -202,6 +245,13 @@ class AnimationExporter {
         return new Uint8Array(width * height);
     }
 
+    /**
+     * Get alpha data from sheet (null = fully opaque)
+     */
+    getSheetAlphaData(sheet, width, height) {
+        return null;
+    }
+
     /**
      * Convert pixel data to PNG blob
      */
@@ -0,0 +1,212 @@
+/**
+ * BitsDraw APNG Encoder
+ * Writes animated PNG (acTL/fcTL/fdAT) without external libraries
+ */
+
+/**
+ * Minimal APNG writer tuned for 1-bit art.
+ * Frames are palette indices (0 = white, 1 = black, 2 = transparent) stored as 2-bit indexed PNG.
+ * Every frame after the first is cropped to the region that changed, and identical frames are
+ * merged into one delay.
+ */
+class ApngEncoder {
+    /**
+     * @param {number} width Canvas width
+     * @param {number} height Canvas height
+     * @param {object} options { numPlays: 0 = forever, n = play n times }
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.numPlays = options.numPlays ?? 0;
+    }
+
+    /**
+     * @param {Array<{indices: Uint8Array, delay: number}>} frames Frames with delay in ms
+     * @returns {Promise<Uint8Array>} APNG file bytes
+     */
+    async encode(frames) {
+        const { width, height } = this;
+
+        // Merge frames that do not change anything into the previous frame's delay
+        const entries = [];
+        frames.forEach((frame, i) => {
+            const region = i === 0
+                ? { x: 0, y: 0, width, height }
+                : this.getChangedRegion(frames[i - 1].indices, frame.indices);
+            if (region) {
+                entries.push({ indices: frame.indices, region, delay: frame.delay });
+            } else {
+                entries[entries.length - 1].delay += frame.delay;
+            }
+        });
+
+        const chunks = [];
+        const ihdr = new Uint8Array(13);
+        const ihdrView = new DataView(ihdr.buffer);
+        ihdrView.setUint32(0, width);
+        ihdrView.setUint32(4, height);
+        ihdr[8] = 2;  // Bit depth
+        ihdr[9] = 3;  // Color type: indexed
+        chunks.push(this.createPngChunk('IHDR', ihdr));
+
+        const actl = new Uint8Array(8);
+        new DataView(actl.buffer).setUint32(0, entries.length);
+        new DataView(actl.buffer).setUint32(4, this.numPlays);
+        chunks.push(this.createPngChunk('acTL', actl));
+
+        chunks.push(this.createPngChunk('PLTE', new Uint8Array([255, 255, 255, 0, 0, 0, 255, 255, 255])));
+        chunks.push(this.createPngChunk('tRNS', new Uint8Array([255, 255, 0])));
+
+        let sequence = 0;
+        for (let i = 0; i < entries.length; i++) {
+            const { indices, region, delay } = entries[i];
+
+            const fctl = new Uint8Array(26);
+            const view = new DataView(fctl.buffer);
+            view.setUint32(0, sequence++);
+            view.setUint32(4, region.width);
+            view.setUint32(8, region.height);
+            view.setUint32(12, region.x);
+            view.setUint32(16, region.y);
+            view.setUint16(20, Math.max(0, Math.min(65535, Math.round(delay))));
+            view.setUint16(22, 1000);
+            fctl[24] = 0; // dispose_op: NONE
+            fctl[25] = 0; // blend_op: SOURCE
+            chunks.push(this.createPngChunk('fcTL', fctl));
+
+            const data = await this.deflateZlib(this.packIndexedRows(indices, region));
+            if (i === 0) {
+                chunks.push(this.createPngChunk('IDAT', data));
+            } else {
+                const fdat = new Uint8Array(data.length + 4);
+                new DataView(fdat.buffer).setUint32(0, sequence++);
+                fdat.set(data, 4);
+                chunks.push(this.createPngChunk('fdAT', fdat));
+            }
+        }
+
+        chunks.push(this.createPngChunk('IEND', new Uint8Array(0)));
+
+        const signature = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+        const total = chunks.reduce((sum, chunk) => sum + chunk.length, signature.length);
+        const out = new Uint8Array(total);
+        out.set(signature, 0);
+        let offset = signature.length;
+        chunks.forEach(chunk => {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return out;
+    }
+
+    /**
+     * Bounding box of pixels that differ between two frames
+     * @returns {object|null} { x, y, width, height } or null when identical
+     */
+    getChangedRegion(previous, current) {
+        const { width, height } = this;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                if (previous[index] !== current[index]) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+        if (maxX < 0) return null;
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    /**
+     * Pack a region of palette indices into 2-bit scanlines, each prefixed with filter type 0
+     */
+    packIndexedRows(indices, region) {
+        const rowBytes = Math.ceil(region.width / 4);
+        const out = new Uint8Array((rowBytes + 1) * region.height);
+        for (let y = 0; y < region.height; y++) {
+            const rowStart = y * (rowBytes + 1);
+            for (let x = 0; x < region.width; x++) {
+                const value = indices[(region.y + y) * this.width + region.x + x];
+                out[rowStart + 1 + (x >> 2)] |= value << (6 - (x & 3) * 2);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Build a PNG chunk: length, type, data, CRC32(type + data)
+     */
+    createPngChunk(type, data) {
+        const chunk = new Uint8Array(data.length + 12);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    crc32(bytes) {
+        if (!ApngEncoder.crcTable) {
+            const table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                table[n] = c >>> 0;
+            }
+            ApngEncoder.crcTable = table;
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ApngEncoder.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * zlib-compress data with CompressionStream, falling back to stored (uncompressed) blocks
+     */
+    async deflateZlib(data) {
+        if (typeof CompressionStream !== 'undefined') {
+            const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        const blockCount = Math.max(1, Math.ceil(data.length / 65535));
+        const out = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+        out[0] = 0x78;
+        out[1] = 0x01;
+        let offset = 2;
+        for (let block = 0; block < blockCount; block++) {
+            const start = block * 65535;
+            const length = Math.min(65535, data.length - start);
+            out[offset++] = block === blockCount - 1 ? 1 : 0;
+            out[offset++] = length & 0xFF;
+            out[offset++] = length >> 8;
+            out[offset++] = ~length & 0xFF;
+            out[offset++] = (~length >> 8) & 0xFF;
+            out.set(data.subarray(start, start + length), offset);
+            offset += length;
+        }
+
+        let a = 1, b = 0;
+        for (let i = 0; i < data.length; i++) {
+            a = (a + data[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        new DataView(out.buffer).setUint32(offset, ((b << 16) | a) >>> 0);
+        return out;
+    }
+}
+
+// Export for global access
+window.ApngEncoder = ApngEncoder;
@@ -390,6 +390,10 @@ class BitmapEditor {
             const dx = x - selection.centerX;
             const dy = y - selection.centerY;
             return (dx * dx + dy * dy) <= (selection.radius * selection.radius);
+        } else if (selection.type === 'mask') {
+            if (x < selection.x1 || x > selection.x2 || y < selection.y1 || y > selection.y2) return false;
+            const width = selection.x2 - selection.x1 + 1;
+            return selection.mask[(y - selection.y1) * width + (x - selection.x1)] === 1;
         }
         
         return false;
@@ -420,6 +424,21 @@ class BitmapEditor {
             ctx.beginPath();
             ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
             ctx.stroke();
+        } else if (selection.type === 'mask') {
+            // Stroke every pixel edge between selected and unselected pixels
+            ctx.beginPath();
+            for (let y = selection.y1; y <= selection.y2; y++) {
+                for (let x = selection.x1; x <= selection.x2; x++) {
+                    if (!this.isInSelection(x, y, selection)) continue;
+                    const px = x * zoom;
+                    const py = y * zoom;
+                    if (!this.isInSelection(x, y - 1, selection)) { ctx.moveTo(px, py); ctx.lineTo(px + zoom, py); }
+                    if (!this.isInSelection(x, y + 1, selection)) { ctx.moveTo(px, py + zoom); ctx.lineTo(px + zoom, py + zoom); }
+                    if (!this.isInSelection(x - 1, y, selection)) { ctx.moveTo(px, py); ctx.lineTo(px, py + zoom); }
+                    if (!this.isInSelection(x + 1, y, selection)) { ctx.moveTo(px + zoom, py); ctx.lineTo(px + zoom, py + zoom); }
+                }
+            }
+            ctx.stroke();
         }
         
         ctx.restore();
@@ -207,45 +207,26 @@ class CanvasUnit {
     }
     
     /**
-     * Export as Playdate PDI format with alpha support
+     * Export as a Playdate image (.pdi) through BitmapExporter's cell packer,
+     * so units and the Export menu share one PDI format. Alpha above 127 is opaque.
+     * @returns {Uint8Array} PDI file bytes
      */
     exportAsPDI() {
-        const bounds = this.meta.clipBounds || {
-            x: 0, y: 0, width: this.width, height: this.height
-        };
-        
-        const stride = Math.ceil(bounds.width / 8);
-        const pixelData = new Uint8Array(stride * bounds.height);
-        const alphaData = this.alpha ? new Uint8Array(stride * bounds.height) : null;
+        if (typeof BitmapExporter === 'undefined') {
+            throw new Error('BitmapExporter is required for PDI export');
+        }
         
-        // Pack bits efficiently
-        for (let y = 0; y < bounds.height; y++) {
-            for (let x = 0; x < bounds.width; x++) {
-                const srcIdx = (y + bounds.y) * this.width + (x + bounds.x);
-                const dstByte = Math.floor(x / 8);
-                const dstBit = 7 - (x % 8);
-                const dstIdx = y * stride + dstByte;
-                
-                // Set pixel bit
-                if (this.pixels[srcIdx]) {
-                    pixelData[dstIdx] |= (1 << dstBit);
-                }
-                
-                // Set alpha bit (if alpha channel exists)
-                if (alphaData && this.alpha && this.alpha[srcIdx] > 127) {
-                    alphaData[dstIdx] |= (1 << dstBit);
-                }
+        const pixels = [];
+        const alpha = this.alpha ? [] : null;
+        for (let y = 0; y < this.height; y++) {
+            const row = y * this.width;
+            pixels.push(Array.from(this.pixels.subarray(row, row + this.width)));
+            if (alpha) {
+                alpha.push(Array.from(this.alpha.subarray(row, row + this.width), value => (value > 127 ? 1 : 0)));
             }
         }
         
-        return {
-            flags: this.flags,
-            bounds: bounds,
-            stride: stride,
-            pixelData: pixelData,
-            alphaData: alphaData,
-            meta: this.meta
-        };
+        return BitmapExporter.generatePlaydatePDI({ width: this.width, height: this.height, pixels, alpha });
     }
     
     /**
@@ -31,6 +31,13 @@ class CustomFontManager {
                 extension: '.json',
                 description: 'Simple character array format',
                 mimeType: 'application/json'
+            },
+            // Glyph Bitmap Distribution Format (X11, u8g2 source fonts)
+            'bdf': {
+                name: 'BDF Bitmap Font',
+                extension: '.bdf',
+                description: 'Glyph Bitmap Distribution Format',
+                mimeType: 'application/x-font-bdf'
             }
         };
         
@@ -69,9 +76,9 @@ class CustomFontManager {
                             </div>
                             <div class="upload-text">
                                 <h4>Drop font file here or click to browse</h4>
-                                <p>Supported formats: JSON (.json)</p>
+                                <p>Supported formats: JSON (.json), BDF (.bdf)</p>
                             </div>
-                            <input type="file" id="font-file-input" accept=".json" style="display: none;">
+                            <input type="file" id="font-file-input" accept=".json,.bdf" style="display: none;">
                         </div>
                     </div>
                     
@@ -102,6 +109,10 @@ class CustomFontManager {
                                 <p>Basic character-to-bitmap mapping</p>
                                 <button class="btn-link" id="show-simple-example">View Example</button>
                             </div>
+                            <div class="format-item">
+                                <strong>BDF Bitmap Font</strong>
+                                <p>X11 / u8g2 source fonts, placed on the baseline by FONT_ASCENT</p>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -179,13 +190,387 @@ class CustomFontManager {
         });
     }
     
+    /**
+     * Show dialog for rasterizing a TTF/OTF/WOFF or system font into a bitmap font
+     */
+    showFontRasterizeDialog() {
+        const dialog = this.createFontRasterizeDialog();
+        document.body.appendChild(dialog);
+        dialog.style.display = 'flex';
+    }
+    
+    /**
+     * Create font rasterize dialog
+     */
+    createFontRasterizeDialog() {
+        const dialog = document.createElement('div');
+        dialog.id = 'font-rasterize-dialog';
+        dialog.className = 'modal-dialog';
+        dialog.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Create Bitmap Font from TTF/OTF</h3>
+                    <button class="modal-close" id="font-rasterize-close">
+                        <i class="ph ph-x"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="font-upload-section">
+                        <div class="upload-area" id="font-rasterize-area">
+                            <div class="upload-icon">
+                                <i class="ph ph-text-aa"></i>
+                            </div>
+                            <div class="upload-text">
+                                <h4>Drop font file here or click to browse</h4>
+                                <p>Supported formats: TrueType (.ttf), OpenType (.otf), WOFF (.woff, .woff2)</p>
+                            </div>
+                            <input type="file" id="font-rasterize-file-input" accept=".ttf,.otf,.woff,.woff2" style="display: none;">
+                        </div>
+                        <div class="input-section">
+                            <label for="font-rasterize-family-input">Or installed font family:</label>
+                            <input type="text" id="font-rasterize-family-input" placeholder="e.g. Arial">
+                        </div>
+                    </div>
+                    
+                    <div class="font-rasterize-options">
+                        <div class="input-section">
+                            <label for="font-rasterize-height-input">Pixel height:</label>
+                            <input type="number" id="font-rasterize-height-input" value="12" min="4" max="32">
+                        </div>
+                        <div class="input-section">
+                            <label for="font-rasterize-threshold-input">Threshold:</label>
+                            <input type="number" id="font-rasterize-threshold-input" value="128" min="1" max="255">
+                        </div>
+                        <div class="input-section">
+                            <label for="font-rasterize-spacing-input">Letter spacing:</label>
+                            <input type="number" id="font-rasterize-spacing-input" value="1" min="0" max="8">
+                        </div>
+                        <div class="input-section">
+                            <label for="raster-range-select">Characters:</label>
+                            <select id="raster-range-select">
+                                <option value="ascii">ASCII (0x20-0x7E)</option>
+                                <option value="latin1">Latin-1 (0x20-0x7E, 0xA1-0xFF)</option>
+                                <option value="cyrillic">Cyrillic (0x20-0x7E, 0x400-0x45F)</option>
+                                <option value="kana">Japanese kana (0x3000-0x30FF)</option>
+                                <option value="custom">Custom...</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div class="input-section" id="font-rasterize-custom-section" style="display: none;">
+                        <label for="font-rasterize-chars-input">Custom characters:</label>
+                        <input type="text" id="font-rasterize-chars-input" placeholder="0123456789:.-">
+                    </div>
+                    
+                    <div class="font-info-section" id="font-info-section" style="display: none;">
+                        <h4>Font Information</h4>
+                        <div class="font-preview" id="font-preview">
+                            <canvas id="font-preview-canvas" width="400" height="100"></canvas>
+                        </div>
+                        <div class="font-details" id="font-details">
+                            <!-- Font details will be populated here -->
+                        </div>
+                        <div class="input-section">
+                            <label for="font-name-input">Font Name:</label>
+                            <input type="text" id="font-name-input" placeholder="My Custom Font" maxlength="50">
+                        </div>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button id="font-rasterize-cancel" class="btn-secondary">Cancel</button>
+                    <button id="font-rasterize-create" class="btn-primary" disabled>Add Font</button>
+                </div>
+            </div>
+        `;
+        
+        // Setup event handlers
+        this.setupFontRasterizeEvents(dialog);
+        
+        return dialog;
+    }
+    
+    /**
+     * Setup font rasterize dialog events
+     */
+    setupFontRasterizeEvents(dialog) {
+        const uploadArea = dialog.querySelector('#font-rasterize-area');
+        const fileInput = dialog.querySelector('#font-rasterize-file-input');
+        const familyInput = dialog.querySelector('#font-rasterize-family-input');
+        const rangeSelect = dialog.querySelector('#raster-range-select');
+        const customSection = dialog.querySelector('#font-rasterize-custom-section');
+        const createBtn = dialog.querySelector('#font-rasterize-create');
+        const nameInput = dialog.querySelector('#font-name-input');
+        
+        // Source font family currently loaded into document.fonts
+        const source = { family: null, name: null };
+        
+        // Once the user names the font, re-rasterizing must not overwrite it
+        nameInput.addEventListener('input', () => {
+            nameInput.dataset.edited = 'true';
+        });
+        
+        const loadFile = async (file) => {
+            try {
+                source.family = await this.loadRasterSourceFont(file);
+                source.name = file.name;
+                familyInput.value = '';
+                this.updateRasterizedFont(source, dialog);
+            } catch (error) {
+                this.showError(`Failed to load font file: ${error.message}`);
+            }
+        };
+        
+        // File input handling
+        uploadArea.addEventListener('click', () => fileInput.click());
+        
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                loadFile(file);
+            }
+        });
+        
+        // Drag and drop
+        uploadArea.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            uploadArea.classList.add('drag-over');
+        });
+        
+        uploadArea.addEventListener('dragleave', () => {
+            uploadArea.classList.remove('drag-over');
+        });
+        
+        uploadArea.addEventListener('drop', (e) => {
+            e.preventDefault();
+            uploadArea.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                loadFile(file);
+            }
+        });
+        
+        familyInput.addEventListener('change', async () => {
+            const family = familyInput.value.trim();
+            if (!family) return;
+            
+            // Load any @font-face or local font with this name before measuring
+            try {
+                await document.fonts.load(`16px "${family}"`);
+            } catch (error) {
+                console.warn(`Failed to load font "${family}":`, error);
+            }
+            
+            // Without this the canvas would quietly rasterize a fallback face under the chosen name
+            if (!document.fonts.check(`16px "${family}"`) || !this.isFontFamilyAvailable(family)) {
+                source.family = null;
+                this.pendingFont = null;
+                createBtn.disabled = true;
+                this.showError(`Font "${family}" is not installed or could not be loaded`);
+                return;
+            }
+            
+            source.family = family;
+            source.name = family;
+            this.updateRasterizedFont(source, dialog);
+        });
+        
+        rangeSelect.addEventListener('change', () => {
+            customSection.style.display = rangeSelect.value === 'custom' ? 'block' : 'none';
+            this.updateRasterizedFont(source, dialog);
+        });
+        
+        ['#font-rasterize-height-input', '#font-rasterize-threshold-input',
+            '#font-rasterize-spacing-input', '#font-rasterize-chars-input'].forEach(selector => {
+            dialog.querySelector(selector).addEventListener('change', () => {
+                this.updateRasterizedFont(source, dialog);
+            });
+        });
+        
+        // Dialog controls
+        dialog.querySelector('#font-rasterize-close').addEventListener('click', () => this.closeFontUploadDialog(dialog));
+        dialog.querySelector('#font-rasterize-cancel').addEventListener('click', () => this.closeFontUploadDialog(dialog));
+        createBtn.addEventListener('click', () => this.createCustomFont(dialog));
+        
+        // Close on backdrop click
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) {
+                this.closeFontUploadDialog(dialog);
+            }
+        });
+    }
+    
+    /**
+     * Load an uploaded font file with the FontFace API and return its family name
+     */
+    async loadRasterSourceFont(file) {
+        const family = `bitsdraw-raster-${Date.now()}`;
+        const fontFace = new FontFace(family, await file.arrayBuffer());
+        await fontFace.load();
+        document.fonts.add(fontFace);
+        return family;
+    }
+    
+    /**
+     * Whether the canvas renders a family with its own face rather than a fallback.
+     * document.fonts.check() is true for families no FontFace matches, so compare widths too.
+     */
+    isFontFamilyAvailable(family) {
+        const ctx = document.createElement('canvas').getContext('2d');
+        const sample = 'mmmmmmmmmmlli10OWQ@';
+        
+        return ['monospace', 'serif', 'sans-serif'].some(fallback => {
+            ctx.font = `72px ${fallback}`;
+            const fallbackWidth = ctx.measureText(sample).width;
+            ctx.font = `72px "${family}", ${fallback}`;
+            return ctx.measureText(sample).width !== fallbackWidth;
+        });
+    }
+    
+    /**
+     * Get the characters to rasterize for a range option
+     */
+    getRasterCharacters(range, customText = '') {
+        const characters = [];
+        const addRange = (first, last) => {
+            for (let code = first; code <= last; code++) {
+                characters.push(String.fromCodePoint(code));
+            }
+        };
+        
+        switch (range) {
+            case 'custom':
+                // Always include space so text rendering has a word gap
+                return Array.from(new Set([' ', ...Array.from(customText)]));
+            case 'latin1':
+                addRange(0x20, 0x7E);
+                addRange(0xA1, 0xFF);
+                return characters;
+            case 'cyrillic':
+                addRange(0x20, 0x7E);
+                addRange(0x400, 0x45F);
+                return characters;
+            case 'kana':
+                // CJK punctuation, hiragana and katakana; meant as a fallback font
+                addRange(0x3000, 0x303F);
+                addRange(0x3041, 0x3096);
+                addRange(0x3099, 0x30FF);
+                return characters;
+            default:
+                addRange(0x20, 0x7E);
+                return characters;
+        }
+    }
+    
+    /**
+     * Re-rasterize the source font with the dialog's options and refresh the preview
+     */
+    updateRasterizedFont(source, dialog) {
+        const createBtn = dialog.querySelector('#font-rasterize-create');
+        if (!source.family) return;
+        
+        try {
+            const pixelHeight = parseInt(dialog.querySelector('#font-rasterize-height-input').value, 10) || 12;
+            const fontData = this.rasterizeFont(source.family, {
+                pixelHeight: pixelHeight,
+                threshold: parseInt(dialog.querySelector('#font-rasterize-threshold-input').value, 10) || 128,
+                spacing: Math.max(0, parseInt(dialog.querySelector('#font-rasterize-spacing-input').value, 10) || 0),
+                characters: this.getRasterCharacters(
+                    dialog.querySelector('#raster-range-select').value,
+                    dialog.querySelector('#font-rasterize-chars-input').value
+                ),
+                name: `${source.name.replace(/\.(ttf|otf|woff2?)$/i, '')} ${pixelHeight}px`,
+                description: `Rasterized from ${source.name} at ${pixelHeight}px`
+            });
+            
+            this.validateFontData(fontData);
+            this.showFontInfo(fontData, dialog);
+            
+            this.pendingFont = {
+                data: fontData,
+                originalFile: source.name,
+                format: 'bitsdraw-json'
+            };
+            createBtn.disabled = false;
+        } catch (error) {
+            this.pendingFont = null;
+            createBtn.disabled = true;
+            this.showError(`Failed to rasterize font: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Rasterize characters of a loaded font family into a bitsdraw-bitmap font.
+     * The font is scaled so its ascent + descent fill the pixel height, and each
+     * glyph's coverage is thresholded to 1-bit. Every glyph is drawn at a shared origin
+     * inside a cell wide enough for its ink, so left bearings and overhangs aren't clipped.
+     */
+    rasterizeFont(family, options) {
+        const { pixelHeight, threshold, spacing, characters } = options;
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        
+        // Measure at a large size for precision, then scale to the target height
+        const referenceSize = 100;
+        ctx.font = `${referenceSize}px "${family}"`;
+        const reference = ctx.measureText('Hg');
+        const referenceAscent = reference.fontBoundingBoxAscent ?? reference.actualBoundingBoxAscent;
+        const referenceDescent = reference.fontBoundingBoxDescent ?? reference.actualBoundingBoxDescent;
+        const fontSize = referenceSize * pixelHeight / (referenceAscent + referenceDescent);
+        const baseline = Math.round(referenceAscent * fontSize / referenceSize);
+        const fontString = `${fontSize}px "${family}"`;
+        
+        ctx.font = fontString;
+        const measures = characters.map(char => ctx.measureText(char));
+        // Ink left of the pen position (j, italics) moves the shared origin right
+        const originX = Math.max(0, ...measures.map(m => Math.ceil(m.actualBoundingBoxLeft)));
+        const width = Math.max(1, ...measures.map(m =>
+            originX + Math.max(Math.ceil(m.width), Math.ceil(m.actualBoundingBoxRight))));
+        
+        // Resizing resets the context state
+        canvas.width = width;
+        canvas.height = pixelHeight;
+        ctx.font = fontString;
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillStyle = '#000';
+        
+        const fontCharacters = {};
+        characters.forEach(char => {
+            ctx.clearRect(0, 0, width, pixelHeight);
+            ctx.fillText(char, originX, baseline);
+            const data = ctx.getImageData(0, 0, width, pixelHeight).data;
+            
+            const rows = [];
+            for (let y = 0; y < pixelHeight; y++) {
+                const row = [];
+                for (let x = 0; x < width; x++) {
+                    row.push(data[(y * width + x) * 4 + 3] >= threshold ? 1 : 0);
+                }
+                rows.push(row);
+            }
+            fontCharacters[char] = rows;
+        });
+        
+        return {
+            format: 'bitsdraw-bitmap',
+            version: '1.0',
+            metadata: {
+                name: options.name,
+                width: width,
+                height: pixelHeight,
+                spacing: spacing,
+                baseline: baseline,
+                description: options.description
+            },
+            characters: fontCharacters
+        };
+    }
+    
     /**
      * Process uploaded font file
      */
     async processFontFile(file, dialog) {
         try {
             const text = await file.text();
-            const fontData = JSON.parse(text);
+            const fontData = this.isBDFText(text) ? this.parseBDF(text) : JSON.parse(text);
             
             // Validate font format
             const format = this.detectFontFormat(fontData);
@@ -221,6 +606,11 @@ class CustomFontManager {
      * Detect font format from data
      */
     detectFontFormat(data) {
+        // BDF font parsed by parseBDF()
+        if (data.format === 'bdf' && Array.isArray(data.glyphs)) {
+            return 'bdf';
+        }
+        
         // BitsDraw JSON format
         if (data.format === 'bitsdraw-bitmap' && data.metadata && data.characters) {
             return 'bitsdraw-json';
@@ -267,6 +657,9 @@ class CustomFontManager {
             case 'bmf-json':
                 return this.convertBMFToStandard(data);
                 
+            case 'bdf':
+                return this.convertBDFToStandard(data);
+                
             default:
                 throw new Error('Unknown font format');
         }
@@ -298,6 +691,207 @@ class CustomFontManager {
         return maxHeight;
     }
     
+    /**
+     * Check whether file text is a BDF font
+     */
+    isBDFText(text) {
+        return /^\s*STARTFONT\s/.test(text);
+    }
+    
+    /**
+     * Parse BDF source into header properties and per-glyph records
+     * (encoding, DWIDTH, BBX and hex bitmap rows)
+     */
+    parseBDF(text) {
+        const font = {
+            format: 'bdf',
+            name: '',
+            properties: {},
+            boundingBox: null,
+            dwidth: null,
+            glyphs: []
+        };
+        let glyph = null;
+        let bitmapRows = null;
+        let inProperties = false;
+        
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
+            
+            const [keyword, ...args] = line.split(/\s+/);
+            const rest = line.slice(keyword.length).trim();
+            
+            if (bitmapRows) {
+                if (keyword === 'ENDCHAR') {
+                    glyph.bitmap = bitmapRows;
+                    font.glyphs.push(glyph);
+                    glyph = null;
+                    bitmapRows = null;
+                } else {
+                    bitmapRows.push(line);
+                }
+                continue;
+            }
+            
+            if (inProperties) {
+                if (keyword === 'ENDPROPERTIES') {
+                    inProperties = false;
+                } else {
+                    font.properties[keyword] = this.parseBDFValue(rest);
+                }
+                continue;
+            }
+            
+            switch (keyword) {
+                case 'FONT':
+                    font.name = rest;
+                    break;
+                case 'FONTBOUNDINGBOX':
+                    font.boundingBox = this.parseBDFBox(args);
+                    break;
+                case 'STARTPROPERTIES':
+                    inProperties = true;
+                    break;
+                case 'STARTCHAR':
+                    glyph = { name: rest, encoding: -1, dwidth: null, bbx: null, bitmap: [] };
+                    break;
+                case 'ENCODING':
+                    if (glyph) glyph.encoding = parseInt(args[0], 10);
+                    break;
+                case 'DWIDTH':
+                    // DWIDTH before any STARTCHAR is the font-wide default
+                    if (glyph) glyph.dwidth = parseInt(args[0], 10);
+                    else font.dwidth = parseInt(args[0], 10);
+                    break;
+                case 'BBX':
+                    if (glyph) glyph.bbx = this.parseBDFBox(args);
+                    break;
+                case 'BITMAP':
+                    if (glyph) bitmapRows = [];
+                    break;
+                case 'ENDCHAR':
+                    // Glyph without a BITMAP section
+                    if (glyph) font.glyphs.push(glyph);
+                    glyph = null;
+                    break;
+            }
+        }
+        
+        if (!font.boundingBox) {
+            throw new Error('BDF font is missing FONTBOUNDINGBOX');
+        }
+        
+        return font;
+    }
+    
+    /**
+     * Parse a BDF property value (quoted string or integer)
+     */
+    parseBDFValue(value) {
+        if (value.startsWith('"')) {
+            return value.slice(1, value.endsWith('"') ? -1 : undefined).replace(/""/g, '"');
+        }
+        const number = parseInt(value, 10);
+        return Number.isNaN(number) ? value : number;
+    }
+    
+    /**
+     * Parse "width height xOffset yOffset" box values
+     */
+    parseBDFBox(args) {
+        const [width, height, x, y] = args.map(value => parseInt(value, 10) || 0);
+        return { width, height, x, y };
+    }
+    
+    /**
+     * Convert a parsed BDF font to the standard fixed-cell format. Glyphs are
+     * placed on a shared baseline at FONT_ASCENT; the cell grows when a glyph's
+     * BBX reaches past FONT_ASCENT/FONT_DESCENT. DWIDTH beyond the widest glyph
+     * becomes letter spacing; fonts whose DWIDTH varies keep it per glyph in metrics.
+     */
+    convertBDFToStandard(data) {
+        const properties = data.properties;
+        const box = data.boundingBox;
+        
+        // Glyphs with ENCODING -1 have no code point in the font's charset
+        const glyphs = data.glyphs
+            .filter(glyph => glyph.encoding >= 0x20 && glyph.encoding !== 0x7F && glyph.encoding <= 0x10FFFF)
+            .map(glyph => ({
+                ...glyph,
+                bbx: glyph.bbx || box,
+                dwidth: glyph.dwidth ?? data.dwidth ?? box.width
+            }));
+        
+        if (glyphs.length === 0) {
+            throw new Error('BDF font contains no printable glyphs');
+        }
+        
+        let ascent = Number.isInteger(properties.FONT_ASCENT) ? properties.FONT_ASCENT : box.height + box.y;
+        let descent = Number.isInteger(properties.FONT_DESCENT) ? properties.FONT_DESCENT : -box.y;
+        let xShift = 0;
+        glyphs.forEach(glyph => {
+            if (glyph.bbx.width > 0 && glyph.bbx.height > 0) {
+                ascent = Math.max(ascent, glyph.bbx.y + glyph.bbx.height);
+                descent = Math.max(descent, -glyph.bbx.y);
+                xShift = Math.max(xShift, -glyph.bbx.x);
+            }
+        });
+        
+        let width = 1;
+        let advance = 0;
+        glyphs.forEach(glyph => {
+            if (glyph.bbx.width > 0) {
+                width = Math.max(width, glyph.bbx.x + xShift + glyph.bbx.width);
+            }
+            advance = Math.max(advance, glyph.dwidth);
+        });
+        const height = Math.max(1, ascent + descent);
+        
+        const proportional = glyphs.some(glyph => glyph.dwidth !== glyphs[0].dwidth);
+        // Per-glyph metrics carry varying advances, and undo the xShift that makes room for negative offsets
+        const needsMetrics = proportional || xShift > 0;
+        const characters = {};
+        const metrics = {};
+        glyphs.forEach(glyph => {
+            const rows = Array.from({ length: height }, () => new Array(width).fill(0));
+            const top = ascent - (glyph.bbx.y + glyph.bbx.height);
+            
+            for (let row = 0; row < glyph.bbx.height; row++) {
+                const hex = glyph.bitmap[row] || '';
+                for (let col = 0; col < glyph.bbx.width; col++) {
+                    const byte = parseInt(hex.substr((col >> 3) * 2, 2), 16) || 0;
+                    if ((byte >> (7 - (col & 7))) & 1) {
+                        rows[top + row][glyph.bbx.x + xShift + col] = 1;
+                    }
+                }
+            }
+            
+            characters[String.fromCodePoint(glyph.encoding)] = rows;
+            if (needsMetrics) {
+                // Cells are shifted right by xShift, so draw them back at the pen position
+                metrics[String.fromCodePoint(glyph.encoding)] = { advance: glyph.dwidth, bearing: -xShift };
+            }
+        });
+        
+        const xlfdFamily = data.name.startsWith('-') ? data.name.split('-')[2] : '';
+        
+        return {
+            format: 'bitsdraw-bitmap',
+            version: '1.0',
+            metadata: {
+                name: properties.FAMILY_NAME || xlfdFamily || data.name || 'BDF Font',
+                width: width,
+                height: height,
+                spacing: Math.max(0, advance - width),
+                baseline: ascent,
+                description: `Imported BDF font (${glyphs.length} glyphs)`
+            },
+            characters: characters,
+            metrics: metrics
+        };
+    }
+    
     /**
      * Validate font data structure
      */
@@ -376,8 +970,10 @@ class CustomFontManager {
             </div>
         `;
         
-        // Set default name
-        nameInput.value = metadata.name || 'Custom Font';
+        // Set default name, unless the user already typed one
+        if (!nameInput.dataset.edited) {
+            nameInput.value = metadata.name || 'Custom Font';
+        }
         
         // Render font preview
         this.renderFontPreview(fontData, dialog.querySelector('#font-preview-canvas'));
@@ -507,6 +1103,10 @@ class CustomFontManager {
             width: fontData.metadata.width,
             height: fontData.metadata.height,
             spacing: fontData.metadata.spacing,
+            baseline: fontData.metadata.baseline,
+            proportional: fontData.metadata.proportional,
+            metrics: fontData.metrics,
+            kerning: fontData.kerning,
             data: fontData.characters,
             custom: true // Mark as custom font
         };
@@ -13,6 +13,7 @@ class DialogManager {
         this.setupCanvasResizeDialog();
         this.setupCppExportDialog();
         this.setupCppImportDialog();
+        this.setupFontExportDialog();
         this.setupImagePlacementDialog();
         this.setupAboutDialog();
     }
@@ -435,13 +436,8 @@ class DialogManager {
     }
 
     generateCppCode() {
-        const arrayName = document.getElementById('array-name-input').value || 'my_bitmap';
-        const codeTextarea = document.getElementById('cpp-export-code');
-        
-        const bitmapData = this.app.editor.getBitmapData();
-        const code = BitmapExporter.generateHFile(bitmapData, arrayName);
-        
-        codeTextarea.value = code;
+        // Format and source selection live on the app; keep one code path
+        this.app.generateCppCode();
     }
 
     // ==== CPP IMPORT DIALOG ====
@@ -452,11 +448,20 @@ class DialogManager {
         const importBtn = document.getElementById('cpp-import-load-btn');
         const fileInput = document.getElementById('cpp-import-file');
         const codeTextarea = document.getElementById('cpp-import-code');
+        const layoutSelect = document.getElementById('cpp-import-layout-select');
+        const arrayList = document.getElementById('cpp-import-array-list');
+
+        // Arrays parsed from the current code, with user-editable sizes
+        this.cppImportState = {
+            arrays: [],
+            selectedIndex: 0
+        };
 
         const closeDialog = () => {
             dialog.style.display = 'none';
             fileInput.value = '';
             codeTextarea.value = '';
+            this.refreshCppImportArrays();
         };
 
         closeBtn.addEventListener('click', closeDialog);
@@ -474,11 +479,51 @@ class DialogManager {
                 const reader = new FileReader();
                 reader.onload = (e) => {
                     codeTextarea.value = e.target.result;
+                    this.refreshCppImportArrays();
                 };
                 reader.readAsText(file);
             }
         });
 
+        codeTextarea.addEventListener('input', () => this.refreshCppImportArrays());
+
+        layoutSelect.addEventListener('change', () => {
+            this.fillMissingCppImportHeights();
+            this.renderCppImportArrayList();
+            this.renderCppImportPreview();
+        });
+
+        arrayList.addEventListener('click', (e) => {
+            const row = e.target.closest('.cpp-import-array-row');
+            if (!row || e.target.tagName === 'INPUT') return;
+            this.cppImportState.selectedIndex = parseInt(row.dataset.index);
+            this.renderCppImportArrayList();
+            this.renderCppImportPreview();
+        });
+
+        arrayList.addEventListener('change', (e) => {
+            const row = e.target.closest('.cpp-import-array-row');
+            if (!row) return;
+            const entry = this.cppImportState.arrays[parseInt(row.dataset.index)];
+
+            if (e.target.type === 'checkbox') {
+                entry.selected = e.target.checked;
+                return;
+            }
+
+            const value = parseInt(e.target.value);
+            entry[e.target.dataset.dimension] = value > 0 ? value : null;
+            if (e.target.dataset.dimension === 'width' && !entry.heightFixed) {
+                entry.height = BitmapExporter.getHeightForByteCount(entry.bytes.length, entry.width, this.getCppImportLayout());
+            }
+            if (e.target.dataset.dimension === 'height') {
+                entry.heightFixed = true;
+            }
+            this.cppImportState.selectedIndex = parseInt(row.dataset.index);
+            this.renderCppImportArrayList();
+            this.renderCppImportPreview();
+        });
+
         importBtn.addEventListener('click', () => {
             const code = codeTextarea.value.trim();
             if (!code) {
@@ -486,11 +531,33 @@ class DialogManager {
                 return;
             }
 
+            const target = document.getElementById('cpp-import-target-select').value;
+            const selected = this.cppImportState.arrays.filter(entry => entry.selected);
+            if (selected.length === 0) {
+                this.app.showNotification('No bitmap arrays selected', 'error');
+                return;
+            }
+
+            const unsized = selected.find(entry => !entry.width || !entry.height);
+            if (unsized) {
+                this.app.showNotification(`Enter width and height for "${unsized.name}"`, 'error');
+                return;
+            }
+
             try {
-                const bitmapData = BitmapExporter.parseHFile(code);
-                this.app.editor.loadBitmapData(bitmapData);
-                this.app.updateOutput();
-                this.app.showNotification('CPP header imported successfully!', 'success');
+                const bitmaps = selected.map(entry => this.decodeCppImportEntry(entry));
+
+                if (target === 'sheets') {
+                    this.app.importBitmapsAsSheets(bitmaps);
+                } else if (target === 'layers') {
+                    this.app.importBitmapsAsLayers(bitmaps);
+                } else {
+                    this.app.editor.loadBitmapData(bitmaps[0]);
+                    this.app.updateOutput();
+                }
+
+                const count = target === 'replace' ? 1 : bitmaps.length;
+                this.app.showNotification(`Imported ${count} bitmap${count === 1 ? '' : 's'} from CPP header`, 'success');
                 closeDialog();
             } catch (error) {
                 this.app.errorHandler.handleFileImportError(error);
@@ -504,6 +571,275 @@ class DialogManager {
         
         document.getElementById('cpp-import-file').value = '';
         document.getElementById('cpp-import-code').value = '';
+        this.refreshCppImportArrays();
+    }
+
+    getCppImportLayout() {
+        const layout = document.getElementById('cpp-import-layout-select').value;
+        if (layout !== 'auto') {
+            return layout;
+        }
+        return BitmapExporter.detectByteLayout(document.getElementById('cpp-import-code').value);
+    }
+
+    refreshCppImportArrays() {
+        const code = document.getElementById('cpp-import-code').value;
+        const arrays = code.trim() ? BitmapExporter.parseHeaderArrays(code) : [];
+
+        // Keep sizes the user already typed for arrays that are still present
+        const previous = new Map(this.cppImportState.arrays.map(entry => [entry.name, entry]));
+        this.cppImportState.arrays = arrays.map(array => {
+            const old = previous.get(array.name);
+            return {
+                ...array,
+                width: array.width || (old ? old.width : null),
+                height: array.height || (old ? old.height : null),
+                // Heights from the header or typed by the user are not re-derived
+                heightFixed: Boolean(array.height) || (old ? old.heightFixed : false),
+                selected: old ? old.selected : true
+            };
+        });
+        this.cppImportState.selectedIndex = Math.min(this.cppImportState.selectedIndex, Math.max(0, arrays.length - 1));
+
+        this.renderCppImportArrayList();
+        this.renderCppImportPreview();
+    }
+
+    fillMissingCppImportHeights() {
+        const layout = this.getCppImportLayout();
+        this.cppImportState.arrays.forEach(entry => {
+            if (entry.width && !entry.heightFixed) {
+                entry.height = BitmapExporter.getHeightForByteCount(entry.bytes.length, entry.width, layout);
+            }
+        });
+    }
+
+    renderCppImportArrayList() {
+        const list = document.getElementById('cpp-import-array-list');
+        const { arrays, selectedIndex } = this.cppImportState;
+
+        if (arrays.length === 0) {
+            list.innerHTML = '<p class="help-text">Paste or load a header to list its arrays.</p>';
+            return;
+        }
+
+        list.innerHTML = '';
+        arrays.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.className = 'cpp-import-array-row' + (index === selectedIndex ? ' selected' : '');
+            row.dataset.index = index;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = entry.selected;
+
+            const name = document.createElement('span');
+            name.className = 'array-name';
+            name.textContent = entry.name;
+
+            const createDimensionInput = (dimension) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '1';
+                input.max = '2048';
+                input.placeholder = dimension === 'width' ? 'W' : 'H';
+                input.dataset.dimension = dimension;
+                input.value = entry[dimension] || '';
+                if (!entry[dimension]) {
+                    input.classList.add('missing');
+                }
+                return input;
+            };
+
+            const bytes = document.createElement('span');
+            bytes.className = 'array-bytes';
+            bytes.textContent = `${entry.bytes.length} B`;
+
+            row.append(checkbox, name, createDimensionInput('width'), document.createTextNode('×'), createDimensionInput('height'), bytes);
+            list.appendChild(row);
+        });
+    }
+
+    renderCppImportPreview() {
+        const canvas = document.getElementById('cpp-import-preview-canvas');
+        const ctx = canvas.getContext('2d');
+        const entry = this.cppImportState.arrays[this.cppImportState.selectedIndex];
+
+        if (!entry || !entry.width || !entry.height) {
+            canvas.width = 128;
+            canvas.height = 64;
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            return;
+        }
+
+        const { width, height, pixels } = this.decodeCppImportEntry(entry);
+        const scale = Math.max(1, Math.min(8, Math.floor(256 / Math.max(width, height))));
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#000000';
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (pixels[y][x]) {
+                    ctx.fillRect(x * scale, y * scale, scale, scale);
+                }
+            }
+        }
+    }
+
+    decodeCppImportEntry(entry) {
+        return {
+            name: entry.name,
+            width: entry.width,
+            height: entry.height,
+            pixels: BitmapExporter.bytesToPixelsWithLayout(entry.bytes, entry.width, entry.height, this.getCppImportLayout())
+        };
+    }
+
+    // ==== FONT EXPORT DIALOG ====
+    setupFontExportDialog() {
+        const dialog = document.getElementById('font-export-dialog');
+        const closeBtn = document.getElementById('font-export-close-btn');
+        const cancelBtn = document.getElementById('font-export-cancel-btn');
+        const copyBtn = document.getElementById('font-export-copy-btn');
+        const downloadBtn = document.getElementById('font-export-download-btn');
+        const fontSelect = document.getElementById('font-export-select');
+        const formatSelect = document.getElementById('glyph-format-select');
+        const nameInput = document.getElementById('font-export-name-input');
+
+        const formats = FontExporter.getFontExportFormats();
+        formatSelect.innerHTML = Object.entries(formats)
+            .map(([key, format]) => `<option value="${key}">${format.name}</option>`)
+            .join('');
+
+        const closeDialog = () => {
+            dialog.style.display = 'none';
+        };
+
+        closeBtn.addEventListener('click', closeDialog);
+        cancelBtn.addEventListener('click', closeDialog);
+
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) {
+                closeDialog();
+            }
+        });
+
+        fontSelect.addEventListener('change', () => {
+            nameInput.value = this.getDefaultFontExportName(fontSelect.value);
+            this.generateFontCode();
+        });
+        formatSelect.addEventListener('change', () => this.generateFontCode());
+        nameInput.addEventListener('input', () => this.generateFontCode());
+
+        copyBtn.addEventListener('click', async () => {
+            const codeTextarea = document.getElementById('font-export-code');
+            try {
+                await navigator.clipboard.writeText(codeTextarea.value);
+                this.app.showNotification('Code copied to clipboard!', 'success');
+            } catch (err) {
+                console.error('Failed to copy to clipboard:', err);
+                this.app.showNotification('Failed to copy to clipboard. Please copy manually.', 'error');
+            }
+        });
+
+        downloadBtn.addEventListener('click', () => {
+            const code = this.generateFontCode();
+            if (!code) {
+                this.app.showNotification('Font export failed. See the generated code for details.', 'error');
+                return;
+            }
+
+            const format = formats[formatSelect.value];
+            const fileName = BitmapExporter.sanitizeSymbolName(nameInput.value || 'font') + format.extension;
+            const blob = new Blob([code], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = fileName;
+            a.style.display = 'none';
+
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+
+            URL.revokeObjectURL(url);
+            this.app.showNotification(`Font exported as ${fileName}`, 'success');
+        });
+    }
+
+    showFontExportDialog() {
+        const dialog = document.getElementById('font-export-dialog');
+        const fontSelect = document.getElementById('font-export-select');
+        const nameInput = document.getElementById('font-export-name-input');
+        const previousFont = fontSelect.value;
+
+        // Rebuild each time so newly imported custom fonts are listed
+        fontSelect.innerHTML = Object.entries(this.getExportableFonts())
+            // data-custom lets CustomFontManager.updateFontSelectionUI replace custom entries without duplicating them
+            .map(([key, font]) => `<option value="${key}"${font.custom ? ' data-custom="true"' : ''}>${font.name} (${font.width}×${font.height})</option>`)
+            .join('');
+        if (previousFont && this.getExportableFonts()[previousFont]) {
+            fontSelect.value = previousFont;
+        } else {
+            nameInput.value = this.getDefaultFontExportName(fontSelect.value);
+        }
+
+        dialog.style.display = 'flex';
+        this.generateFontCode();
+        nameInput.focus();
+    }
+
+    /**
+     * Built-in fonts plus the custom fonts held by CustomFontManager
+     */
+    getExportableFonts() {
+        const fonts = {};
+        Object.entries(TextRenderer.fonts).forEach(([key, font]) => {
+            if (!font.custom) {
+                fonts[key] = font;
+            }
+        });
+
+        const customFontManager = TextRenderer.getCustomFontManager();
+        if (customFontManager) {
+            customFontManager.getAllCustomFonts().forEach(customFont => {
+                fonts[customFont.id] = FontExporter.fromCustomFont(customFont);
+            });
+        }
+        return fonts;
+    }
+
+    getDefaultFontExportName(fontKey) {
+        const font = this.getExportableFonts()[fontKey];
+        if (!font) {
+            return 'font';
+        }
+        return BitmapExporter.sanitizeSymbolName(font.name.replace(/×/g, 'x'));
+    }
+
+    generateFontCode() {
+        const codeTextarea = document.getElementById('font-export-code');
+        const font = this.getExportableFonts()[document.getElementById('font-export-select').value];
+        const format = document.getElementById('glyph-format-select').value;
+        const name = document.getElementById('font-export-name-input').value || 'font';
+
+        if (!font) {
+            codeTextarea.value = '';
+            return '';
+        }
+
+        try {
+            codeTextarea.value = FontExporter.generateFontFile(font, name, format);
+            return codeTextarea.value;
+        } catch (error) {
+            codeTextarea.value = `// ${error.message}`;
+            return '';
+        }
     }
 
     // ==== IMAGE PLACEMENT DIALOG ====
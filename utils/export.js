@@ -5,12 +5,37 @@ class BitmapExporter {
         let bytes, code;
         
         switch (format) {
+            case 'micropython-hlsb':
+            case 'micropython-hmsb':
+            case 'micropython-vlsb':
+                return this.generateMicroPythonCode(bitmapData, projectName, format);
+            case 'rust':
+                return this.generateRustCode(bitmapData, projectName);
+            case 'lvgl-alpha':
+            case 'lvgl-indexed':
+                return this.generateLVGLCode(bitmapData, projectName, format);
+            case 'project-header':
+                return this.generateProjectHeader(bitmapData, projectName);
+            case 'animation-delta':
+                return this.generateDeltaAnimationCode(bitmapData, projectName);
             case 'adafruit':
                 bytes = this.pixelsToBytesAdafruit(pixels, width, height);
                 code = this.generateAdafruitCode(bytes, width, height, projectName);
                 break;
+            case 'page':
+                bytes = this.pixelsToBytesPage(pixels, width, height);
+                code = this.generatePageCode(bytes, width, height, projectName);
+                break;
             case 'gameboy':
                 return this.generateGameBoy2BPP(pixels, width, height, projectName);
+            case 'gameboy-tilemap':
+            case 'gameboy-tilemap-flip':
+            case 'gameboy-tilemap-8x16':
+            case 'gameboy-tilemap-8x16-flip':
+                return this.generateGameBoyTilemap(pixels, width, height, projectName, {
+                    tileHeight: format.includes('8x16') ? 16 : 8,
+                    matchFlips: format.endsWith('-flip')
+                });
             default: // u8g2
                 bytes = this.pixelsToBytesU8G2(pixels, width, height);
                 code = this.generateU8G2Code(bytes, width, height, projectName);
@@ -70,6 +95,528 @@ class BitmapExporter {
         return code;
     }
 
+    /**
+     * Generate a MicroPython/CircuitPython module with framebuf-ready buffers.
+     * bitmapData.frames ([{ name, pixels }]) emits one variable per sheet or layer.
+     */
+    static generateMicroPythonCode(bitmapData, projectName, format) {
+        const { width, height } = bitmapData;
+        const frames = bitmapData.frames && bitmapData.frames.length > 0
+            ? bitmapData.frames
+            : [{ name: projectName, pixels: bitmapData.pixels }];
+        
+        const layouts = {
+            'micropython-hlsb': { constant: 'MONO_HLSB', pack: 'pixelsToBytesAdafruit', description: 'horizontal bytes, MSB first' },
+            'micropython-hmsb': { constant: 'MONO_HMSB', pack: 'pixelsToBytesU8G2', description: 'horizontal bytes, LSB first' },
+            'micropython-vlsb': { constant: 'MONO_VLSB', pack: 'pixelsToBytesPage', description: 'vertical bytes, LSB at top' }
+        };
+        const layout = layouts[format];
+        const prefix = this.sanitizeSymbolName(projectName).toUpperCase();
+        
+        let code = `# Generated by BitsDraw v1.0.4 - MicroPython framebuf Format\n`;
+        code += `# Size: ${width} x ${height} pixels\n`;
+        code += `# Format: framebuf.${layout.constant} (${layout.description})\n\n`;
+        code += `import framebuf\n\n`;
+        code += `${prefix}_WIDTH = ${width}\n`;
+        code += `${prefix}_HEIGHT = ${height}\n`;
+        
+        const usedNames = new Set();
+        const variableNames = [];
+        
+        frames.forEach((frame, index) => {
+            const name = this.uniqueSymbolName(frame.name || `${projectName}_${index}`, usedNames);
+            const bytes = this[layout.pack](frame.pixels, width, height);
+            const hexValues = bytes.map(byte => `0x${byte.toString(16).padStart(2, '0').toUpperCase()}`);
+            variableNames.push(name);
+            
+            code += `\n# ${frame.name || name}: ${bytes.length} bytes\n`;
+            code += `${name}_data = bytearray([\n`;
+            for (let i = 0; i < hexValues.length; i += 16) {
+                code += `    ${hexValues.slice(i, i + 16).join(', ')},\n`;
+            }
+            code += `])\n`;
+            code += `${name} = framebuf.FrameBuffer(${name}_data, ${prefix}_WIDTH, ${prefix}_HEIGHT, framebuf.${layout.constant})\n`;
+        });
+        
+        if (variableNames.length > 1) {
+            code += `\n${prefix}_FRAMES = (${variableNames.join(', ')})\n`;
+        }
+        
+        code += `\n# Usage example:\n`;
+        code += `# display.blit(${variableNames[0]}, x, y)`;
+        
+        return code;
+    }
+
+    /**
+     * Generate a Rust module with embedded-graphics ImageRaw constants.
+     * bitmapData.frames ([{ name, pixels }]) emits one constant per sheet plus an animation slice.
+     */
+    static generateRustCode(bitmapData, projectName) {
+        const { width, height } = bitmapData;
+        const frames = bitmapData.frames && bitmapData.frames.length > 0
+            ? bitmapData.frames
+            : [{ name: projectName, pixels: bitmapData.pixels }];
+        const prefix = this.sanitizeSymbolName(projectName).toUpperCase();
+        
+        let code = `// Generated by BitsDraw v1.0.4 - Rust embedded-graphics Format\n`;
+        code += `// Size: ${width} x ${height} pixels\n`;
+        code += `// Format: ImageRaw<BinaryColor> (MSB first, horizontal bytes)\n\n`;
+        code += `use embedded_graphics::{image::ImageRaw, pixelcolor::BinaryColor};\n\n`;
+        code += `pub const ${prefix}_WIDTH: u32 = ${width};\n`;
+        code += `pub const ${prefix}_HEIGHT: u32 = ${height};\n`;
+        
+        const usedNames = new Set([prefix.toLowerCase() + '_width', prefix.toLowerCase() + '_height']);
+        const constNames = [];
+        
+        frames.forEach((frame, index) => {
+            const name = this.uniqueSymbolName(frame.name || `${projectName}_${index}`, usedNames).toUpperCase();
+            // embedded-graphics BinaryColor raw data is MSB first, rows padded to whole bytes
+            const bytes = this.pixelsToBytesAdafruit(frame.pixels, width, height);
+            const hexValues = bytes.map(byte => `0x${byte.toString(16).padStart(2, '0').toUpperCase()}`);
+            constNames.push(name);
+            
+            code += `\n// ${frame.name || name}\n`;
+            code += `pub const ${name}_DATA: [u8; ${bytes.length}] = [\n`;
+            for (let i = 0; i < hexValues.length; i += 16) {
+                code += `    ${hexValues.slice(i, i + 16).join(', ')},\n`;
+            }
+            code += `];\n`;
+            code += `pub const ${name}: ImageRaw<BinaryColor> = ImageRaw::<BinaryColor>::new(&${name}_DATA, ${prefix}_WIDTH);\n`;
+        });
+        
+        if (constNames.length > 1) {
+            code += `\npub const ${prefix}_FRAMES: &[ImageRaw<BinaryColor>] = &[${constNames.join(', ')}];\n`;
+        }
+        
+        code += `\n// Usage example:\n`;
+        code += `// Image::new(&${constNames[0]}, Point::new(x, y)).draw(&mut display)?;`;
+        
+        return code;
+    }
+
+    /**
+     * Generate LVGL (v8) lv_img_dsc_t image descriptors.
+     * 'lvgl-alpha' writes LV_IMG_CF_ALPHA_1BIT: a bit is set where an opaque pixel is drawn.
+     * 'lvgl-indexed' writes LV_IMG_CF_INDEXED_1BIT with a white/black palette; images with
+     * transparent pixels switch to LV_IMG_CF_INDEXED_2BIT with a third, transparent entry.
+     */
+    static generateLVGLCode(bitmapData, projectName, format) {
+        const { width, height } = bitmapData;
+        const frames = bitmapData.frames && bitmapData.frames.length > 0
+            ? bitmapData.frames
+            : [{ name: projectName, pixels: bitmapData.pixels, alpha: bitmapData.alpha }];
+        const indexed = format === 'lvgl-indexed';
+        const colorFormat = indexed ? 'LV_IMG_CF_INDEXED_1BIT' : 'LV_IMG_CF_ALPHA_1BIT';
+        
+        let code = `// Generated by BitsDraw v1.0.4 - LVGL Image Descriptor Format\n`;
+        code += `// Size: ${width} x ${height} pixels\n`;
+        code += `// Format: ${colorFormat} (MSB first, horizontal bytes)\n`;
+        if (indexed) {
+            code += `// Images with transparent pixels use LV_IMG_CF_INDEXED_2BIT so white stays opaque\n`;
+        }
+        code += `\n`;
+        code += `#include "lvgl.h"\n\n`;
+        code += `#ifndef LV_ATTRIBUTE_MEM_ALIGN\n#define LV_ATTRIBUTE_MEM_ALIGN\n#endif\n`;
+        
+        const usedNames = new Set();
+        const descriptorNames = [];
+        
+        frames.forEach((frame, index) => {
+            const name = this.uniqueSymbolName(frame.name || `${projectName}_${index}`, usedNames);
+            const alpha = frame.alpha;
+            const isOpaque = (x, y) => !alpha || (alpha[y] && alpha[y][x] > 0);
+            
+            // Fold alpha into the bit plane before packing
+            const bits = [];
+            let hasTransparency = false;
+            for (let y = 0; y < height; y++) {
+                bits[y] = [];
+                for (let x = 0; x < width; x++) {
+                    const opaque = isOpaque(x, y);
+                    if (!opaque) hasTransparency = true;
+                    bits[y][x] = opaque && frame.pixels[y][x] ? 1 : 0;
+                }
+            }
+            
+            // A 2-color palette can't hold white and transparent apart
+            const twoBit = indexed && hasTransparency;
+            const frameFormat = twoBit ? 'LV_IMG_CF_INDEXED_2BIT' : colorFormat;
+            const bytes = twoBit
+                ? this.pixelsToBytesLVGL2Bit(frame.pixels, width, height, isOpaque)
+                : this.pixelsToBytesAdafruit(bits, width, height);
+            const hexValues = bytes.map(byte => `0x${byte.toString(16).padStart(2, '0')}`);
+            const dataSize = bytes.length + (indexed ? (twoBit ? 16 : 8) : 0);
+            descriptorNames.push(name);
+            
+            code += `\nconst LV_ATTRIBUTE_MEM_ALIGN uint8_t ${name}_map[] = {\n`;
+            if (indexed) {
+                // lv_color32_t palette entries are stored as B, G, R, A
+                code += `  0xff, 0xff, 0xff, 0xff, \t/*Color of index 0*/\n`;
+                code += `  0x00, 0x00, 0x00, 0xff, \t/*Color of index 1*/\n`;
+                if (twoBit) {
+                    code += `  0x00, 0x00, 0x00, 0x00, \t/*Color of index 2*/\n`;
+                    code += `  0x00, 0x00, 0x00, 0x00, \t/*Color of index 3*/\n`;
+                }
+                code += `\n`;
+            }
+            for (let i = 0; i < hexValues.length; i += 16) {
+                code += `  ${hexValues.slice(i, i + 16).join(', ')},\n`;
+            }
+            code += `};\n\n`;
+            
+            code += `const lv_img_dsc_t ${name} = {\n`;
+            code += `  .header.cf = ${frameFormat},\n`;
+            code += `  .header.always_zero = 0,\n`;
+            code += `  .header.reserved = 0,\n`;
+            code += `  .header.w = ${width},\n`;
+            code += `  .header.h = ${height},\n`;
+            code += `  .data_size = ${dataSize},\n`;
+            code += `  .data = ${name}_map,\n`;
+            code += `};\n`;
+        });
+        
+        code += `\n// Usage example:\n`;
+        code += `// lv_obj_t * img = lv_img_create(lv_scr_act());\n`;
+        code += `// lv_img_set_src(img, &${descriptorNames[0]});`;
+        if (!indexed) {
+            code += `\n// ALPHA_1BIT images take their color from the style:\n`;
+            code += `// lv_obj_set_style_img_recolor(img, lv_color_black(), 0);`;
+        }
+        
+        return code;
+    }
+
+    /**
+     * Pack pixels as LVGL INDEXED_2BIT data: 0 = white, 1 = black, 2 = transparent,
+     * four pixels per byte with the first pixel in the high bits, rows padded to whole bytes
+     */
+    static pixelsToBytesLVGL2Bit(pixels, width, height, isOpaque) {
+        const bytesPerRow = Math.ceil(width / 4);
+        const bytes = new Array(bytesPerRow * height).fill(0);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = !isOpaque(x, y) ? 2 : (pixels[y][x] ? 1 : 0);
+                bytes[y * bytesPerRow + (x >> 2)] |= index << (6 - (x & 3) * 2);
+            }
+        }
+        return bytes;
+    }
+
+    /**
+     * Generate one header holding every sheet/layer bitmap of a project (XBM packing),
+     * with per-bitmap size #defines and a lookup table.
+     * bitmapData.frames ([{ name, width, height, pixels }]) may mix sizes.
+     */
+    static generateProjectHeader(bitmapData, projectName) {
+        const frames = bitmapData.frames && bitmapData.frames.length > 0
+            ? bitmapData.frames
+            : [{ name: projectName, width: bitmapData.width, height: bitmapData.height, pixels: bitmapData.pixels }];
+        const prefix = this.sanitizeSymbolName(projectName);
+        const macroPrefix = prefix.toUpperCase();
+        const guard = `${macroPrefix}_H`;
+        
+        const usedNames = new Set([`${prefix}_bitmaps`, `${prefix}_widths`, `${prefix}_heights`]);
+        const entries = frames.map((frame, index) => {
+            const width = frame.width || bitmapData.width;
+            const height = frame.height || bitmapData.height;
+            const symbol = this.uniqueSymbolName(`${prefix}_${frame.name || index}`, usedNames);
+            const bytes = this.pixelsToBytesU8G2(frame.pixels, width, height);
+            return { name: frame.name || symbol, symbol, width, height, bytes };
+        });
+        const totalBytes = entries.reduce((sum, entry) => sum + entry.bytes.length, 0);
+        
+        let code = `// Generated by BitsDraw v1.0.4 - Project Header Format\n`;
+        code += `// Bitmaps: ${entries.length}\n`;
+        code += `// Data size: ${totalBytes} bytes\n`;
+        code += `// Format: XBM (LSB first, horizontal bytes)\n\n`;
+        code += `#ifndef ${guard}\n#define ${guard}\n`;
+        
+        entries.forEach((entry, index) => {
+            const macro = entry.symbol.toUpperCase();
+            const hexValues = entry.bytes.map(byte => `0x${byte.toString(16).padStart(2, '0').toUpperCase()}`);
+            
+            code += `\n// [${index}] ${entry.name}: ${entry.width} x ${entry.height} pixels, ${entry.bytes.length} bytes\n`;
+            code += `#define ${macro}_WIDTH ${entry.width}\n`;
+            code += `#define ${macro}_HEIGHT ${entry.height}\n`;
+            code += `const unsigned char ${entry.symbol}[] PROGMEM = {\n`;
+            for (let i = 0; i < hexValues.length; i += 16) {
+                const lineValues = hexValues.slice(i, i + 16);
+                code += `  ${lineValues.join(', ')}`;
+                if (i + 16 < hexValues.length) {
+                    code += ',';
+                }
+                code += '\n';
+            }
+            code += `};\n`;
+        });
+        
+        code += `\n#define ${macroPrefix}_BITMAP_COUNT ${entries.length}\n\n`;
+        code += `const unsigned char* const ${prefix}_bitmaps[${macroPrefix}_BITMAP_COUNT] PROGMEM = {\n`;
+        code += entries.map(entry => `  ${entry.symbol}`).join(',\n') + '\n';
+        code += `};\n\n`;
+        code += `const unsigned short ${prefix}_widths[${macroPrefix}_BITMAP_COUNT] PROGMEM = { `;
+        code += entries.map(entry => `${entry.symbol.toUpperCase()}_WIDTH`).join(', ') + ` };\n`;
+        code += `const unsigned short ${prefix}_heights[${macroPrefix}_BITMAP_COUNT] PROGMEM = { `;
+        code += entries.map(entry => `${entry.symbol.toUpperCase()}_HEIGHT`).join(', ') + ` };\n\n`;
+        code += `#endif // ${guard}\n\n`;
+        code += `// Usage example:\n`;
+        code += `// u8g2.drawXBM(x, y, ${entries[0].symbol.toUpperCase()}_WIDTH, ${entries[0].symbol.toUpperCase()}_HEIGHT, ${entries[0].symbol});`;
+        
+        return code;
+    }
+
+    /**
+     * Generate a compressed animation header: frame 0 is stored in full (XBM packing),
+     * every following frame as the RLE-encoded XOR against the previous frame.
+     * A matching decoder is emitted in the same header.
+     */
+    static generateDeltaAnimationCode(bitmapData, projectName) {
+        const { width, height } = bitmapData;
+        const frames = bitmapData.frames && bitmapData.frames.length > 0
+            ? bitmapData.frames
+            : [{ name: projectName, pixels: bitmapData.pixels }];
+        const name = this.sanitizeSymbolName(projectName);
+        const macro = name.toUpperCase();
+        const toHex = byte => `0x${byte.toString(16).padStart(2, '0').toUpperCase()}`;
+        
+        const stats = this.getDeltaAnimationStats(bitmapData);
+        const frameBytes = frames.map(frame => this.pixelsToBytesU8G2(frame.pixels, width, height));
+        const deltas = [];
+        const offsets = [];
+        let offset = 0;
+        for (let i = 1; i < frameBytes.length; i++) {
+            const encoded = this.encodeDeltaRLE(frameBytes[i - 1], frameBytes[i]);
+            offsets.push(offset);
+            offset += encoded.length;
+            deltas.push(...encoded);
+        }
+        const offsetType = stats.offsetBytes === 4 ? 'unsigned long' : 'unsigned short';
+        const offsetRead = stats.offsetBytes === 4 ? 'pgm_read_dword' : 'pgm_read_word';
+        
+        const writeArray = (bytes) => {
+            let body = '';
+            for (let i = 0; i < bytes.length; i += 16) {
+                const lineValues = bytes.slice(i, i + 16).map(toHex);
+                body += `  ${lineValues.join(', ')}`;
+                if (i + 16 < bytes.length) {
+                    body += ',';
+                }
+                body += '\n';
+            }
+            return body;
+        };
+        
+        let code = `// Generated by BitsDraw v1.0.4 - Delta Animation Format\n`;
+        code += `// Size: ${width} x ${height} pixels\n`;
+        code += `// Frames: ${frames.length}\n`;
+        code += `// Raw size: ${stats.rawBytes} bytes (${frames.length} x ${stats.frameBytes})\n`;
+        code += `// Compressed size: ${stats.compressedBytes} bytes (saved ${stats.savedBytes} bytes, ${stats.savedPercent}%)\n`;
+        code += `// Format: XBM (LSB first), frames 1+ as RLE-encoded XOR deltas\n`;
+        code += `// RLE: ctrl & 0x80 -> repeat next byte (ctrl & 0x7F) + 1 times, else copy ctrl + 1 literal bytes\n\n`;
+        code += `#ifndef PROGMEM\n#define PROGMEM\n#endif\n`;
+        code += `#ifndef pgm_read_byte\n#define pgm_read_byte(addr) (*(const unsigned char *)(addr))\n#endif\n`;
+        code += `#ifndef ${offsetRead}\n#define ${offsetRead}(addr) (*(const ${offsetType} *)(addr))\n#endif\n\n`;
+        code += `#define ${macro}_WIDTH ${width}\n`;
+        code += `#define ${macro}_HEIGHT ${height}\n`;
+        code += `#define ${macro}_FRAME_COUNT ${frames.length}\n`;
+        code += `#define ${macro}_FRAME_BYTES ${stats.frameBytes}\n\n`;
+        code += `const unsigned char ${name}_frame0[${macro}_FRAME_BYTES] PROGMEM = {\n`;
+        code += writeArray(frameBytes[0]);
+        code += `};\n\n`;
+        
+        if (deltas.length > 0) {
+            code += `const unsigned char ${name}_deltas[${deltas.length}] PROGMEM = {\n`;
+            code += writeArray(deltas);
+            code += `};\n\n`;
+            code += `// Offset of the delta that turns frame (i) into frame (i + 1)\n`;
+            code += `const ${offsetType} ${name}_delta_offsets[${macro}_FRAME_COUNT - 1] PROGMEM = {\n`;
+            code += `  ${offsets.join(', ')}\n`;
+            code += `};\n\n`;
+        }
+        
+        code += `// Load frame 0 into buf (${macro}_FRAME_BYTES bytes)\n`;
+        code += `static void ${name}_reset(unsigned char *buf) {\n`;
+        code += `    unsigned int i;\n`;
+        code += `    for (i = 0; i < ${macro}_FRAME_BYTES; i++) {\n`;
+        code += `        buf[i] = pgm_read_byte(&${name}_frame0[i]);\n`;
+        code += `    }\n`;
+        code += `}\n\n`;
+        
+        if (deltas.length > 0) {
+            code += `// Turn buf from frame (index - 1) into frame index (1 .. ${macro}_FRAME_COUNT - 1)\n`;
+            code += `static void ${name}_apply_delta(unsigned char *buf, unsigned int index) {\n`;
+            code += `    const unsigned char *src = ${name}_deltas + ${offsetRead}(&${name}_delta_offsets[index - 1]);\n`;
+            code += `    unsigned int pos = 0;\n`;
+            code += `    while (pos < ${macro}_FRAME_BYTES) {\n`;
+            code += `        unsigned char ctrl = pgm_read_byte(src++);\n`;
+            code += `        unsigned int count = (ctrl & 0x7F) + 1;\n`;
+            code += `        if (ctrl & 0x80) {\n`;
+            code += `            unsigned char value = pgm_read_byte(src++);\n`;
+            code += `            while (count--) buf[pos++] ^= value;\n`;
+            code += `        } else {\n`;
+            code += `            while (count--) buf[pos++] ^= pgm_read_byte(src++);\n`;
+            code += `        }\n`;
+            code += `    }\n`;
+            code += `}\n\n`;
+        }
+        
+        code += `// Advance buf to the next frame, looping back to frame 0\n`;
+        code += `static void ${name}_next_frame(unsigned char *buf, unsigned int *index) {\n`;
+        code += `    if (*index + 1 >= ${macro}_FRAME_COUNT) {\n`;
+        code += `        *index = 0;\n`;
+        code += `        ${name}_reset(buf);\n`;
+        code += `    } else {\n`;
+        code += deltas.length > 0
+            ? `        *index += 1;\n        ${name}_apply_delta(buf, *index);\n`
+            : `        *index += 1;\n`;
+        code += `    }\n`;
+        code += `}\n\n`;
+        
+        code += `// Usage example:\n`;
+        code += `// static unsigned char frame[${macro}_FRAME_BYTES];\n`;
+        code += `// unsigned int frameIndex = 0;\n`;
+        code += `// ${name}_reset(frame);\n`;
+        code += `// loop: u8g2.drawXBM(x, y, ${macro}_WIDTH, ${macro}_HEIGHT, frame); ${name}_next_frame(frame, &frameIndex);`;
+        
+        return code;
+    }
+
+    /**
+     * PackBits-style RLE of (previous XOR current). Unchanged areas become long zero runs.
+     */
+    static encodeDeltaRLE(previousBytes, currentBytes) {
+        const delta = currentBytes.map((byte, i) => byte ^ previousBytes[i]);
+        const out = [];
+        let i = 0;
+        
+        while (i < delta.length) {
+            // Measure run of identical bytes
+            let run = 1;
+            while (i + run < delta.length && run < 128 && delta[i + run] === delta[i]) {
+                run++;
+            }
+            
+            if (run >= 3) {
+                out.push(0x80 | (run - 1), delta[i]);
+                i += run;
+                continue;
+            }
+            
+            // Collect literals until the next run of 3+ identical bytes
+            const start = i;
+            while (i < delta.length && i - start < 128) {
+                if (i + 2 < delta.length && delta[i] === delta[i + 1] && delta[i] === delta[i + 2]) {
+                    break;
+                }
+                i++;
+            }
+            out.push(i - start - 1, ...delta.slice(start, i));
+        }
+        
+        return out;
+    }
+
+    /**
+     * Compare the delta-compressed size against the raw per-frame byte size.
+     * offsetBytes is the size of one delta offset entry: 4 once the delta stream outgrows 16 bits.
+     */
+    static getDeltaAnimationStats(bitmapData) {
+        const { width, height } = bitmapData;
+        const frames = bitmapData.frames && bitmapData.frames.length > 0
+            ? bitmapData.frames
+            : [{ pixels: bitmapData.pixels }];
+        const frameBytes = Math.ceil(width / 8) * height; // XBM rows are padded to whole bytes
+        
+        let deltaBytes = 0;
+        let previous = this.pixelsToBytesU8G2(frames[0].pixels, width, height);
+        for (let i = 1; i < frames.length; i++) {
+            const current = this.pixelsToBytesU8G2(frames[i].pixels, width, height);
+            deltaBytes += this.encodeDeltaRLE(previous, current).length;
+            previous = current;
+        }
+        const offsetBytes = deltaBytes > 0xFFFF ? 4 : 2;
+        const compressedBytes = frameBytes + deltaBytes + (frames.length - 1) * offsetBytes;
+        
+        const rawBytes = frameBytes * frames.length;
+        const savedBytes = rawBytes - compressedBytes;
+        return {
+            frameBytes,
+            offsetBytes,
+            rawBytes,
+            compressedBytes,
+            savedBytes,
+            savedPercent: rawBytes > 0 ? Math.round((savedBytes / rawBytes) * 1000) / 10 : 0
+        };
+    }
+
+    /**
+     * Formats that can emit one array per sheet or layer from bitmapData.frames
+     */
+    static supportsMultipleArrays(format) {
+        return ['micropython-hlsb', 'micropython-hmsb', 'micropython-vlsb', 'rust', 'lvgl-alpha', 'lvgl-indexed', 'project-header', 'animation-delta'].includes(format);
+    }
+
+    /**
+     * Turn an arbitrary sheet/layer/project name into a valid C or Python identifier
+     */
+    static sanitizeSymbolName(name) {
+        let symbol = String(name || '').trim().replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+        if (!symbol) {
+            symbol = 'bitmap';
+        }
+        if (/^[0-9]/.test(symbol)) {
+            symbol = `_${symbol}`;
+        }
+        return symbol.toLowerCase();
+    }
+
+    static uniqueSymbolName(name, usedNames) {
+        const base = this.sanitizeSymbolName(name);
+        let symbol = base;
+        let suffix = 2;
+        while (usedNames.has(symbol)) {
+            symbol = `${base}_${suffix++}`;
+        }
+        usedNames.add(symbol);
+        return symbol;
+    }
+
+    static generatePageCode(bytes, width, height, projectName) {
+        const hexValues = bytes.map(byte => `0x${byte.toString(16).padStart(2, '0').toUpperCase()}`);
+        const pages = Math.ceil(height / 8);
+        
+        let code = `// Generated by BitsDraw v1.0.4 - SSD1306/SH1106 Page Format\n`;
+        code += `// Size: ${width} x ${height} pixels\n`;
+        code += `// Pages: ${pages} (${width} bytes per page)\n`;
+        code += `// Data size: ${bytes.length} bytes\n`;
+        code += `// Format: Vertical pages (column bytes, LSB at top)\n\n`;
+        code += `const unsigned char ${projectName}[] PROGMEM = {\n`;
+        
+        // One line per page, wrapped every 16 bytes
+        for (let page = 0; page < pages; page++) {
+            code += `  // Page ${page}\n`;
+            for (let i = 0; i < width; i += 16) {
+                const start = page * width + i;
+                const lineValues = hexValues.slice(start, Math.min(start + 16, (page + 1) * width));
+                code += `  ${lineValues.join(', ')}`;
+                if (start + lineValues.length < hexValues.length) {
+                    code += ',';
+                }
+                code += '\n';
+            }
+        }
+        
+        code += `};\n\n`;
+        code += `// Usage example (write page by page to GDDRAM):\n`;
+        code += `// for (page = 0; page < ${pages}; page++) {\n`;
+        code += `//     setPageAddress(page); setColumnAddress(0);\n`;
+        code += `//     writeData(&${projectName}[page * ${width}], ${width});\n`;
+        code += `// }`;
+        
+        return code;
+    }
+
     static pixelsToBytesU8G2(pixels, width, height) {
         const bytes = [];
         const bytesPerRow = Math.ceil(width / 8);
@@ -122,7 +669,150 @@ class BitmapExporter {
         return bytes;
     }
 
-    // Playdate PDI export removed
+    static pixelsToBytesPage(pixels, width, height) {
+        const bytes = [];
+        const pages = Math.ceil(height / 8);
+        
+        for (let page = 0; page < pages; page++) {
+            for (let x = 0; x < width; x++) {
+                let byte = 0;
+                
+                // SSD1306/SH1106 GDDRAM: one byte per column, LSB is the top row of the page
+                for (let bit = 0; bit < 8; bit++) {
+                    const y = page * 8 + bit;
+                    if (y < height) {
+                        const pixelValue = pixels[y][x];
+                        if (pixelValue) {
+                            byte |= (1 << bit);
+                        }
+                    }
+                }
+                
+                bytes.push(byte);
+            }
+        }
+        
+        return bytes;
+    }
+
+    /**
+     * Generate a Playdate image (.pdi), uncompressed.
+     * File: "Playdate IMG" + uint32 flags, followed by one image cell.
+     */
+    static generatePlaydatePDI(bitmapData) {
+        const cell = this.packPlaydateCell(bitmapData);
+        const data = new Uint8Array(16 + cell.length);
+        
+        this.writeAscii(data, 0, 'Playdate IMG');
+        // Flags stay 0: bit 31 would mark a zlib-compressed body
+        data.set(cell, 16);
+        
+        return data;
+    }
+
+    /**
+     * Generate a Playdate image table (.pdt) from bitmapData.frames, uncompressed.
+     * File: "Playdate IMT" + uint32 flags, uint16 cell count, uint16 cells per row,
+     * uint32 end offset of each cell (the first cell implicitly starts at 0), then cells.
+     */
+    static generatePlaydatePDT(bitmapData) {
+        const frames = bitmapData.frames && bitmapData.frames.length > 0 ? bitmapData.frames : [bitmapData];
+        const cells = frames.map(frame => this.packPlaydateCell(frame));
+        const tableSize = 4 + cells.length * 4;
+        const cellBytes = cells.reduce((sum, cell) => sum + cell.length, 0);
+        
+        const data = new Uint8Array(16 + tableSize + cellBytes);
+        const view = new DataView(data.buffer);
+        
+        this.writeAscii(data, 0, 'Playdate IMT');
+        view.setUint16(16, cells.length, true);
+        view.setUint16(18, cells.length, true); // Single row, one cell per frame
+        
+        let offset = 0;
+        cells.forEach((cell, index) => {
+            offset += cell.length;
+            view.setUint32(20 + index * 4, offset, true);
+            data.set(cell, 16 + tableSize + offset - cell.length);
+        });
+        
+        return data;
+    }
+
+    /**
+     * Pack one Playdate image cell. Playdate bits are 1 = white, so BitsDraw
+     * pixels are inverted. With transparency the cell is clipped to the opaque
+     * bounds and followed by a mask plane (1 = opaque) with the same stride.
+     * Header: uint16 clip width, clip height, stride, clip left, right, top, bottom, flags.
+     */
+    static packPlaydateCell(bitmapData) {
+        const { width, height, pixels, alpha } = bitmapData;
+        const isOpaque = (x, y) => !alpha || Boolean(alpha[y][x]);
+        
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        let hasTransparency = false;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (isOpaque(x, y)) {
+                    minX = Math.min(minX, x);
+                    minY = Math.min(minY, y);
+                    maxX = Math.max(maxX, x);
+                    maxY = Math.max(maxY, y);
+                } else {
+                    hasTransparency = true;
+                }
+            }
+        }
+        
+        // A fully transparent frame still keeps a 1x1 transparent cell
+        if (maxX < 0) {
+            minX = 0;
+            minY = 0;
+            maxX = 0;
+            maxY = 0;
+        }
+        
+        const bounds = hasTransparency
+            ? { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+            : { x: 0, y: 0, width, height };
+        const stride = Math.ceil(bounds.width / 8);
+        const planeSize = stride * bounds.height;
+        
+        const cell = new Uint8Array(16 + planeSize * (hasTransparency ? 2 : 1));
+        const view = new DataView(cell.buffer);
+        view.setUint16(0, bounds.width, true);
+        view.setUint16(2, bounds.height, true);
+        view.setUint16(4, stride, true);
+        view.setUint16(6, bounds.x, true);
+        view.setUint16(8, width - bounds.x - bounds.width, true);
+        view.setUint16(10, bounds.y, true);
+        view.setUint16(12, height - bounds.y - bounds.height, true);
+        view.setUint16(14, hasTransparency ? 1 : 0, true);
+        
+        for (let y = 0; y < bounds.height; y++) {
+            for (let x = 0; x < bounds.width; x++) {
+                const srcX = x + bounds.x;
+                const srcY = y + bounds.y;
+                const index = 16 + y * stride + (x >> 3);
+                const bit = 0x80 >> (x & 7);
+                const opaque = isOpaque(srcX, srcY);
+                
+                if (opaque && !pixels[srcY][srcX]) {
+                    cell[index] |= bit; // White
+                }
+                if (hasTransparency && opaque) {
+                    cell[index + planeSize] |= bit;
+                }
+            }
+        }
+        
+        return cell;
+    }
+
+    static writeAscii(data, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            data[offset + i] = text.charCodeAt(i);
+        }
+    }
     
     // Game Boy 2BPP format implementation
     static generateGameBoy2BPP(pixels, width, height, projectName) {
@@ -211,6 +901,144 @@ class BitmapExporter {
         return code;
     }
 
+    /**
+     * Game Boy tileset + tilemap for GBDK. Identical tiles are stored once;
+     * with matchFlips, H/V mirrored tiles also reuse a tile and the flip
+     * is recorded in an attribute map (CGB BG attributes / OAM props: bit 5 = H, bit 6 = V).
+     * tileHeight 16 builds 8x16 sprite cells (top tile, then bottom tile).
+     * Throws when the unique tiles don't fit the 256 indices of an unsigned char map.
+     */
+    static generateGameBoyTilemap(pixels, width, height, projectName, options = {}) {
+        const { tileHeight = 8, matchFlips = false } = options;
+        const mapWidth = Math.ceil(width / 8);
+        const mapHeight = Math.ceil(height / tileHeight);
+        const tilesPerCell = tileHeight / 8;
+        
+        // Cell pixels as rows of 0/1, padded with white outside the canvas
+        const readCell = (cellX, cellY) => {
+            const rows = [];
+            for (let row = 0; row < tileHeight; row++) {
+                const bits = [];
+                for (let col = 0; col < 8; col++) {
+                    const x = cellX * 8 + col;
+                    const y = cellY * tileHeight + row;
+                    bits.push(x < width && y < height && pixels[y][x] ? 1 : 0);
+                }
+                rows.push(bits);
+            }
+            return rows;
+        };
+        const flipH = rows => rows.map(bits => [...bits].reverse());
+        const flipV = rows => [...rows].reverse();
+        const keyOf = rows => rows.map(bits => bits.join('')).join('/');
+        
+        const uniqueCells = [];
+        const lookup = new Map();
+        const map = [];
+        const attrs = [];
+        
+        for (let cellY = 0; cellY < mapHeight; cellY++) {
+            for (let cellX = 0; cellX < mapWidth; cellX++) {
+                const cell = readCell(cellX, cellY);
+                const variants = [{ rows: cell, attr: 0x00 }];
+                if (matchFlips) {
+                    variants.push(
+                        { rows: flipH(cell), attr: 0x20 },
+                        { rows: flipV(cell), attr: 0x40 },
+                        { rows: flipV(flipH(cell)), attr: 0x60 }
+                    );
+                }
+                
+                const match = variants.find(variant => lookup.has(keyOf(variant.rows)));
+                if (match) {
+                    map.push(lookup.get(keyOf(match.rows)));
+                    attrs.push(match.attr);
+                } else {
+                    const index = uniqueCells.length * tilesPerCell;
+                    lookup.set(keyOf(cell), index);
+                    uniqueCells.push(cell);
+                    map.push(index);
+                    attrs.push(0x00);
+                }
+            }
+        }
+        
+        // 2BPP: each row is a low and a high bitplane byte; black is color 3
+        const cellBytes = uniqueCells.map(rows => {
+            const bytes = [];
+            rows.forEach(bits => {
+                const byte = bits.reduce((value, bit, col) => value | (bit << (7 - col)), 0);
+                bytes.push(byte, byte);
+            });
+            return bytes;
+        });
+        
+        const name = this.sanitizeSymbolName(projectName);
+        const macro = name.toUpperCase();
+        const tileCount = uniqueCells.length * tilesPerCell;
+        if (tileCount > 256) {
+            throw new Error(`${tileCount} unique tiles exceed the 256 a Game Boy tilemap can index. ` +
+                `Reduce the image size or detail${matchFlips ? '' : ', or enable flip matching'}.`);
+        }
+        const totalTiles = mapWidth * mapHeight * tilesPerCell;
+        const mode = tileHeight === 16 ? '8x16 sprite' : '8x8';
+        const toHex = byte => `0x${byte.toString(16).padStart(2, '0').toUpperCase()}`;
+        
+        let code = `// Generated by BitsDraw v1.0.4 - Game Boy Tilemap Format\n`;
+        code += `// Size: ${width} x ${height} pixels\n`;
+        code += `// Map: ${mapWidth} x ${mapHeight} ${mode} cells\n`;
+        code += `// Unique tiles: ${tileCount} of ${totalTiles}${matchFlips ? ' (flip matching)' : ''}\n`;
+        code += `// Data size: ${tileCount * 16} tile bytes + ${map.length}${matchFlips ? ' x 2' : ''} map bytes\n`;
+        code += `// Format: Game Boy 2BPP tiles + tilemap (GBDK)\n`;
+        code += `\n`;
+        code += `#define ${macro}_TILE_COUNT ${tileCount}\n`;
+        code += `#define ${macro}_MAP_WIDTH ${mapWidth}\n`;
+        code += `#define ${macro}_MAP_HEIGHT ${mapHeight}\n\n`;
+        
+        code += `const unsigned char ${name}_tiles[] = {\n`;
+        cellBytes.forEach((bytes, cellIndex) => {
+            const firstTile = cellIndex * tilesPerCell;
+            code += tilesPerCell === 1
+                ? `    // Tile ${firstTile}\n`
+                : `    // Tiles ${firstTile}-${firstTile + 1}\n`;
+            for (let i = 0; i < bytes.length; i += 16) {
+                code += `    ${bytes.slice(i, i + 16).map(toHex).join(', ')}`;
+                code += cellIndex < cellBytes.length - 1 || i + 16 < bytes.length ? ',\n' : '\n';
+            }
+        });
+        code += `};\n\n`;
+        
+        const emitMap = (symbol, values) => {
+            code += `const unsigned char ${symbol}[] = {\n`;
+            for (let row = 0; row < mapHeight; row++) {
+                const rowValues = values.slice(row * mapWidth, (row + 1) * mapWidth).map(toHex);
+                code += `    ${rowValues.join(', ')}${row < mapHeight - 1 ? ',' : ''}\n`;
+            }
+            code += `};\n\n`;
+        };
+        emitMap(`${name}_map`, map);
+        if (matchFlips) {
+            emitMap(`${name}_attrs`, attrs);
+        }
+        
+        code += `// GBDK usage example:\n`;
+        if (tileHeight === 16) {
+            code += `// SPRITES_8x16;\n`;
+            code += `// set_sprite_data(0, ${macro}_TILE_COUNT, ${name}_tiles);\n`;
+            code += `// set_sprite_tile(n, ${name}_map[i]);`;
+            code += matchFlips ? ` set_sprite_prop(n, ${name}_attrs[i]);\n` : `\n`;
+        } else {
+            code += `// set_bkg_data(0, ${macro}_TILE_COUNT, ${name}_tiles);\n`;
+            code += `// set_bkg_tiles(0, 0, ${macro}_MAP_WIDTH, ${macro}_MAP_HEIGHT, ${name}_map);\n`;
+            if (matchFlips) {
+                code += `// Flipped tiles need CGB attributes:\n`;
+                code += `// VBK_REG = 1; set_bkg_tiles(0, 0, ${macro}_MAP_WIDTH, ${macro}_MAP_HEIGHT, ${name}_attrs); VBK_REG = 0;\n`;
+            }
+        }
+        
+        return code;
+    }
+
     // ========================================
     // Modern Export Formats
     // ========================================
@@ -223,13 +1051,147 @@ class BitmapExporter {
             // Hardware formats
             'u8g2': { name: 'U8G2', description: 'Arduino U8G2 Library Format', category: 'hardware' },
             'adafruit': { name: 'Adafruit GFX', description: 'Adafruit GFX Library Format', category: 'hardware' },
+            'page': { name: 'SSD1306/SH1106 Pages', description: 'Vertical 8-pixel pages for OLED GDDRAM', category: 'hardware' },
+            'micropython-hlsb': { name: 'MicroPython (MONO_HLSB)', description: 'framebuf module, horizontal MSB first', category: 'hardware' },
+            'micropython-hmsb': { name: 'MicroPython (MONO_HMSB)', description: 'framebuf module, horizontal LSB first', category: 'hardware' },
+            'micropython-vlsb': { name: 'MicroPython (MONO_VLSB)', description: 'framebuf module, vertical pages', category: 'hardware' },
+            'rust': { name: 'Rust embedded-graphics', description: 'ImageRaw<BinaryColor> constants', category: 'hardware' },
+            'lvgl-alpha': { name: 'LVGL (ALPHA_1BIT)', description: 'lv_img_dsc_t with 1-bit alpha', category: 'hardware' },
+            'lvgl-indexed': { name: 'LVGL (INDEXED_1BIT)', description: 'lv_img_dsc_t with 2-color palette (2-bit when transparent)', category: 'hardware' },
+            'project-header': { name: 'Project Header', description: 'Every sheet in one .h with a lookup table', category: 'hardware' },
+            'animation-delta': { name: 'Delta Animation', description: 'Sheets as XOR/RLE frame deltas with decoder', category: 'hardware' },
             'gameboy': { name: 'Game Boy 2BPP', description: 'Game Boy Tile Format', category: 'hardware' },
+            'gameboy-tilemap': { name: 'Game Boy Tilemap', description: 'Deduplicated 8x8 tiles + GBDK tilemap', category: 'hardware' },
+            'gameboy-tilemap-flip': { name: 'Game Boy Tilemap (flips)', description: 'Tiles deduplicated with H/V flips + CGB attribute map', category: 'hardware' },
+            'gameboy-tilemap-8x16': { name: 'Game Boy 8x16 Tiles', description: 'Deduplicated 8x16 sprite tiles + map', category: 'hardware' },
+            'gameboy-tilemap-8x16-flip': { name: 'Game Boy 8x16 Tiles (flips)', description: '8x16 sprite tiles with H/V flip matching + props', category: 'hardware' },
             
             // Image formats
-            'png': { name: 'PNG', description: 'Portable Network Graphics', category: 'image' }
+            'png': { name: 'PNG', description: 'Portable Network Graphics', category: 'image' },
+            'xbm': { name: 'XBM', description: 'X BitMap (.xbm) C source', category: 'image' },
+            'pbm': { name: 'PBM (P4)', description: 'Netpbm binary bitmap', category: 'image' },
+            'pbm-ascii': { name: 'PBM (P1)', description: 'Netpbm plain-text bitmap', category: 'image' },
+            'pgm': { name: 'PGM (P5)', description: 'Netpbm binary graymap (0/255)', category: 'image' },
+            'bmp': { name: 'BMP (1-bit)', description: 'Monochrome Windows bitmap', category: 'image' },
+            'pdi': { name: 'Playdate Image', description: 'Compiled Playdate .pdi with mask plane', category: 'hardware' },
+            'pdt': { name: 'Playdate Image Table', description: 'Compiled Playdate .pdt, one cell per sheet', category: 'hardware' }
         };
     }
 
+    /**
+     * Generate a standalone X BitMap file (same bit order as u8g2 XBM)
+     */
+    static generateXBMFile(bitmapData, projectName) {
+        const { width, height, pixels } = bitmapData;
+        const name = this.sanitizeSymbolName(projectName);
+        const bytes = this.pixelsToBytesU8G2(pixels, width, height);
+        const hexValues = bytes.map(byte => `0x${byte.toString(16).padStart(2, '0')}`);
+        
+        let code = `#define ${name}_width ${width}\n`;
+        code += `#define ${name}_height ${height}\n`;
+        code += `static unsigned char ${name}_bits[] = {\n`;
+        for (let i = 0; i < hexValues.length; i += 12) {
+            code += `   ${hexValues.slice(i, i + 12).join(', ')}`;
+            code += i + 12 < hexValues.length ? ',\n' : ' };\n';
+        }
+        
+        return code;
+    }
+
+    /**
+     * Generate Netpbm data: 'pbm' (P4, Uint8Array), 'pbm-ascii' (P1, string)
+     * or 'pgm' (P5, Uint8Array). Set pixels are black.
+     */
+    static generateNetpbm(bitmapData, format) {
+        const { width, height, pixels } = bitmapData;
+        const comment = '# Generated by BitsDraw v1.0.4\n';
+        
+        if (format === 'pbm-ascii') {
+            let text = `P1\n${comment}${width} ${height}\n`;
+            for (let y = 0; y < height; y++) {
+                const row = [];
+                for (let x = 0; x < width; x++) {
+                    row.push(pixels[y][x] ? '1' : '0');
+                }
+                // Plain PBM lines should stay under 70 characters
+                for (let i = 0; i < row.length; i += 34) {
+                    text += row.slice(i, i + 34).join(' ') + '\n';
+                }
+            }
+            return text;
+        }
+        
+        const isGraymap = format === 'pgm';
+        const header = isGraymap
+            ? `P5\n${comment}${width} ${height}\n255\n`
+            : `P4\n${comment}${width} ${height}\n`;
+        const raster = isGraymap
+            ? new Uint8Array(width * height)
+            : this.pixelsToBytesAdafruit(pixels, width, height); // PBM rows are MSB first, byte padded
+        
+        if (isGraymap) {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    raster[y * width + x] = pixels[y][x] ? 0 : 255;
+                }
+            }
+        }
+        
+        const data = new Uint8Array(header.length + raster.length);
+        for (let i = 0; i < header.length; i++) {
+            data[i] = header.charCodeAt(i);
+        }
+        data.set(raster, header.length);
+        return data;
+    }
+
+    /**
+     * Generate a 1bpp BMP (BITMAPINFOHEADER, bottom-up rows).
+     * Palette index 0 is black and 1 is white, as vendor converters expect.
+     */
+    static generateMonochromeBMP(bitmapData) {
+        const { width, height, pixels } = bitmapData;
+        const rowSize = Math.ceil(width / 32) * 4;
+        const pixelOffset = 14 + 40 + 8;
+        const fileSize = pixelOffset + rowSize * height;
+        
+        const data = new Uint8Array(fileSize);
+        const view = new DataView(data.buffer);
+        
+        // BITMAPFILEHEADER
+        data[0] = 0x42; // 'B'
+        data[1] = 0x4D; // 'M'
+        view.setUint32(2, fileSize, true);
+        view.setUint32(10, pixelOffset, true);
+        
+        // BITMAPINFOHEADER
+        view.setUint32(14, 40, true);
+        view.setInt32(18, width, true);
+        view.setInt32(22, height, true);
+        view.setUint16(26, 1, true);        // Planes
+        view.setUint16(28, 1, true);        // Bits per pixel
+        view.setUint32(30, 0, true);        // BI_RGB
+        view.setUint32(34, rowSize * height, true);
+        view.setInt32(38, 2835, true);      // 72 DPI
+        view.setInt32(42, 2835, true);
+        view.setUint32(46, 2, true);        // Colors used
+        view.setUint32(50, 2, true);        // Important colors
+        
+        // Palette (BGRA): 0 = black, 1 = white
+        data.set([0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0x00], 54);
+        
+        for (let y = 0; y < height; y++) {
+            const rowStart = pixelOffset + (height - 1 - y) * rowSize;
+            for (let x = 0; x < width; x++) {
+                if (!pixels[y][x]) {
+                    data[rowStart + (x >> 3)] |= 0x80 >> (x & 7);
+                }
+            }
+        }
+        
+        return data;
+    }
+
     // SVG export methods removed
 
     /**
@@ -293,10 +1255,36 @@ class BitmapExporter {
                 return this.generateHFile(bitmapData, projectName, 'u8g2');
             case 'adafruit':
                 return this.generateHFile(bitmapData, projectName, 'adafruit');
+            case 'page':
+            case 'micropython-hlsb':
+            case 'micropython-hmsb':
+            case 'micropython-vlsb':
+            case 'rust':
+            case 'lvgl-alpha':
+            case 'lvgl-indexed':
+            case 'project-header':
+            case 'animation-delta':
+                return this.generateHFile(bitmapData, projectName, format);
             case 'gameboy':
-                return this.generateHFile(bitmapData, projectName, 'gameboy');
+            case 'gameboy-tilemap':
+            case 'gameboy-tilemap-flip':
+            case 'gameboy-tilemap-8x16':
+            case 'gameboy-tilemap-8x16-flip':
+                return this.generateHFile(bitmapData, projectName, format);
             case 'png':
                 return await this.generateBase64(bitmapData, format, options);
+            case 'xbm':
+                return this.generateXBMFile(bitmapData, projectName);
+            case 'pbm':
+            case 'pbm-ascii':
+            case 'pgm':
+                return this.generateNetpbm(bitmapData, format);
+            case 'bmp':
+                return this.generateMonochromeBMP(bitmapData);
+            case 'pdi':
+                return this.generatePlaydatePDI(bitmapData);
+            case 'pdt':
+                return this.generatePlaydatePDT(bitmapData);
             default:
                 throw new Error(`Unsupported export format: ${format}`);
         }
@@ -309,14 +1297,54 @@ class BitmapExporter {
         const mimeTypes = {
             'u8g2': 'text/plain',
             'adafruit': 'text/plain',
-            'gameboy': 'text/plain'
+            'page': 'text/plain',
+            'micropython-hlsb': 'text/x-python',
+            'micropython-hmsb': 'text/x-python',
+            'micropython-vlsb': 'text/x-python',
+            'rust': 'text/x-rust',
+            'lvgl-alpha': 'text/plain',
+            'lvgl-indexed': 'text/plain',
+            'project-header': 'text/plain',
+            'animation-delta': 'text/plain',
+            'gameboy': 'text/plain',
+            'gameboy-tilemap': 'text/plain',
+            'gameboy-tilemap-flip': 'text/plain',
+            'gameboy-tilemap-8x16': 'text/plain',
+            'gameboy-tilemap-8x16-flip': 'text/plain',
+            'xbm': 'image/x-xbitmap',
+            'pbm': 'image/x-portable-bitmap',
+            'pbm-ascii': 'image/x-portable-bitmap',
+            'pgm': 'image/x-portable-graymap',
+            'bmp': 'image/bmp',
+            'pdi': 'application/octet-stream',
+            'pdt': 'application/octet-stream'
         };
 
         const fileExtensions = {
             'u8g2': '.h',
             'adafruit': '.h',
+            'page': '.h',
+            'micropython-hlsb': '.py',
+            'micropython-hmsb': '.py',
+            'micropython-vlsb': '.py',
+            'rust': '.rs',
+            'lvgl-alpha': '.c',
+            'lvgl-indexed': '.c',
+            'project-header': '.h',
+            'animation-delta': '.h',
             'gameboy': '.h',
-            'png': '.png'
+            'gameboy-tilemap': '.h',
+            'gameboy-tilemap-flip': '.h',
+            'gameboy-tilemap-8x16': '.h',
+            'gameboy-tilemap-8x16-flip': '.h',
+            'png': '.png',
+            'xbm': '.xbm',
+            'pbm': '.pbm',
+            'pbm-ascii': '.pbm',
+            'pgm': '.pgm',
+            'bmp': '.bmp',
+            'pdi': '.pdi',
+            'pdt': '.pdt'
         };
 
         let blob;
@@ -362,10 +1390,38 @@ class BitmapExporter {
         switch (format) {
             case 'u8g2':
             case 'adafruit':
-                return Math.ceil(pixelCount / 8) * 5; // Hex representation overhead
-            // Playdate format removed
+                return Math.ceil(width / 8) * height * 5; // Hex representation overhead, rows padded to bytes
+            case 'page':
+            case 'micropython-vlsb':
+                return width * Math.ceil(height / 8) * 5; // Padded to whole 8-pixel pages
+            case 'micropython-hlsb':
+            case 'micropython-hmsb':
+            case 'rust':
+                return Math.ceil(width / 8) * height * 6; // Array literal overhead
+            case 'lvgl-alpha':
+                return Math.ceil(width / 8) * height * 6;
+            case 'lvgl-indexed':
+                return (Math.ceil(width / 8) * height + 8) * 6; // Includes 2-entry palette
+            case 'project-header': {
+                const frames = bitmapData.frames && bitmapData.frames.length > 0 ? bitmapData.frames : [bitmapData];
+                return frames.reduce((sum, frame) =>
+                    sum + Math.ceil((frame.width || width) / 8) * (frame.height || height) * 6 + 120, 0);
+            }
+            case 'animation-delta':
+                return this.getDeltaAnimationStats(bitmapData).compressedBytes * 6 + 1500; // Includes decoder
+            case 'pdi':
+                return Math.ceil(width / 8) * height * 2 + 32; // Pixel and mask planes
+            case 'pdt': {
+                const frameCount = bitmapData.frames && bitmapData.frames.length > 0 ? bitmapData.frames.length : 1;
+                return (Math.ceil(width / 8) * height * 2 + 20) * frameCount + 20;
+            }
             case 'gameboy':
                 return Math.ceil(width / 8) * height * 16 * 5; // 16 bytes per tile
+            case 'gameboy-tilemap':
+            case 'gameboy-tilemap-flip':
+            case 'gameboy-tilemap-8x16':
+            case 'gameboy-tilemap-8x16-flip':
+                return Math.ceil(width / 8) * Math.ceil(height / 8) * (16 + 2) * 6; // Upper bound: no tiles shared
             case 'svg':
                 return width * height * 20; // Estimate for path data
             case 'json':
@@ -374,6 +1430,16 @@ class BitmapExporter {
             case 'png':
             case 'webp':
                 return pixelCount * 4; // Rough estimate for image data
+            case 'xbm':
+                return Math.ceil(width / 8) * height * 6 + 100;
+            case 'pbm':
+                return Math.ceil(width / 8) * height + 20; // Packed rows plus header
+            case 'pbm-ascii':
+                return pixelCount * 2 + 20;
+            case 'pgm':
+                return pixelCount + 20;
+            case 'bmp':
+                return Math.ceil(width / 32) * 4 * height + 62; // 4-byte aligned rows, headers and palette
             default:
                 return pixelCount;
         }
@@ -430,32 +1496,26 @@ class BitmapExporter {
         return null;
     }
 
-    static parseHFile(code) {
+    static parseHFile(code, format = null) {
         try {
-            const dimensions = this.parseDimensions(code);
-            if (!dimensions) {
-                throw new Error('Could not parse bitmap dimensions from code');
-            }
-            
-            const { width, height } = dimensions;
-            
-            const arrayMatch = code.match(/{\s*((?:0x[0-9a-fA-F]{2}(?:,\s*)?)+)\s*}/);
-            if (!arrayMatch) {
+            const arrays = this.parseHeaderArrays(code);
+            if (arrays.length === 0) {
                 throw new Error('Could not parse byte array from code');
             }
             
-            const hexValues = arrayMatch[1].match(/0x[0-9a-fA-F]{2}/g);
-            if (!hexValues) {
-                throw new Error('No valid hex values found');
+            const array = arrays[0];
+            const dimensions = array.width && array.height ? array : this.parseDimensions(code);
+            if (!dimensions) {
+                throw new Error('Could not parse bitmap dimensions from code');
             }
             
-            const bytes = hexValues.map(hex => parseInt(hex, 16));
-            const pixels = this.bytesToPixels(bytes, width, height);
+            const { width, height } = dimensions;
+            const layout = format || this.detectByteLayout(code);
             
             return {
                 width,
                 height,
-                pixels
+                pixels: this.bytesToPixelsWithLayout(array.bytes, width, height, layout)
             };
         } catch (error) {
             console.error('Error parsing H file:', error);
@@ -463,6 +1523,197 @@ class BitmapExporter {
         }
     }
 
+    /**
+     * Find every numeric byte array in a C/C++ header.
+     * Arrays whose initializers are not plain numbers (pointer tables,
+     * macro lists) are skipped. Width/height are resolved from #defines
+     * and drawXBM/drawBitmap calls, and are null when nothing matches.
+     * @param {string} code - Header source
+     * @returns {Array<{name: string, bytes: number[], width: number|null, height: number|null}>}
+     */
+    static parseHeaderArrays(code) {
+        const stripped = code.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+        const defines = {};
+        const defineRegex = /^[ \t]*#define[ \t]+(\w+)[ \t]+(\S+)/gm;
+        let match;
+        while ((match = defineRegex.exec(stripped)) !== null) {
+            defines[match[1]] = match[2];
+        }
+        
+        const arrays = [];
+        // Anything may sit between ']' and '=': PROGMEM, U8X8_PROGMEM, __attribute__((...))
+        const arrayRegex = /(\w+)\s*\[[^\]]*\][^=;{}]*=\s*\{([^}]*)\}/g;
+        while ((match = arrayRegex.exec(stripped)) !== null) {
+            const tokens = match[2].split(',').map(token => token.trim()).filter(token => token.length > 0);
+            const bytes = tokens.map(token => this.parseNumericLiteral(token));
+            if (bytes.length === 0 || bytes.some(value => value === null)) {
+                continue;
+            }
+            
+            const name = match[1];
+            const dimensions = this.findArrayDimensions(code, name, defines);
+            arrays.push({
+                name,
+                bytes: bytes.map(value => value & 0xFF),
+                width: dimensions ? dimensions.width : null,
+                height: dimensions ? dimensions.height : null
+            });
+        }
+        
+        // A lone array may still be described by a Size comment or an
+        // unnamed usage example
+        if (arrays.length === 1 && !arrays[0].width) {
+            const dimensions = this.parseDimensions(code);
+            if (dimensions) {
+                arrays[0].width = dimensions.width;
+                arrays[0].height = dimensions.height;
+            }
+        }
+        
+        return arrays;
+    }
+
+    /**
+     * Parse a C integer literal: hex (0x), binary (0b), Arduino binary
+     * constants (B00110011), octal or decimal. Returns null otherwise.
+     */
+    static parseNumericLiteral(token) {
+        const literal = token.replace(/[uUlL]+$/, '');
+        if (/^0x[0-9a-f]+$/i.test(literal)) {
+            return parseInt(literal.slice(2), 16);
+        }
+        if (/^0b[01]+$/i.test(literal)) {
+            return parseInt(literal.slice(2), 2);
+        }
+        if (/^B[01]{1,8}$/.test(literal)) {
+            return parseInt(literal.slice(1), 2);
+        }
+        if (/^0[0-7]+$/.test(literal)) {
+            return parseInt(literal, 8);
+        }
+        if (/^\d+$/.test(literal)) {
+            return parseInt(literal, 10);
+        }
+        return null;
+    }
+
+    static findArrayDimensions(code, name, defines = {}) {
+        const resolve = (value) => {
+            let current = value.trim();
+            for (let depth = 0; depth < 8 && defines[current] !== undefined; depth++) {
+                current = defines[current];
+            }
+            const number = this.parseNumericLiteral(current.replace(/^\((.*)\)$/, '$1'));
+            return number > 0 ? number : null;
+        };
+        
+        // Usage calls, including commented-out examples
+        const xbmMatch = code.match(new RegExp(`drawXBMP?\\s*\\([^,]+,[^,]+,([^,]+),([^,]+),\\s*${name}\\s*\\)`));
+        if (xbmMatch) {
+            const width = resolve(xbmMatch[1]);
+            const height = resolve(xbmMatch[2]);
+            if (width && height) return { width, height };
+        }
+        const gfxMatch = code.match(new RegExp(`drawBitmap\\s*\\([^,]+,[^,]+,\\s*${name}\\s*,([^,]+),([^,)]+)`));
+        if (gfxMatch) {
+            const width = resolve(gfxMatch[1]);
+            const height = resolve(gfxMatch[2]);
+            if (width && height) return { width, height };
+        }
+        
+        // name_width / NAME_WIDTH defines, also for XBM-style name_bits arrays
+        const bases = [name, name.replace(/_bits$/i, '')];
+        for (const base of bases) {
+            const key = Object.keys(defines).find(define => define.toLowerCase() === `${base.toLowerCase()}_width`);
+            if (!key) continue;
+            const heightKey = key.slice(0, -5) + (key.endsWith('WIDTH') ? 'HEIGHT' : 'height');
+            const width = resolve(defines[key]);
+            const height = defines[heightKey] !== undefined ? resolve(defines[heightKey]) : null;
+            if (width && height) return { width, height };
+        }
+        
+        return null;
+    }
+
+    static detectByteLayout(code) {
+        const formatMatch = code.match(/\/\/\s*Format:\s*(.*)/);
+        if (formatMatch && /vertical pages/i.test(formatMatch[1])) {
+            return 'page';
+        }
+        if (formatMatch && /MSB first/i.test(formatMatch[1])) {
+            return 'msb';
+        }
+        if (/drawBitmap\s*\(/.test(code) && !/drawXBMP?\s*\(/.test(code)) {
+            return 'msb';
+        }
+        return 'u8g2';
+    }
+
+    /**
+     * Decode bytes using one of the supported layouts:
+     * 'u8g2'/'lsb' (XBM rows, LSB first), 'msb'/'adafruit' (rows, MSB first)
+     * or 'page' (vertical column bytes, LSB at top).
+     */
+    static bytesToPixelsWithLayout(bytes, width, height, layout) {
+        switch (layout) {
+            case 'page':
+                return this.bytesToPixelsPage(bytes, width, height);
+            case 'msb':
+            case 'adafruit':
+                return this.bytesToPixelsMSB(bytes, width, height);
+            default:
+                return this.bytesToPixels(bytes, width, height);
+        }
+    }
+
+    /**
+     * Height implied by a byte count for a known width
+     */
+    static getHeightForByteCount(byteCount, width, layout) {
+        if (!width) return null;
+        if (layout === 'page') {
+            return Math.floor(byteCount / width) * 8;
+        }
+        return Math.floor(byteCount / Math.ceil(width / 8));
+    }
+
+    static bytesToPixelsMSB(bytes, width, height) {
+        const pixels = [];
+        const bytesPerRow = Math.ceil(width / 8);
+        
+        for (let y = 0; y < height; y++) {
+            pixels[y] = new Array(width).fill(0);
+            
+            for (let x = 0; x < width; x++) {
+                const bytePos = y * bytesPerRow + Math.floor(x / 8);
+                if (bytePos < bytes.length) {
+                    pixels[y][x] = (bytes[bytePos] & (0x80 >> (x % 8))) ? 1 : 0;
+                }
+            }
+        }
+        
+        return pixels;
+    }
+
+    static bytesToPixelsPage(bytes, width, height) {
+        const pixels = [];
+        
+        for (let y = 0; y < height; y++) {
+            pixels[y] = new Array(width).fill(0);
+            
+            const bytePosBase = Math.floor(y / 8) * width;
+            const bit = y % 8;
+            for (let x = 0; x < width; x++) {
+                const bytePos = bytePosBase + x;
+                if (bytePos < bytes.length) {
+                    pixels[y][x] = (bytes[bytePos] & (1 << bit)) ? 1 : 0;
+                }
+            }
+        }
+        
+        return pixels;
+    }
+
     static bytesToPixels(bytes, width, height) {
         const pixels = [];
         const bytesPerRow = Math.ceil(width / 8);
@@ -0,0 +1,742 @@
+/**
+ * Font Editor - Glyph editor window for custom bitmap fonts
+ * Glyphs are painted on a dedicated cell-sized sheet with the normal canvas tools.
+ * The sheet is the app's editor sheet, so it stays out of the project's sheets
+ */
+class FontEditor {
+    constructor(app) {
+        this.app = app;
+        this.font = null;          // Working copy: { id, name, width, height, spacing, baseline, proportional, characters, metrics, kerning }
+        this.selectedChar = null;
+        this.glyphSheetId = null;  // ID of the editor sheet used as the glyph canvas
+        this.returnSheetId = null; // Sheet to go back to when the editor closes
+        this.dirty = false;
+        this.previewFontKey = 'font-editor-preview';
+
+        this.window = document.getElementById('font-editor-window');
+        if (this.window) {
+            this.setupEvents();
+        }
+    }
+
+    /**
+     * Setup editor window events
+     */
+    setupEvents() {
+        const sourceSelect = document.getElementById('glyph-editor-source');
+
+        sourceSelect.addEventListener('change', () => {
+            if (this.dirty && !confirm('Discard unsaved changes to this font?')) {
+                sourceSelect.value = this.font.id || '';
+                return;
+            }
+            this.loadFont(sourceSelect.value);
+        });
+
+        document.getElementById('glyph-editor-save-btn').addEventListener('click', () => this.saveFont());
+
+        // Font-wide settings
+        document.getElementById('glyph-editor-name').addEventListener('input', (e) => {
+            this.font.name = e.target.value;
+            this.dirty = true;
+        });
+        ['glyph-editor-cell-width', 'glyph-editor-cell-height'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                const width = this.clampInput('glyph-editor-cell-width', 1, 32, this.font.width);
+                const height = this.clampInput('glyph-editor-cell-height', 1, 32, this.font.height);
+                this.resizeCells(width, height);
+            });
+        });
+        document.getElementById('glyph-editor-spacing').addEventListener('change', () => {
+            this.font.spacing = this.clampInput('glyph-editor-spacing', 0, 16, this.font.spacing);
+            this.dirty = true;
+            this.updateGlyphMetricsInputs();
+            this.renderSample();
+        });
+        document.getElementById('glyph-editor-font-baseline').addEventListener('change', () => {
+            this.font.baseline = this.clampInput('glyph-editor-font-baseline', 1, this.font.height, this.font.baseline);
+            this.dirty = true;
+            this.updateGlyphMetricsInputs();
+            this.renderSample();
+        });
+        document.getElementById('glyph-editor-proportional').addEventListener('change', (e) => {
+            this.font.proportional = e.target.checked;
+            this.dirty = true;
+            this.updateGlyphMetricsInputs();
+            this.renderSample();
+        });
+        document.getElementById('glyph-editor-kerning').addEventListener('change', (e) => {
+            this.font.kerning = this.parseKerning(e.target.value);
+            e.target.value = this.formatKerning(this.font.kerning);
+            this.dirty = true;
+            this.renderSample();
+        });
+
+        // Per-glyph metrics
+        ['glyph-editor-advance', 'glyph-editor-bearing', 'glyph-editor-baseline'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyGlyphMetrics());
+        });
+
+        // Adding and removing codepoints
+        const addInput = document.getElementById('glyph-editor-add-input');
+        document.getElementById('glyph-editor-add-btn').addEventListener('click', () => this.addCodepoints(addInput.value));
+        addInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addCodepoints(addInput.value);
+            }
+        });
+        document.getElementById('glyph-editor-remove-btn').addEventListener('click', () => this.removeSelectedGlyph());
+
+        document.getElementById('glyph-editor-grid').addEventListener('click', (e) => {
+            const cell = e.target.closest('.glyph-cell');
+            if (cell) {
+                this.selectGlyph(cell.dataset.char);
+            }
+        });
+
+        document.getElementById('glyph-editor-sample').addEventListener('input', () => this.renderSample());
+
+        // Pick up strokes as they finish so the grid and sample stay live
+        this.app.canvas.addEventListener('mouseup', () => {
+            if (this.isOpen() && this.app.currentSheetId === this.glyphSheetId) {
+                this.commitGlyph();
+                this.renderGlyphCell(this.selectedChar);
+                this.updateGlyphMetricsInputs();
+                this.renderSample();
+            }
+        });
+
+        // WindowManager hides the window; return the canvas to the user's sheet
+        this.window.querySelector('.window-control.close').addEventListener('click', () => this.close());
+    }
+
+    isOpen() {
+        return this.window && !this.window.classList.contains('hidden') && this.font !== null;
+    }
+
+    /**
+     * Open the editor, optionally loading a custom font by ID.
+     * Without an ID the current working font is kept, or a blank font is started.
+     */
+    show(fontId = null) {
+        if (!this.window) return;
+
+        if (fontId && (!this.font || this.font.id !== fontId)) {
+            if (this.dirty && !confirm('Discard unsaved changes to the font being edited?')) {
+                return;
+            }
+            this.loadFont(fontId, false);
+        } else if (!this.font) {
+            this.loadFont('', false);
+        }
+
+        this.app.windows.showWindow('font-editor-window');
+        this.refreshSourceList();
+        this.updateFontInputs();
+        this.renderGlyphGrid();
+        this.selectGlyph(this.selectedChar || Object.keys(this.font.characters)[0] || null, false);
+    }
+
+    /**
+     * Close the editor and remove the temporary glyph sheet
+     */
+    close() {
+        if (this.glyphSheetId === null) return;
+
+        if (this.app.currentSheetId === this.glyphSheetId) {
+            this.commitGlyph();
+            const fallback = this.app.sheets.find(s => s.id === this.returnSheetId) || this.app.sheets[0];
+            if (fallback) {
+                this.app.switchToSheet(fallback.id);
+            }
+        }
+
+        if (this.app.editorSheet && this.app.editorSheet.id === this.glyphSheetId) {
+            this.app.editorSheet = null;
+        }
+        this.glyphSheetId = null;
+    }
+
+    /**
+     * Load a font into the working copy.
+     * @param {string} source - Custom font ID, 'copy:<key>' for a built-in font, or '' for a blank font
+     */
+    loadFont(source, render = true) {
+        const manager = this.app.customFontManager;
+        const customFont = source && manager ? manager.customFonts.get(source) : null;
+        const copyRows = rows => rows.map(row => row.slice());
+
+        if (customFont) {
+            const metadata = customFont.data.metadata;
+            this.font = {
+                id: customFont.id,
+                name: customFont.name,
+                width: metadata.width,
+                height: metadata.height,
+                spacing: metadata.spacing || 0,
+                baseline: metadata.baseline || metadata.height,
+                proportional: !!metadata.proportional,
+                characters: {},
+                metrics: JSON.parse(JSON.stringify(customFont.data.metrics || {})),
+                kerning: { ...(customFont.data.kerning || {}) }
+            };
+            Object.entries(customFont.data.characters).forEach(([char, rows]) => {
+                this.font.characters[char] = copyRows(rows);
+            });
+        } else if (source.startsWith('copy:') && TextRenderer.fonts[source.slice(5)]) {
+            const font = TextRenderer.fonts[source.slice(5)];
+            this.font = {
+                id: null,
+                name: `${font.name} Copy`,
+                width: font.width,
+                height: font.height,
+                spacing: font.spacing || 0,
+                baseline: FontExporter.getFontBaseline(font),
+                proportional: !!font.proportional,
+                characters: {},
+                metrics: JSON.parse(JSON.stringify(font.metrics || {})),
+                kerning: { ...(font.kerning || {}) }
+            };
+            Object.entries(font.data).forEach(([char, rows]) => {
+                this.font.characters[char] = copyRows(rows);
+            });
+        } else {
+            // Blank font with the printable ASCII range ready to draw
+            this.font = {
+                id: null,
+                name: 'New Font',
+                width: 6,
+                height: 8,
+                spacing: 1,
+                baseline: 7,
+                proportional: false,
+                characters: {},
+                metrics: {},
+                kerning: {}
+            };
+            for (let code = 0x20; code <= 0x7E; code++) {
+                this.font.characters[String.fromCharCode(code)] = this.createBlankGlyph();
+            }
+        }
+
+        this.selectedChar = null;
+        this.dirty = false;
+
+        if (render) {
+            this.updateFontInputs();
+            this.renderGlyphGrid();
+            this.selectGlyph(Object.keys(this.font.characters)[0] || null, false);
+        }
+    }
+
+    /**
+     * Fill the source select with custom fonts and copyable built-in fonts
+     */
+    refreshSourceList() {
+        const select = document.getElementById('glyph-editor-source');
+        const manager = this.app.customFontManager;
+        const customFonts = manager ? manager.getAllCustomFonts() : [];
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        let html = `<option value="">New blank font</option>`;
+        if (this.font && !this.font.id) {
+            html = `<option value="" selected>${escape(this.font.name)} (unsaved)</option>`;
+        }
+        html += customFonts.map(font => `<option value="${font.id}">${escape(font.name)}</option>`).join('');
+        html += Object.entries(TextRenderer.fonts)
+            .filter(([, font]) => !font.custom)
+            .map(([key, font]) => `<option value="copy:${key}">Copy of ${escape(font.name)}</option>`)
+            .join('');
+
+        select.innerHTML = html;
+        select.value = (this.font && this.font.id) || '';
+    }
+
+    updateFontInputs() {
+        document.getElementById('glyph-editor-name').value = this.font.name;
+        document.getElementById('glyph-editor-cell-width').value = this.font.width;
+        document.getElementById('glyph-editor-cell-height').value = this.font.height;
+        document.getElementById('glyph-editor-spacing').value = this.font.spacing;
+        document.getElementById('glyph-editor-font-baseline').value = this.font.baseline;
+        document.getElementById('glyph-editor-proportional').checked = this.font.proportional;
+        document.getElementById('glyph-editor-kerning').value = this.formatKerning(this.font.kerning);
+    }
+
+    /**
+     * Parse kerning pairs written as "AV:-1, To:-1"
+     */
+    parseKerning(text) {
+        const kerning = {};
+        text.split(',').forEach(entry => {
+            const separator = entry.lastIndexOf(':');
+            if (separator === -1) return;
+
+            const pair = Array.from(entry.slice(0, separator).trim());
+            const value = parseInt(entry.slice(separator + 1), 10);
+            if (pair.length === 2 && !Number.isNaN(value) && value !== 0) {
+                kerning[pair.join('')] = Math.max(-16, Math.min(16, value));
+            }
+        });
+        return kerning;
+    }
+
+    formatKerning(kerning) {
+        return Object.entries(kerning || {}).map(([pair, value]) => `${pair}:${value}`).join(', ');
+    }
+
+    /**
+     * Default advance and bearing of a glyph when it has no explicit metrics
+     */
+    getDefaultGlyphLayout(char) {
+        const font = this.toRenderFont();
+        font.metrics = {};
+        return TextRenderer.getGlyphLayout(font, char);
+    }
+
+    /**
+     * Show the selected glyph's advance, bearing and baseline, falling back to the font defaults
+     */
+    updateGlyphMetricsInputs() {
+        const advanceInput = document.getElementById('glyph-editor-advance');
+        const bearingInput = document.getElementById('glyph-editor-bearing');
+        const baselineInput = document.getElementById('glyph-editor-baseline');
+        const label = document.getElementById('glyph-editor-current');
+        const metrics = (this.selectedChar && this.font.metrics[this.selectedChar]) || {};
+        const defaults = this.selectedChar ? this.getDefaultGlyphLayout(this.selectedChar) : { advance: 0, bearing: 0 };
+
+        advanceInput.disabled = bearingInput.disabled = baselineInput.disabled = !this.selectedChar;
+        advanceInput.value = metrics.advance ?? defaults.advance;
+        bearingInput.value = metrics.bearing ?? defaults.bearing;
+        baselineInput.value = metrics.baseline ?? this.font.baseline;
+        label.textContent = this.selectedChar ? this.describeChar(this.selectedChar) : 'No glyph selected';
+    }
+
+    applyGlyphMetrics() {
+        if (!this.selectedChar) return;
+
+        const defaults = this.getDefaultGlyphLayout(this.selectedChar);
+        const advance = this.clampInput('glyph-editor-advance', 0, 64, defaults.advance);
+        const bearing = this.clampInput('glyph-editor-bearing', -32, 32, defaults.bearing);
+        const baseline = this.clampInput('glyph-editor-baseline', 1, this.font.height, this.font.baseline);
+
+        // Only keep metrics that differ from the font-wide values
+        const metrics = {};
+        if (advance !== defaults.advance) metrics.advance = advance;
+        if (bearing !== defaults.bearing) metrics.bearing = bearing;
+        if (baseline !== this.font.baseline) metrics.baseline = baseline;
+
+        if (Object.keys(metrics).length === 0) {
+            delete this.font.metrics[this.selectedChar];
+        } else {
+            this.font.metrics[this.selectedChar] = metrics;
+        }
+        this.dirty = true;
+        this.renderSample();
+    }
+
+    clampInput(id, min, max, fallback) {
+        const input = document.getElementById(id);
+        const value = parseInt(input.value, 10);
+        const clamped = Number.isNaN(value) ? fallback : Math.max(min, Math.min(max, value));
+        input.value = clamped;
+        return clamped;
+    }
+
+    createBlankGlyph() {
+        return Array.from({ length: this.font.height }, () => new Array(this.font.width).fill(0));
+    }
+
+    describeChar(char) {
+        const code = char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+        return char.trim() ? `'${char}' U+${code}` : `U+${code}`;
+    }
+
+    // ===== GLYPH SHEET =====
+
+    /**
+     * Create the glyph sheet if needed and make it the active canvas.
+     * It lives in app.editorSheet, not app.sheets, so it never shows up in the
+     * sheet list, animation and sheet exports, or the saved project.
+     */
+    openGlyphSheet() {
+        const app = this.app;
+        let sheet = app.editorSheet && app.editorSheet.id === this.glyphSheetId ? app.editorSheet : null;
+
+        if (!sheet) {
+            this.returnSheetId = app.currentSheetId;
+            app.saveCurrentSheetState();
+
+            const { width, height } = this.font;
+            sheet = {
+                id: -1, // Project sheet IDs start at 1
+                name: 'Font Glyph',
+                width,
+                height,
+                layers: this.createGlyphLayers(null)
+            };
+            app.editorSheet = sheet;
+            this.glyphSheetId = sheet.id;
+        }
+
+        app.switchToSheet(sheet.id);
+    }
+
+    /**
+     * White background plus a transparent layer holding the glyph's set pixels
+     */
+    createGlyphLayers(char) {
+        const { width, height } = this.font;
+        const rows = (char && this.font.characters[char]) || [];
+        const pixels = new Uint8Array(width * height);
+
+        rows.forEach((row, y) => {
+            row.forEach((pixel, x) => {
+                if (pixel === 1 && y < height && x < width) {
+                    pixels[y * width + x] = 1;
+                }
+            });
+        });
+
+        return [
+            {
+                id: 1,
+                name: 'Background',
+                visible: true,
+                blendMode: 'normal',
+                pixels: new Uint8Array(width * height),
+                alpha: new Uint8Array(width * height).fill(1)
+            },
+            {
+                id: 2,
+                name: char ? `Glyph ${this.describeChar(char)}` : 'Glyph',
+                visible: true,
+                blendMode: 'normal',
+                pixels: pixels,
+                alpha: new Uint8Array(pixels)
+            }
+        ];
+    }
+
+    /**
+     * Copy the glyph canvas back into the working font
+     */
+    commitGlyph() {
+        if (!this.selectedChar || this.app.currentSheetId !== this.glyphSheetId) return;
+        if (!this.font.characters[this.selectedChar]) return;
+
+        const data = this.app.editor.getBitmapData();
+        const rows = this.createBlankGlyph();
+        for (let y = 0; y < Math.min(data.height, this.font.height); y++) {
+            for (let x = 0; x < Math.min(data.width, this.font.width); x++) {
+                rows[y][x] = data.pixels[y][x] && data.alpha[y][x] ? 1 : 0;
+            }
+        }
+
+        const previous = this.font.characters[this.selectedChar];
+        if (JSON.stringify(previous) !== JSON.stringify(rows)) {
+            this.font.characters[this.selectedChar] = rows;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Load a glyph into the glyph sheet with a fresh undo history
+     */
+    loadGlyphIntoEditor(char) {
+        const editor = this.app.editor;
+        const { width, height } = this.font;
+
+        if (editor.width !== width || editor.height !== height) {
+            editor.resize(width, height);
+        }
+
+        editor.layers = this.createGlyphLayers(char);
+        editor.activeLayerIndex = 1;
+        editor.history = [];
+        editor.historyIndex = -1;
+        editor.saveState();
+
+        editor.markCompositeDirtyFull();
+        editor.scheduleRender();
+        this.app.updateLayersList();
+        this.app.updateOutput();
+    }
+
+    selectGlyph(char, commit = true) {
+        this.openGlyphSheet();
+        if (commit) {
+            this.commitGlyph();
+            this.renderGlyphCell(this.selectedChar);
+        }
+
+        this.selectedChar = char && this.font.characters[char] ? char : null;
+        this.loadGlyphIntoEditor(this.selectedChar);
+
+        document.querySelectorAll('#glyph-editor-grid .glyph-cell').forEach(cell => {
+            cell.classList.toggle('selected', cell.dataset.char === this.selectedChar);
+        });
+        this.updateGlyphMetricsInputs();
+        this.renderSample();
+    }
+
+    // ===== CODEPOINTS =====
+
+    /**
+     * Add codepoints from text: literal characters, U+XXXX, or U+XXXX-U+YYYY ranges
+     */
+    addCodepoints(text) {
+        const codepoints = [];
+        text.split(/[\s,]+/).filter(Boolean).forEach(token => {
+            const range = token.match(/^U\+([0-9A-F]{1,6})(?:-(?:U\+)?([0-9A-F]{1,6}))?$/i);
+            if (range) {
+                const first = parseInt(range[1], 16);
+                const last = range[2] ? parseInt(range[2], 16) : first;
+                for (let code = first; code <= Math.min(last, first + 1023, 0x10FFFF); code++) {
+                    codepoints.push(code);
+                }
+            } else {
+                Array.from(token).forEach(char => codepoints.push(char.codePointAt(0)));
+            }
+        });
+
+        let firstAdded = null;
+        codepoints.forEach(code => {
+            // Skip control characters and lone surrogates
+            if (code < 0x20 || (code >= 0x7F && code < 0xA0) || (code >= 0xD800 && code <= 0xDFFF)) return;
+
+            const char = String.fromCodePoint(code);
+            if (!this.font.characters[char]) {
+                this.font.characters[char] = this.createBlankGlyph();
+                firstAdded = firstAdded || char;
+            }
+        });
+
+        if (!firstAdded) {
+            this.app.showNotification('No new characters to add', 'info');
+            return;
+        }
+
+        this.dirty = true;
+        document.getElementById('glyph-editor-add-input').value = '';
+        this.renderGlyphGrid();
+        this.selectGlyph(firstAdded);
+    }
+
+    removeSelectedGlyph() {
+        if (!this.selectedChar) return;
+
+        const chars = this.getSortedChars();
+        const index = chars.indexOf(this.selectedChar);
+        delete this.font.characters[this.selectedChar];
+        delete this.font.metrics[this.selectedChar];
+        this.dirty = true;
+
+        this.selectedChar = null;
+        this.renderGlyphGrid();
+        this.selectGlyph(chars[index + 1] || chars[index - 1] || null, false);
+    }
+
+    /**
+     * Change the cell size, keeping each glyph anchored at the top-left
+     */
+    resizeCells(width, height) {
+        if (width === this.font.width && height === this.font.height) return;
+
+        this.openGlyphSheet();
+        this.commitGlyph();
+
+        Object.keys(this.font.characters).forEach(char => {
+            const rows = this.font.characters[char];
+            this.font.characters[char] = Array.from({ length: height }, (_, y) =>
+                Array.from({ length: width }, (_, x) => (rows[y] && rows[y][x]) || 0));
+        });
+
+        this.font.width = width;
+        this.font.height = height;
+        this.font.baseline = Math.min(this.font.baseline, height);
+        Object.values(this.font.metrics).forEach(metrics => {
+            if (metrics.baseline !== undefined) {
+                metrics.baseline = Math.min(metrics.baseline, height);
+            }
+        });
+        this.dirty = true;
+
+        this.updateFontInputs();
+        this.renderGlyphGrid();
+        this.selectGlyph(this.selectedChar, false);
+    }
+
+    getSortedChars() {
+        return Object.keys(this.font.characters).sort((a, b) => a.codePointAt(0) - b.codePointAt(0));
+    }
+
+    // ===== RENDERING =====
+
+    renderGlyphGrid() {
+        const grid = document.getElementById('glyph-editor-grid');
+        grid.innerHTML = '';
+
+        this.getSortedChars().forEach(char => {
+            const cell = document.createElement('button');
+            cell.className = `glyph-cell ${char === this.selectedChar ? 'selected' : ''}`;
+            cell.dataset.char = char;
+            cell.title = this.describeChar(char);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = this.font.width;
+            canvas.height = this.font.height;
+
+            const label = document.createElement('span');
+            label.textContent = char.trim() ? char : '␠';
+
+            cell.appendChild(canvas);
+            cell.appendChild(label);
+            grid.appendChild(cell);
+            this.renderGlyphCell(char);
+        });
+
+        document.getElementById('glyph-editor-count').textContent = `${grid.children.length} glyphs`;
+    }
+
+    renderGlyphCell(char) {
+        if (!char) return;
+
+        const cell = Array.from(document.querySelectorAll('#glyph-editor-grid .glyph-cell'))
+            .find(element => element.dataset.char === char);
+        const rows = this.font.characters[char];
+        if (!cell || !rows) return;
+
+        const canvas = cell.querySelector('canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#000';
+        rows.forEach((row, y) => {
+            row.forEach((pixel, x) => {
+                if (pixel === 1) {
+                    ctx.fillRect(x, y, 1, 1);
+                }
+            });
+        });
+    }
+
+    /**
+     * Render the sample string with the working font through TextRenderer
+     */
+    renderSample() {
+        const canvas = document.getElementById('glyph-editor-sample-canvas');
+        const text = document.getElementById('glyph-editor-sample').value;
+        if (!canvas || !this.font) return;
+
+        // Register the working copy only for the duration of the render
+        TextRenderer.fonts[this.previewFontKey] = this.toRenderFont();
+        try {
+            const ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            TextRenderer.renderTextPreview(text, canvas, this.previewFontKey, 1);
+        } finally {
+            delete TextRenderer.fonts[this.previewFontKey];
+        }
+    }
+
+    /**
+     * Working copy in the TextRenderer font shape
+     */
+    toRenderFont() {
+        return {
+            name: this.font.name,
+            width: this.font.width,
+            height: this.font.height,
+            spacing: this.font.spacing,
+            baseline: this.font.baseline,
+            proportional: this.font.proportional,
+            metrics: this.font.metrics,
+            kerning: this.font.kerning,
+            data: this.font.characters,
+            custom: true
+        };
+    }
+
+    // ===== SAVING =====
+
+    /**
+     * Save the working copy as a custom font, updating it in place when it already exists
+     */
+    saveFont() {
+        const manager = this.app.customFontManager;
+        if (!this.font || !manager) return;
+
+        this.openGlyphSheet();
+        this.commitGlyph();
+
+        const name = this.font.name.trim();
+        if (!name) {
+            this.app.showNotification('Font name is required', 'error');
+            return;
+        }
+
+        const metrics = {};
+        Object.entries(this.font.metrics).forEach(([char, value]) => {
+            if (this.font.characters[char]) {
+                metrics[char] = value;
+            }
+        });
+
+        const fontData = {
+            format: 'bitsdraw-bitmap',
+            version: '1.0',
+            metadata: {
+                name: name,
+                width: this.font.width,
+                height: this.font.height,
+                spacing: this.font.spacing,
+                baseline: this.font.baseline,
+                proportional: this.font.proportional,
+                description: 'Created in the BitsDraw font editor'
+            },
+            characters: this.font.characters,
+            metrics: metrics,
+            kerning: this.font.kerning
+        };
+
+        try {
+            manager.validateFontData(fontData);
+        } catch (error) {
+            this.app.showNotification(`Cannot save font: ${error.message}`, 'error');
+            return;
+        }
+
+        // Store a copy so later edits stay in the working font until saved again
+        const storedData = JSON.parse(JSON.stringify(fontData));
+        let customFont = this.font.id ? manager.customFonts.get(this.font.id) : null;
+        if (customFont) {
+            customFont.name = name;
+            customFont.data = storedData;
+            customFont.modified = Date.now();
+        } else {
+            customFont = {
+                id: `custom-${manager.nextFontId++}`,
+                name: name,
+                data: storedData,
+                originalFile: null,
+                format: 'bitsdraw-json',
+                created: Date.now(),
+                modified: Date.now()
+            };
+            manager.customFonts.set(customFont.id, customFont);
+            this.font.id = customFont.id;
+        }
+
+        manager.registerCustomFont(customFont);
+        manager.saveCustomFonts();
+        manager.updateFontSelectionUI();
+        if (manager.onUpdate) {
+            manager.onUpdate();
+        }
+
+        this.dirty = false;
+        this.refreshSourceList();
+        this.app.showNotification(`Font "${name}" saved`, 'success');
+    }
+}
@@ -0,0 +1,586 @@
+/**
+ * Font Exporter - Compiles BitsDraw bitmap fonts (TextRenderer.fonts entries)
+ * into formats that device libraries can load directly
+ */
+class FontExporter {
+    /**
+     * Get available font export formats
+     */
+    static getFontExportFormats() {
+        return {
+            'u8g2': { name: 'u8g2 font', description: 'Compressed u8g2 font array for u8g2.setFont()', extension: '.c' },
+            'adafruit-gfx': { name: 'Adafruit GFX font', description: 'GFXfont struct for display.setFont()', extension: '.h' },
+            'bdf': { name: 'BDF font', description: 'Glyph Bitmap Distribution Format for bdfconv and X11 tools', extension: '.bdf' }
+        };
+    }
+
+    /**
+     * Generate font source code in the given format
+     * @param {object} font - Font definition ({ name, width, height, spacing, data })
+     * @param {string} fontName - C identifier for the generated array
+     * @param {string} format - Key from getFontExportFormats()
+     */
+    static generateFontFile(font, fontName, format = 'u8g2') {
+        switch (format) {
+            case 'u8g2':
+                return this.generateU8g2Font(font, fontName);
+            case 'adafruit-gfx':
+                return this.generateAdafruitGFXFont(font, fontName);
+            case 'bdf':
+                return this.generateBDFFont(font, fontName);
+            default:
+                throw new Error(`Unsupported font export format: ${format}`);
+        }
+    }
+
+    /**
+     * Convert a CustomFontManager entry into the TextRenderer font shape
+     */
+    static fromCustomFont(customFont) {
+        const metadata = customFont.data.metadata;
+        return {
+            name: customFont.name,
+            width: metadata.width,
+            height: metadata.height,
+            spacing: metadata.spacing,
+            baseline: metadata.baseline,
+            proportional: metadata.proportional,
+            metrics: customFont.data.metrics,
+            kerning: customFont.data.kerning,
+            data: customFont.data.characters,
+            custom: true
+        };
+    }
+
+    /**
+     * Collect glyphs sorted by code point. Keys that are not a single
+     * BMP code point are skipped.
+     * @returns {Array<{encoding: number, char: string, rows: number[][]}>}
+     */
+    static getFontGlyphs(font) {
+        return Object.entries(font.data || {})
+            .filter(([char, rows]) => Array.from(char).length === 1 && Array.isArray(rows))
+            .map(([char, rows]) => ({ encoding: char.codePointAt(0), char, rows }))
+            .filter(glyph => glyph.encoding > 0 && glyph.encoding <= 0xFFFF)
+            .sort((a, b) => a.encoding - b.encoding);
+    }
+
+    /**
+     * Number of cell rows above the baseline. Uses font.baseline when set,
+     * otherwise the bottom of 'A' (BitsDraw cells reserve rows below it for descenders).
+     */
+    static getFontBaseline(font) {
+        if (Number.isInteger(font.baseline)) {
+            return font.baseline;
+        }
+
+        const rowsA = font.data && font.data['A'];
+        if (Array.isArray(rowsA)) {
+            for (let row = rowsA.length - 1; row >= 0; row--) {
+                if (rowsA[row].some(pixel => pixel === 1)) {
+                    return row + 1;
+                }
+            }
+        }
+        return font.height;
+    }
+
+    /**
+     * Horizontal advance of a glyph, matching TextRenderer's layout
+     * (proportional fonts and font.metrics included)
+     */
+    static getGlyphAdvance(font, glyph) {
+        if (!glyph) {
+            return font.width + (font.spacing || 0);
+        }
+        return TextRenderer.getGlyphLayout(font, glyph.char).advance;
+    }
+
+    /**
+     * Tight bounding box of a glyph relative to the baseline, as u8g2/BDF
+     * expect: x/y are the offsets of the box's left/bottom edge.
+     */
+    static getGlyphMetrics(font, glyph, baseline) {
+        let minRow = Infinity, maxRow = -1, minCol = Infinity, maxCol = -1;
+        glyph.rows.forEach((row, rowIndex) => {
+            row.forEach((pixel, colIndex) => {
+                if (pixel === 1) {
+                    minRow = Math.min(minRow, rowIndex);
+                    maxRow = Math.max(maxRow, rowIndex);
+                    minCol = Math.min(minCol, colIndex);
+                    maxCol = Math.max(maxCol, colIndex);
+                }
+            });
+        });
+
+        const layout = TextRenderer.getGlyphLayout(font, glyph.char);
+        const advance = layout.advance;
+        if (maxRow < 0) {
+            return { width: 0, height: 0, x: 0, y: 0, advance, bitmap: [] };
+        }
+
+        // A glyph may sit on its own baseline row within the cell
+        const metrics = font.metrics && font.metrics[glyph.char];
+        const glyphBaseline = metrics && Number.isInteger(metrics.baseline) ? metrics.baseline : baseline;
+        const bitmap = glyph.rows.slice(minRow, maxRow + 1).map(row => row.slice(minCol, maxCol + 1));
+        return {
+            width: maxCol - minCol + 1,
+            height: maxRow - minRow + 1,
+            x: minCol + layout.bearing,
+            y: glyphBaseline - 1 - maxRow,
+            advance,
+            bitmap
+        };
+    }
+
+    // ===== Adafruit GFX =====
+
+    /**
+     * Generate an Adafruit GFX GFXfont header for display.setFont().
+     * Adafruit_GFX only draws 8-bit characters, so glyphs above 0xFF are left out.
+     */
+    static generateAdafruitGFXFont(font, fontName) {
+        const symbol = BitmapExporter.sanitizeSymbolName(fontName);
+        const baseline = this.getFontBaseline(font);
+        const allGlyphs = this.getFontGlyphs(font);
+        const glyphs = allGlyphs.filter(glyph => glyph.encoding <= 0xFF);
+        if (glyphs.length === 0) {
+            throw new Error('Font has no glyphs in the 8-bit range');
+        }
+
+        const first = glyphs[0].encoding;
+        const last = glyphs[glyphs.length - 1].encoding;
+        const glyphMap = new Map(glyphs.map(glyph => [glyph.encoding, glyph]));
+        const bitmapBytes = [];
+        const glyphEntries = [];
+
+        for (let encoding = first; encoding <= last; encoding++) {
+            const glyph = glyphMap.get(encoding);
+            const metrics = glyph
+                ? this.getGlyphMetrics(font, glyph, baseline)
+                : { width: 0, height: 0, x: 0, y: 0, advance: this.getGlyphAdvance(font, null), bitmap: [] };
+
+            if (bitmapBytes.length > 0xFFFF) {
+                throw new Error('Font bitmap data exceeds the 64KB GFXfont limit');
+            }
+            glyphEntries.push({
+                offset: bitmapBytes.length,
+                width: metrics.width,
+                height: metrics.height,
+                advance: metrics.advance,
+                // GFX offsets are from the cursor on the baseline to the glyph's top-left pixel
+                xOffset: metrics.x,
+                yOffset: -(metrics.y + metrics.height),
+                char: glyph ? glyph.char : null
+            });
+
+            // Glyph bits are packed MSB first with no row padding; each glyph starts on a byte
+            let current = 0;
+            let bitCount = 0;
+            metrics.bitmap.forEach(row => {
+                row.forEach(pixel => {
+                    current = (current << 1) | (pixel === 1 ? 1 : 0);
+                    bitCount++;
+                    if (bitCount === 8) {
+                        bitmapBytes.push(current);
+                        current = 0;
+                        bitCount = 0;
+                    }
+                });
+            });
+            if (bitCount > 0) {
+                bitmapBytes.push(current << (8 - bitCount));
+            }
+        }
+
+        const toHex = (value, digits) => `0x${value.toString(16).padStart(digits, '0').toUpperCase()}`;
+        const skipped = allGlyphs.length - glyphs.length;
+
+        let code = `// Generated by BitsDraw v1.0.4 - Adafruit GFX Font Format\n`;
+        code += `// Font: ${font.name}\n`;
+        code += `// Characters: ${toHex(first, 2)}-${toHex(last, 2)} (${glyphs.length} glyphs)\n`;
+        if (skipped > 0) {
+            code += `// Skipped: ${skipped} glyphs above 0xFF (not supported by Adafruit_GFX)\n`;
+        }
+        code += `// Bitmap size: ${bitmapBytes.length} bytes\n\n`;
+        code += `#pragma once\n`;
+        code += `#include <Adafruit_GFX.h>\n\n`;
+
+        code += `const uint8_t ${symbol}Bitmaps[] PROGMEM = {\n`;
+        if (bitmapBytes.length === 0) {
+            code += `  0x00\n`;
+        }
+        for (let i = 0; i < bitmapBytes.length; i += 16) {
+            const values = bitmapBytes.slice(i, i + 16).map(byte => toHex(byte, 2));
+            code += `  ${values.join(', ')}${i + 16 < bitmapBytes.length ? ',' : ''}\n`;
+        }
+        code += `};\n\n`;
+
+        code += `const GFXglyph ${symbol}Glyphs[] PROGMEM = {\n`;
+        glyphEntries.forEach((entry, index) => {
+            const fields = [entry.offset, entry.width, entry.height, entry.advance, entry.xOffset, entry.yOffset];
+            const separator = index < glyphEntries.length - 1 ? ',' : ' ';
+            const label = entry.char && /[\x21-\x7E\xA1-\xFF]/.test(entry.char) ? ` '${entry.char}'` : '';
+            code += `  { ${fields.join(', ')} }${separator} // ${toHex(first + index, 2)}${label}\n`;
+        });
+        code += `};\n\n`;
+
+        code += `const GFXfont ${symbol} PROGMEM = {\n`;
+        code += `  (uint8_t *)${symbol}Bitmaps,\n`;
+        code += `  (GFXglyph *)${symbol}Glyphs,\n`;
+        code += `  ${toHex(first, 2)}, ${toHex(last, 2)}, ${font.height}\n`;
+        code += `};\n\n`;
+        code += `// Usage example:\n`;
+        code += `// display.setFont(&${symbol});\n`;
+        code += `// display.setCursor(x, y);  // y is the baseline\n`;
+        code += `// display.print("Hello");`;
+
+        return code;
+    }
+
+    // ===== BDF =====
+
+    /**
+     * Generate a BDF 2.1 font. Glyph boxes are cropped to their ink; the cell
+     * height becomes FONT_ASCENT + FONT_DESCENT around the font baseline.
+     */
+    static generateBDFFont(font, fontName) {
+        const family = String(fontName || font.name).replace(/[-"\r\n]/g, ' ').trim() || 'BitsDraw';
+        const baseline = this.getFontBaseline(font);
+        const ascent = baseline;
+        const descent = Math.max(0, font.height - baseline);
+        const pixelSize = ascent + descent;
+        const glyphs = this.getFontGlyphs(font).map(glyph => ({
+            ...glyph,
+            ...this.getGlyphMetrics(font, glyph, baseline)
+        }));
+        if (glyphs.length === 0) {
+            throw new Error('Font has no glyphs to export');
+        }
+
+        const inked = glyphs.filter(glyph => glyph.width > 0);
+        const boxLeft = inked.length ? Math.min(...inked.map(g => g.x)) : 0;
+        const boxBottom = inked.length ? Math.min(...inked.map(g => g.y)) : 0;
+        const boxRight = inked.length ? Math.max(...inked.map(g => g.x + g.width)) : 0;
+        const boxTop = inked.length ? Math.max(...inked.map(g => g.y + g.height)) : 0;
+        // Character-cell only when every glyph shares one advance
+        const proportional = font.proportional || glyphs.some(glyph => glyph.advance !== glyphs[0].advance);
+        const spacing = proportional ? 'P' : 'C';
+        const averageWidth = proportional
+            ? Math.round(glyphs.reduce((sum, glyph) => sum + glyph.advance, 0) * 10 / glyphs.length)
+            : this.getGlyphAdvance(font, null) * 10;
+        const properties = [
+            ['FOUNDRY', '"BitsDraw"'],
+            ['FAMILY_NAME', `"${family}"`],
+            ['WEIGHT_NAME', '"Medium"'],
+            ['SLANT', '"R"'],
+            ['SETWIDTH_NAME', '"Normal"'],
+            ['PIXEL_SIZE', pixelSize],
+            ['POINT_SIZE', pixelSize * 10],
+            ['RESOLUTION_X', 75],
+            ['RESOLUTION_Y', 75],
+            ['SPACING', `"${spacing}"`],
+            ['AVERAGE_WIDTH', averageWidth],
+            ['CHARSET_REGISTRY', '"ISO10646"'],
+            ['CHARSET_ENCODING', '"1"'],
+            ['FONT_ASCENT', ascent],
+            ['FONT_DESCENT', descent]
+        ];
+        if (glyphs.some(glyph => glyph.encoding === 0x20)) {
+            properties.push(['DEFAULT_CHAR', 32]);
+        }
+
+        const lines = [
+            'STARTFONT 2.1',
+            `COMMENT Generated by BitsDraw v1.0.4 - BDF Font Format`,
+            `FONT -BitsDraw-${family}-Medium-R-Normal--${pixelSize}-${pixelSize * 10}-75-75-${spacing}-${averageWidth}-ISO10646-1`,
+            `SIZE ${pixelSize} 75 75`,
+            `FONTBOUNDINGBOX ${boxRight - boxLeft} ${boxTop - boxBottom} ${boxLeft} ${boxBottom}`,
+            `STARTPROPERTIES ${properties.length}`,
+            ...properties.map(([key, value]) => `${key} ${value}`),
+            'ENDPROPERTIES',
+            `CHARS ${glyphs.length}`
+        ];
+
+        glyphs.forEach(glyph => {
+            const bytesPerRow = Math.ceil(glyph.width / 8);
+            lines.push(
+                `STARTCHAR uni${glyph.encoding.toString(16).toUpperCase().padStart(4, '0')}`,
+                `ENCODING ${glyph.encoding}`,
+                `SWIDTH ${Math.round(glyph.advance * 1000 / pixelSize)} 0`,
+                `DWIDTH ${glyph.advance} 0`,
+                `BBX ${glyph.width} ${glyph.height} ${glyph.x} ${glyph.y}`,
+                'BITMAP'
+            );
+            glyph.bitmap.forEach(row => {
+                const bytes = new Array(bytesPerRow).fill(0);
+                row.forEach((pixel, col) => {
+                    if (pixel === 1) {
+                        bytes[col >> 3] |= 0x80 >> (col & 7);
+                    }
+                });
+                lines.push(bytes.map(byte => byte.toString(16).toUpperCase().padStart(2, '0')).join(''));
+            });
+            lines.push('ENDCHAR');
+        });
+
+        lines.push('ENDFONT');
+        return lines.join('\n') + '\n';
+    }
+
+    // ===== u8g2 =====
+
+    /**
+     * Generate a u8g2 font as a C array for u8g2.setFont()
+     */
+    static generateU8g2Font(font, fontName) {
+        const name = BitmapExporter.sanitizeSymbolName(fontName);
+        const symbol = name.startsWith('u8g2_font_') ? name : `u8g2_font_${name}`;
+        const { bytes, glyphCount, header } = this.encodeU8g2Font(font);
+        const hexValues = Array.from(bytes, byte => `0x${byte.toString(16).padStart(2, '0').toUpperCase()}`);
+
+        let code = `// Generated by BitsDraw v1.0.4 - u8g2 Font Format\n`;
+        code += `// Font: ${font.name}\n`;
+        code += `// Glyphs: ${glyphCount}\n`;
+        code += `// BBX: ${header.maxWidth} x ${header.maxHeight}, ascent ${header.ascentA}, descent ${header.descentG}\n`;
+        code += `// Data size: ${bytes.length} bytes\n`;
+        code += `// Format: u8g2 compressed glyphs (BBX build mode 0)\n\n`;
+        code += `#include <U8g2lib.h>\n\n`;
+        code += `const uint8_t ${symbol}[${bytes.length}] U8G2_FONT_SECTION("${symbol}") = {\n`;
+        for (let i = 0; i < hexValues.length; i += 16) {
+            code += `  ${hexValues.slice(i, i + 16).join(', ')}`;
+            code += i + 16 < hexValues.length ? ',\n' : '\n';
+        }
+        code += `};\n\n`;
+        code += `// Usage example:\n`;
+        code += `// u8g2.setFont(${symbol});\n`;
+        code += `// u8g2.drawStr(x, y, "Hello");  // y is the baseline`;
+
+        return code;
+    }
+
+    /**
+     * Encode a font into u8g2's binary layout: a 23-byte header, glyphs
+     * below 0x100 (1-byte encoding + size), a terminator, then a unicode
+     * lookup table and glyphs with 2-byte big-endian encodings.
+     */
+    static encodeU8g2Font(font) {
+        const baseline = this.getFontBaseline(font);
+        const glyphs = this.getFontGlyphs(font).map(glyph => ({
+            ...glyph,
+            ...this.getGlyphMetrics(font, glyph, baseline)
+        }));
+        if (glyphs.length === 0) {
+            throw new Error('Font has no glyphs to export');
+        }
+
+        const unsignedBits = (max) => Math.max(1, Math.ceil(Math.log2(max + 1)));
+        const signedBits = (min, max) => {
+            let bits = 1;
+            while (min < -(1 << (bits - 1)) || max > (1 << (bits - 1)) - 1) bits++;
+            return bits;
+        };
+        const range = (key) => glyphs.reduce((acc, glyph) =>
+            [Math.min(acc[0], glyph[key]), Math.max(acc[1], glyph[key])], [0, 0]);
+
+        const [minX, maxX] = range('x');
+        const [minY, maxY] = range('y');
+        const [minAdvance, maxAdvance] = range('advance');
+        const fieldBits = {
+            width: unsignedBits(range('width')[1]),
+            height: unsignedBits(range('height')[1]),
+            x: signedBits(minX, maxX),
+            y: signedBits(minY, maxY),
+            advance: signedBits(minAdvance, maxAdvance)
+        };
+
+        // Pick the run-length field sizes that give the smallest font, as bdfconv does
+        let best = null;
+        for (let bits0 = 2; bits0 < 10; bits0++) {
+            for (let bits1 = 2; bits1 < 7; bits1++) {
+                const encoded = glyphs.map(glyph => this.encodeU8g2Glyph(glyph, fieldBits, bits0, bits1));
+                const size = encoded.reduce((sum, data) => sum + data.length, 0);
+                if (!best || size < best.size) {
+                    best = { bits0, bits1, encoded, size };
+                }
+            }
+        }
+
+        // Font bounding box and reference heights
+        const inked = glyphs.filter(glyph => glyph.width > 0);
+        const boxLeft = inked.length ? Math.min(...inked.map(g => g.x)) : 0;
+        const boxRight = inked.length ? Math.max(...inked.map(g => g.x + g.width)) : 0;
+        const boxBottom = inked.length ? Math.min(...inked.map(g => g.y)) : 0;
+        const boxTop = inked.length ? Math.max(...inked.map(g => g.y + g.height)) : 0;
+        const glyphByChar = (char) => inked.find(glyph => glyph.char === char);
+        const glyphA = glyphByChar('A');
+        const glyphG = glyphByChar('g');
+        const glyphParen = glyphByChar('(');
+        const header = {
+            maxWidth: boxRight - boxLeft,
+            maxHeight: boxTop - boxBottom,
+            ascentA: glyphA ? glyphA.y + glyphA.height : boxTop,
+            descentG: glyphG ? glyphG.y : boxBottom,
+            ascentPara: glyphParen ? glyphParen.y + glyphParen.height : boxTop,
+            descentPara: glyphParen ? glyphParen.y : boxBottom
+        };
+
+        // Glyph records
+        const lowRecords = [];
+        const unicodeRecords = [];
+        glyphs.forEach((glyph, index) => {
+            const data = best.encoded[index];
+            const isUnicode = glyph.encoding > 0xFF;
+            const recordSize = data.length + (isUnicode ? 3 : 2);
+            if (recordSize > 255) {
+                throw new Error(`Glyph '${glyph.char}' is too large for a u8g2 font (${recordSize} bytes)`);
+            }
+
+            if (isUnicode) {
+                unicodeRecords.push([glyph.encoding >> 8, glyph.encoding & 0xFF, recordSize, ...data]);
+            } else {
+                lowRecords.push({ encoding: glyph.encoding, bytes: [glyph.encoding, recordSize, ...data] });
+            }
+        });
+
+        const body = [];
+        let startUpperA = null;
+        let startLowerA = null;
+        lowRecords.forEach(record => {
+            if (startUpperA === null && record.encoding >= 0x41) startUpperA = body.length;
+            if (startLowerA === null && record.encoding >= 0x61) startLowerA = body.length;
+            body.push(...record.bytes);
+        });
+        if (startUpperA === null) startUpperA = body.length;
+        if (startLowerA === null) startLowerA = body.length;
+        body.push(0x00, 0x00); // End of the 8-bit glyph list
+
+        // One lookup block covering every unicode glyph: offset 4 past the table, last encoding 0xFFFF
+        const startUnicode = body.length;
+        body.push(0x00, 0x04, 0xFF, 0xFF);
+        unicodeRecords.forEach(record => body.push(...record));
+        body.push(0x00, 0x00); // End of the unicode glyph list
+
+        const signedByte = value => value & 0xFF;
+        const bytes = new Uint8Array(23 + body.length);
+        bytes.set([
+            Math.min(glyphs.length, 255),
+            0, // BBX build mode 0: proportional
+            best.bits0,
+            best.bits1,
+            fieldBits.width,
+            fieldBits.height,
+            fieldBits.x,
+            fieldBits.y,
+            fieldBits.advance,
+            header.maxWidth,
+            header.maxHeight,
+            signedByte(boxLeft),
+            signedByte(boxBottom),
+            signedByte(header.ascentA),
+            signedByte(header.descentG),
+            signedByte(header.ascentPara),
+            signedByte(header.descentPara),
+            startUpperA >> 8, startUpperA & 0xFF,
+            startLowerA >> 8, startLowerA & 0xFF,
+            startUnicode >> 8, startUnicode & 0xFF
+        ]);
+        bytes.set(body, 23);
+
+        return { bytes, glyphCount: glyphs.length, header };
+    }
+
+    /**
+     * Encode one glyph: size/offset fields followed by (zeros, ones) run
+     * pairs over the glyph box, each pair followed by a repeat bit.
+     * Bits are packed LSB first; signed fields are stored biased by 2^(n-1).
+     */
+    static encodeU8g2Glyph(glyph, fieldBits, bits0, bits1) {
+        const writer = this.createBitWriter();
+        writer.write(glyph.width, fieldBits.width);
+        writer.write(glyph.height, fieldBits.height);
+        writer.write(glyph.x + (1 << (fieldBits.x - 1)), fieldBits.x);
+        writer.write(glyph.y + (1 << (fieldBits.y - 1)), fieldBits.y);
+        writer.write(glyph.advance + (1 << (fieldBits.advance - 1)), fieldBits.advance);
+
+        if (glyph.width > 0) {
+            const max0 = (1 << bits0) - 1;
+            const max1 = (1 << bits1) - 1;
+            let last = null;
+
+            const emitPair = (zeros, ones) => {
+                if (last && last[0] === zeros && last[1] === ones) {
+                    writer.write(1, 1); // Repeat previous pair
+                    return;
+                }
+                if (last) {
+                    writer.write(0, 1);
+                }
+                writer.write(zeros, bits0);
+                writer.write(ones, bits1);
+                last = [zeros, ones];
+            };
+            const emitRun = (zeros, ones) => {
+                while (zeros > max0) {
+                    emitPair(max0, 0);
+                    zeros -= max0;
+                }
+                while (ones > max1) {
+                    emitPair(zeros, max1);
+                    zeros = 0;
+                    ones -= max1;
+                }
+                if (zeros > 0 || ones > 0) {
+                    emitPair(zeros, ones);
+                }
+            };
+
+            let zeros = 0;
+            let ones = 0;
+            glyph.bitmap.forEach(row => {
+                row.forEach(pixel => {
+                    if (pixel === 1) {
+                        ones++;
+                    } else {
+                        if (ones > 0) {
+                            emitRun(zeros, ones);
+                            zeros = 0;
+                            ones = 0;
+                        }
+                        zeros++;
+                    }
+                });
+            });
+            emitRun(zeros, ones);
+        }
+        writer.write(0, 1); // No repeat, glyph complete
+
+        return writer.getBytes();
+    }
+
+    /**
+     * LSB-first bit packer
+     */
+    static createBitWriter() {
+        const bytes = [];
+        let current = 0;
+        let bitPos = 0;
+
+        return {
+            write(value, count) {
+                for (let i = 0; i < count; i++) {
+                    current |= ((value >> i) & 1) << bitPos;
+                    bitPos++;
+                    if (bitPos === 8) {
+                        bytes.push(current);
+                        current = 0;
+                        bitPos = 0;
+                    }
+                }
+            },
+            getBytes() {
+                return bitPos > 0 ? [...bytes, current] : [...bytes];
+            }
+        };
+    }
+}
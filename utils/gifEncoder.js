@@ -5,10 +5,11 @@
 
 class GifExportStrategies {
     constructor() {
+        // Built-in encoder first: works offline and is byte-identical across runs
         this.strategies = [
+            new CanvasToGifStrategy(),
             new PencilJsGifStrategy(),
-            new GifJsStrategy(), 
-            new CanvasToGifStrategy()
+            new GifJsStrategy()
         ];
     }
 
@@ -208,11 +209,11 @@ class GifJsStrategy {
 }
 
 /**
- * Strategy 3: Canvas-based Simple GIF (Last Resort)
+ * Strategy 3: Built-in GIF89a encoder (no external libraries, deterministic output)
  */
 class CanvasToGifStrategy {
     constructor() {
-        this.name = 'Canvas Simple GIF';
+        this.name = 'BitsDraw GIF89a';
     }
 
     isAvailable() {
@@ -220,9 +221,246 @@ class CanvasToGifStrategy {
     }
 
     async encode(sheets, settings) {
-        // This would be a very basic implementation
-        // For now, we'll throw an error suggesting PNG sequence
-        throw new Error('Simple GIF encoder not yet implemented. Please use PNG Sequence export.');
+        const { width, height, frameRate, loop = true } = settings;
+        const defaultDelay = Math.round(1000 / frameRate);
+
+        const frames = sheets.map(sheet => {
+            const pixelData = window.bitsDraw?.getSheetCompositePixels?.(sheet);
+            if (!pixelData) {
+                throw new Error('Unable to get sheet pixel data');
+            }
+            const alphaData = window.bitsDraw?.getSheetCompositeAlpha?.(sheet);
+
+            // Palette indices: 0 = white, 1 = black, 2 = transparent
+            const indices = new Uint8Array(width * height);
+            for (let p = 0; p < indices.length; p++) {
+                if (alphaData && alphaData[p] === 0) {
+                    indices[p] = 2;
+                } else {
+                    indices[p] = pixelData[p] === 0 ? 0 : 1;
+                }
+            }
+            return { indices, delay: sheet.delay || defaultDelay };
+        });
+
+        const loopCount = typeof loop === 'number' ? loop : (loop ? 0 : -1);
+        const bytes = new Gif89aEncoder(width, height, { loopCount }).encode(frames);
+        return new Blob([bytes], { type: 'image/gif' });
+    }
+}
+
+/**
+ * Minimal GIF89a writer tuned for 1-bit art.
+ * Frames are palette indices (0 = white, 1 = black, 2 = transparent). Opaque animations use a
+ * 2-color table; a third, transparent entry is added only when a frame needs it.
+ * Frames are cropped to the changed region and identical frames are merged into one delay.
+ */
+class Gif89aEncoder {
+    /**
+     * @param {number} width Canvas width
+     * @param {number} height Canvas height
+     * @param {object} options { loopCount: 0 = forever, n = repeat n times, -1 = play once }
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.loopCount = options.loopCount ?? 0;
+    }
+
+    /**
+     * @param {Array<{indices: Uint8Array, delay: number}>} frames Frames with delay in ms
+     * @returns {Uint8Array} GIF file bytes
+     */
+    encode(frames) {
+        const { width, height } = this;
+        const hasTransparency = frames.some(frame => frame.indices.includes(2));
+        const plan = this.planFrames(frames);
+
+        const out = [];
+        const writeWord = value => out.push(value & 0xFF, (value >> 8) & 0xFF);
+        const writeString = text => { for (let i = 0; i < text.length; i++) out.push(text.charCodeAt(i)); };
+
+        // Header and logical screen descriptor
+        writeString('GIF89a');
+        writeWord(width);
+        writeWord(height);
+        const tableBits = hasTransparency ? 2 : 1; // 4 or 2 entries
+        out.push(0x80 | ((tableBits - 1) << 4) | (tableBits - 1), 0, 0);
+
+        // Global color table: white, black (, transparent placeholder, unused)
+        out.push(255, 255, 255, 0, 0, 0);
+        if (hasTransparency) {
+            out.push(255, 255, 255, 0, 0, 0);
+        }
+
+        // NETSCAPE2.0 loop extension
+        if (this.loopCount >= 0) {
+            out.push(0x21, 0xFF, 0x0B);
+            writeString('NETSCAPE2.0');
+            out.push(0x03, 0x01);
+            writeWord(this.loopCount);
+            out.push(0x00);
+        }
+
+        plan.forEach(entry => {
+            // Graphic control extension: disposal, transparency, delay (centiseconds)
+            out.push(0x21, 0xF9, 0x04);
+            out.push((entry.disposal << 2) | (hasTransparency ? 1 : 0));
+            writeWord(Math.min(65535, Math.round(entry.delay / 10)));
+            out.push(hasTransparency ? 2 : 0, 0x00);
+
+            // Image descriptor (no local color table)
+            const { x, y, width: w, height: h } = entry.region;
+            out.push(0x2C);
+            writeWord(x);
+            writeWord(y);
+            writeWord(w);
+            writeWord(h);
+            out.push(0x00);
+
+            const regionIndices = new Uint8Array(w * h);
+            for (let row = 0; row < h; row++) {
+                regionIndices.set(entry.indices.subarray((y + row) * width + x, (y + row) * width + x + w), row * w);
+            }
+
+            const minCodeSize = 2;
+            out.push(minCodeSize);
+            const data = this.lzwEncode(regionIndices, minCodeSize);
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.subarray(i, i + 255);
+                out.push(block.length, ...block);
+            }
+            out.push(0x00);
+        });
+
+        out.push(0x3B);
+        return new Uint8Array(out);
+    }
+
+    /**
+     * Decide region and disposal per frame.
+     * Opaque changes draw over the previous frame (disposal 1, cropped to the changed box).
+     * When a pixel turns transparent the previous frame is widened to the full canvas and
+     * restored to background (disposal 2), and the new frame is cropped to its visible content.
+     */
+    planFrames(frames) {
+        const { width, height } = this;
+        const full = { x: 0, y: 0, width, height };
+        const plan = [];
+
+        frames.forEach((frame, i) => {
+            const delay = frame.delay;
+            if (i === 0) {
+                plan.push({ indices: frame.indices, region: full, disposal: 1, delay });
+                return;
+            }
+
+            const previous = plan[plan.length - 1];
+            const changed = this.getChangedRegion(previous.indices, frame.indices);
+            if (!changed) {
+                previous.delay += delay;
+                return;
+            }
+
+            let needsClear = false;
+            for (let p = 0; p < frame.indices.length; p++) {
+                if (frame.indices[p] === 2 && previous.indices[p] !== 2) {
+                    needsClear = true;
+                    break;
+                }
+            }
+
+            if (needsClear) {
+                previous.region = full;
+                previous.disposal = 2;
+                const content = this.getContentRegion(frame.indices) || { x: 0, y: 0, width: 1, height: 1 };
+                plan.push({ indices: frame.indices, region: content, disposal: 1, delay });
+            } else {
+                plan.push({ indices: frame.indices, region: changed, disposal: 1, delay });
+            }
+        });
+
+        return plan;
+    }
+
+    getChangedRegion(previous, current) {
+        return this.getBoundingBox(index => previous[index] !== current[index]);
+    }
+
+    getContentRegion(indices) {
+        return this.getBoundingBox(index => indices[index] !== 2);
+    }
+
+    getBoundingBox(test) {
+        const { width, height } = this;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (test(y * width + x)) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+        if (maxX < 0) return null;
+        return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+    }
+
+    /**
+     * Variable-length LZW as used by GIF (LSB-first bit packing, 12-bit max codes)
+     */
+    lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const bytes = [];
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+
+        const emit = code => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                bytes.push(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const value = indices[i];
+            const key = (prefix << 8) | value;
+            const existing = table.get(key);
+            if (existing !== undefined) {
+                prefix = existing;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = value;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) {
+            bytes.push(bitBuffer & 0xFF);
+        }
+
+        return new Uint8Array(bytes);
     }
 }
 
@@ -247,4 +485,5 @@ const GIF_QUALITY_PRESETS = {
 
 // Export for global access
 window.GifExportStrategies = GifExportStrategies;
+window.Gif89aEncoder = Gif89aEncoder;
 window.GIF_QUALITY_PRESETS = GIF_QUALITY_PRESETS;
\ No newline at end of file
@@ -15,13 +15,18 @@ class ImageImporter {
             'webp': { name: 'WebP', description: 'Modern image format with excellent compression' },
             'avif': { name: 'AVIF', description: 'AV1 Image Format - best compression (2024)' },
             
-            // Legacy formats (broad compatibility)
-            'bmp': { name: 'BMP', description: 'Bitmap Image File' },
-            'ico': { name: 'ICO', description: 'Icon Format' },
+            // Legacy formats (broad compatibility); palette-based files are decoded directly
+            'bmp': { name: 'BMP', description: 'Bitmap Image File', indexed: true },
+            'ico': { name: 'ICO', description: 'Icon Format', indexed: true },
             
             // Specialized formats
             'tiff': { name: 'TIFF', description: 'Tagged Image File Format' },
-            'tif': { name: 'TIFF', description: 'Tagged Image File Format' }
+            'tif': { name: 'TIFF', description: 'Tagged Image File Format' },
+            
+            // 1-bit formats (decoded directly, no dithering)
+            'xbm': { name: 'XBM', description: 'X BitMap C source', lossless: true },
+            'pbm': { name: 'PBM', description: 'Netpbm bitmap (P1/P4)', lossless: true },
+            'pgm': { name: 'PGM', description: 'Netpbm graymap (P2/P5)', lossless: true }
         };
     }
 
@@ -55,7 +60,11 @@ class ImageImporter {
             'image/vnd.microsoft.icon': 'ico',
             'image/x-icon': 'ico',
             'image/tiff': 'tiff',
-            'image/svg+xml': 'svg'
+            'image/svg+xml': 'svg',
+            'image/x-xbitmap': 'xbm',
+            'image/x-xbm': 'xbm',
+            'image/x-portable-bitmap': 'pbm',
+            'image/x-portable-graymap': 'pgm'
         };
         
         const formatFromMime = mimeToFormat[mimeType];
@@ -151,6 +160,310 @@ class ImageImporter {
         });
     }
 
+    /**
+     * Check if file may bypass canvas decoding (1-bit formats, palette BMP/ICO)
+     */
+    static isLosslessBitmapFile(file) {
+        const formatInfo = this.detectFormat(file);
+        return formatInfo.supported && Boolean(formatInfo.lossless || formatInfo.indexed);
+    }
+
+    /**
+     * Decode an XBM, Netpbm or palette BMP/ICO file straight to pixel data so
+     * 1-bit images round-trip exactly. Returns null for BMP/ICO variants that
+     * need the browser decoder (true color, compressed, PNG icons).
+     * @returns {Promise<{name: string, width: number, height: number, pixels: number[][], alpha: number[][]}|null>}
+     */
+    static async loadBitmapFile(file) {
+        const formatInfo = this.detectFormat(file);
+        const name = file.name.replace(/\.[^.]+$/, '');
+        
+        let bitmap;
+        if (formatInfo.format === 'xbm') {
+            bitmap = this.decodeXBM(await file.text());
+        } else if (formatInfo.format === 'bmp') {
+            bitmap = this.decodeBMP(new Uint8Array(await file.arrayBuffer()));
+        } else if (formatInfo.format === 'ico') {
+            bitmap = this.decodeICO(new Uint8Array(await file.arrayBuffer()));
+        } else {
+            bitmap = this.decodeNetpbm(new Uint8Array(await file.arrayBuffer()));
+        }
+        
+        if (!bitmap) {
+            return null;
+        }
+        
+        return {
+            name,
+            alpha: bitmap.pixels.map(row => row.map(() => 1)),
+            ...bitmap
+        };
+    }
+
+    /**
+     * Decode an uncompressed 1/4/8bpp BMP. Palette entries darker than
+     * mid-gray become black. Returns null for formats left to the browser.
+     */
+    static decodeBMP(bytes) {
+        if (bytes.length < 26 || bytes[0] !== 0x42 || bytes[1] !== 0x4D) { // 'BM'
+            throw new Error('Invalid BMP file: missing BM signature');
+        }
+        
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const pixelOffset = view.getUint32(10, true);
+        return this.decodeDIB(bytes, 14, pixelOffset, false);
+    }
+
+    /**
+     * Decode the largest palette-based image in an ICO/CUR file, using
+     * its AND mask for alpha. Returns null when only PNG or true-color
+     * entries are present.
+     */
+    static decodeICO(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < 6 || view.getUint16(0, true) !== 0 || ![1, 2].includes(view.getUint16(2, true))) {
+            throw new Error('Invalid ICO file: bad header');
+        }
+        
+        const count = view.getUint16(4, true);
+        let best = null;
+        
+        for (let i = 0; i < count; i++) {
+            const entry = 6 + i * 16;
+            if (entry + 16 > bytes.length) break;
+            
+            const offset = view.getUint32(entry + 12, true);
+            if (offset + 40 > bytes.length || bytes[offset] === 0x89) continue; // PNG-compressed entry
+            
+            const bitCount = view.getUint16(offset + 14, true);
+            if (bitCount > 8 || view.getUint32(offset + 16, true) !== 0) continue;
+            
+            const area = view.getInt32(offset + 4, true) * (view.getInt32(offset + 8, true) / 2);
+            if (!best || area > best.area || (area === best.area && bitCount < best.bitCount)) {
+                best = { offset, area, bitCount };
+            }
+        }
+        
+        if (!best) {
+            return null;
+        }
+        
+        return this.decodeDIB(bytes, best.offset, null, true);
+    }
+
+    /**
+     * Shared DIB decoder for BMP and ICO payloads.
+     * @param {Uint8Array} bytes - Whole file
+     * @param {number} headerOffset - Start of the DIB header
+     * @param {number|null} pixelOffset - Raster start, or null when it follows the palette (ICO)
+     * @param {boolean} hasMask - ICO images carry a 1bpp AND mask after the color raster
+     */
+    static decodeDIB(bytes, headerOffset, pixelOffset, hasMask) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const headerSize = view.getUint32(headerOffset, true);
+        
+        let width, height, bitCount, compression = 0, colorsUsed = 0, paletteEntrySize = 4;
+        if (headerSize === 12) {
+            // OS/2 BITMAPCOREHEADER
+            width = view.getUint16(headerOffset + 4, true);
+            height = view.getInt16(headerOffset + 6, true);
+            bitCount = view.getUint16(headerOffset + 10, true);
+            paletteEntrySize = 3;
+        } else if (headerSize >= 40) {
+            width = view.getInt32(headerOffset + 4, true);
+            height = view.getInt32(headerOffset + 8, true);
+            bitCount = view.getUint16(headerOffset + 14, true);
+            compression = view.getUint32(headerOffset + 16, true);
+            colorsUsed = view.getUint32(headerOffset + 32, true);
+        } else {
+            throw new Error(`Unsupported BMP header size: ${headerSize}`);
+        }
+        
+        if (![1, 4, 8].includes(bitCount) || compression !== 0) {
+            return null;
+        }
+        
+        if (hasMask) {
+            height = height / 2; // Icon height covers color raster plus AND mask
+        }
+        const topDown = height < 0;
+        height = Math.abs(height);
+        if (width <= 0 || height <= 0) {
+            throw new Error('Invalid BMP file: empty image');
+        }
+        
+        const paletteOffset = headerOffset + headerSize;
+        const paletteSize = colorsUsed || (1 << bitCount);
+        const palette = [];
+        for (let i = 0; i < paletteSize; i++) {
+            const entry = paletteOffset + i * paletteEntrySize;
+            if (entry + 3 > bytes.length) break;
+            const b = bytes[entry];
+            const g = bytes[entry + 1];
+            const r = bytes[entry + 2];
+            palette.push(r * 0.299 + g * 0.587 + b * 0.114 < 128 ? 1 : 0);
+        }
+        
+        const rasterOffset = pixelOffset !== null ? pixelOffset : paletteOffset + paletteSize * paletteEntrySize;
+        const rowSize = Math.ceil(width * bitCount / 32) * 4;
+        const maskOffset = rasterOffset + rowSize * height;
+        const maskRowSize = Math.ceil(width / 32) * 4;
+        if (maskOffset > bytes.length) {
+            throw new Error('Invalid BMP file: pixel data is truncated');
+        }
+        const readMask = hasMask && maskOffset + maskRowSize * height <= bytes.length;
+        
+        const pixelsPerByte = 8 / bitCount;
+        const valueMask = (1 << bitCount) - 1;
+        const pixels = [];
+        const alpha = [];
+        
+        for (let y = 0; y < height; y++) {
+            const sourceRow = topDown ? y : height - 1 - y;
+            const rowStart = rasterOffset + sourceRow * rowSize;
+            const maskStart = maskOffset + sourceRow * maskRowSize;
+            pixels[y] = new Array(width);
+            alpha[y] = new Array(width);
+            
+            for (let x = 0; x < width; x++) {
+                const byte = bytes[rowStart + Math.floor(x / pixelsPerByte)];
+                const shift = 8 - bitCount * (x % pixelsPerByte + 1);
+                const index = (byte >> shift) & valueMask;
+                pixels[y][x] = palette[index] || 0;
+                
+                // AND mask bit set means transparent
+                alpha[y][x] = readMask && (bytes[maskStart + (x >> 3)] & (0x80 >> (x & 7))) ? 0 : 1;
+            }
+        }
+        
+        return { width, height, pixels, alpha };
+    }
+
+    /**
+     * Decode X BitMap source (#define name_width/height + name_bits[])
+     */
+    static decodeXBM(text) {
+        const arrays = BitmapExporter.parseHeaderArrays(text);
+        const array = arrays.find(entry => /_bits$/.test(entry.name) && entry.width) || arrays.find(entry => entry.width);
+        if (!array) {
+            throw new Error('Invalid XBM file: missing _width/_height defines or bits array');
+        }
+        
+        const { width, height, bytes } = array;
+        if (bytes.length < Math.ceil(width / 8) * height) {
+            throw new Error(`Invalid XBM file: expected ${Math.ceil(width / 8) * height} bytes, found ${bytes.length}`);
+        }
+        
+        return {
+            width,
+            height,
+            pixels: BitmapExporter.bytesToPixels(bytes, width, height)
+        };
+    }
+
+    /**
+     * Decode Netpbm P1/P4 (bitmap) and P2/P5 (graymap) data.
+     * PBM 1 is black, matching BitsDraw; PGM samples below half of maxval become black.
+     */
+    static decodeNetpbm(bytes) {
+        let offset = 0;
+        
+        const isWhitespace = (byte) => byte === 0x20 || (byte >= 0x09 && byte <= 0x0D);
+        const skipSeparators = () => {
+            while (offset < bytes.length) {
+                if (isWhitespace(bytes[offset])) {
+                    offset++;
+                } else if (bytes[offset] === 0x23) { // '#' comment to end of line
+                    while (offset < bytes.length && bytes[offset] !== 0x0A && bytes[offset] !== 0x0D) offset++;
+                } else {
+                    break;
+                }
+            }
+        };
+        const readToken = () => {
+            skipSeparators();
+            const start = offset;
+            while (offset < bytes.length && !isWhitespace(bytes[offset]) && bytes[offset] !== 0x23) offset++;
+            return String.fromCharCode(...bytes.subarray(start, offset));
+        };
+        const readInteger = (label) => {
+            const token = readToken();
+            if (!/^\d+$/.test(token)) {
+                throw new Error(`Invalid Netpbm file: bad ${label} "${token}"`);
+            }
+            return parseInt(token, 10);
+        };
+        
+        const magic = readToken();
+        if (!['P1', 'P2', 'P4', 'P5'].includes(magic)) {
+            throw new Error(`Unsupported Netpbm type "${magic}" (expected P1, P2, P4 or P5)`);
+        }
+        
+        const width = readInteger('width');
+        const height = readInteger('height');
+        if (width < 1 || height < 1) {
+            throw new Error('Invalid Netpbm file: empty image');
+        }
+        const maxval = magic === 'P2' || magic === 'P5' ? readInteger('maxval') : 1;
+        if (maxval < 1 || maxval > 65535) {
+            throw new Error(`Invalid Netpbm file: maxval ${maxval} out of range`);
+        }
+        
+        const pixels = [];
+        for (let y = 0; y < height; y++) {
+            pixels[y] = new Array(width).fill(0);
+        }
+        
+        if (magic === 'P4') {
+            offset++; // Single whitespace before the raster
+            const bytesPerRow = Math.ceil(width / 8);
+            if (offset + bytesPerRow * height > bytes.length) {
+                throw new Error('Invalid PBM file: raster data is truncated');
+            }
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const byte = bytes[offset + y * bytesPerRow + (x >> 3)];
+                    pixels[y][x] = (byte & (0x80 >> (x & 7))) ? 1 : 0;
+                }
+            }
+        } else if (magic === 'P5') {
+            offset++;
+            const sampleBytes = maxval > 255 ? 2 : 1;
+            if (offset + width * height * sampleBytes > bytes.length) {
+                throw new Error('Invalid PGM file: raster data is truncated');
+            }
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const index = offset + (y * width + x) * sampleBytes;
+                    const sample = sampleBytes === 2 ? (bytes[index] << 8) | bytes[index + 1] : bytes[index];
+                    pixels[y][x] = sample * 2 < maxval ? 1 : 0;
+                }
+            }
+        } else {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    skipSeparators();
+                    if (offset >= bytes.length) {
+                        throw new Error('Invalid Netpbm file: raster data is truncated');
+                    }
+                    if (magic === 'P1') {
+                        // Plain PBM digits need not be separated
+                        const digit = bytes[offset++];
+                        if (digit !== 0x30 && digit !== 0x31) {
+                            throw new Error('Invalid PBM file: raster must contain only 0 and 1');
+                        }
+                        pixels[y][x] = digit === 0x31 ? 1 : 0;
+                    } else {
+                        const sample = readInteger('sample');
+                        pixels[y][x] = sample * 2 < maxval ? 1 : 0;
+                    }
+                }
+            }
+        }
+        
+        return { width, height, pixels };
+    }
+
     static async processImageAtSize(imageData, targetWidth, targetHeight, options = {}, progressCallback = null) {
         const {
             threshold = 128,
@@ -172,18 +172,24 @@ class MenuManager {
             case 'export-png':
                 this.app.exportPNG();
                 break;
+            case 'export-bmp':
+                this.app.exportToFormat('bmp');
+                break;
+            case 'export-playdate-pdi':
+                this.app.exportToFormat('pdi');
+                break;
+            case 'export-playdate-pdt':
+                this.app.exportPlaydateImageTable();
+                break;
+            case 'export-font':
+                this.app.dialogs.showFontExportDialog();
+                break;
             case 'export-static-gif':
                 this.app.exportGIF();
                 break;
             case 'export-gif':
-                console.log('GIF export is currently disabled');
-                return;
-                // this.app.exportAnimationGIF();
-                break;
             case 'export-animation-gif':
-                console.log('GIF export is currently disabled');
-                return;
-                // this.app.exportAnimationGIF();
+                this.app.exportAnimationGIF();
                 break;
             case 'export-animation-apng':
                 this.app.exportAnimationAPNG();
@@ -403,20 +409,22 @@ class MenuManager {
     }
 
     updateExportGifMenuState() {
-        const exportGifMenu = document.getElementById('export-gif-menu');
-        if (!exportGifMenu) return;
-        
-        // Enable GIF export only when there are multiple sheets
+        // Enable GIF and APNG animation export only when there are multiple sheets
         const hasMultipleSheets = this.app.sheets && this.app.sheets.length > 1;
         
-        if (hasMultipleSheets) {
-            exportGifMenu.classList.remove('disabled');
-            exportGifMenu.style.opacity = '1';
-            exportGifMenu.style.pointerEvents = 'auto';
-        } else {
-            exportGifMenu.classList.add('disabled');
-            exportGifMenu.style.opacity = '0.5';
-            exportGifMenu.style.pointerEvents = 'none';
-        }
+        ['export-gif-menu', 'export-apng-menu'].forEach(id => {
+            const menuItem = document.getElementById(id);
+            if (!menuItem) return;
+            
+            if (hasMultipleSheets) {
+                menuItem.classList.remove('disabled');
+                menuItem.style.opacity = '1';
+                menuItem.style.pointerEvents = 'auto';
+            } else {
+                menuItem.classList.add('disabled');
+                menuItem.style.opacity = '0.5';
+                menuItem.style.pointerEvents = 'none';
+            }
+        });
     }
 }
\ No newline at end of file
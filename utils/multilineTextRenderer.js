@@ -30,7 +30,7 @@ class MultilineTextRenderer {
      * @param {OptimizedBitmapEditor} bitmapEditor - Bitmap editor instance
      * @param {Object} options - Rendering options
      * @param {string} options.pattern - Pattern to use for rendering
-     * @param {string} options.fontType - Font type to use
+     * @param {string|Array<string>} options.fontType - Font type to use, or a fallback chain of font types
      * @param {number} options.size - Font size scale
      * @param {string} options.alignment - Text alignment (left, center, right)
      * @param {number} options.lineSpacing - Additional spacing between lines (in pixels)
@@ -49,7 +49,7 @@ class MultilineTextRenderer {
         };
 
         // Get font metrics
-        const font = TextRenderer.fonts[settings.fontType];
+        const font = TextRenderer.getFont(settings.fontType);
         if (!font) {
             console.warn('Font not found:', settings.fontType);
             return { width: 0, height: 0, lines: [] };
@@ -316,7 +316,7 @@ class MultilineTextRenderer {
             lineBreakMode: options.lineBreakMode || this.LINE_BREAK_MODE.MANUAL
         };
 
-        const font = TextRenderer.fonts[settings.fontType];
+        const font = TextRenderer.getFont(settings.fontType);
         if (!font) {
             return { width: 0, height: 0, lineCount: 0 };
         }
@@ -359,7 +359,7 @@ class MultilineTextRenderer {
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         ctx.imageSmoothingEnabled = false;
 
-        const font = TextRenderer.fonts[settings.fontType];
+        const font = TextRenderer.getFont(settings.fontType);
         if (!font) return;
 
         // Get dimensions and process lines
@@ -413,38 +413,27 @@ class MultilineTextRenderer {
                     break;
             }
 
-            // Render each character to the bitmap
-            let charX = lineX;
-            for (const char of line) {
-                let charBitmap = font.data[char];
-                
-                // If character not found, try uppercase version
-                if (!charBitmap && char.toLowerCase() !== char) {
-                    charBitmap = font.data[char.toUpperCase()];
-                }
-
-                if (charBitmap) {
-                    // Render character to bitmap
-                    for (let row = 0; row < charBitmap.length; row++) {
-                        for (let col = 0; col < charBitmap[row].length; col++) {
-                            if (charBitmap[row][col] === 1) {
-                                for (let sy = 0; sy < settings.size; sy++) {
-                                    for (let sx = 0; sx < settings.size; sx++) {
-                                        const pixelX = charX + (col * settings.size) + sx;
-                                        const pixelY = currentY + (row * settings.size) + sy;
-                                        
-                                        if (pixelX >= 0 && pixelX < bitmapWidth && 
-                                            pixelY >= 0 && pixelY < bitmapHeight) {
-                                            pixels[pixelY][pixelX] = 1;
-                                        }
+            // Render each character to the bitmap using the font's glyph metrics
+            TextRenderer.layoutTextForFont(line, settings.fontType, settings.size).glyphs.forEach(glyph => {
+                const charBitmap = glyph.bitmap;
+                for (let row = 0; row < charBitmap.length; row++) {
+                    for (let col = 0; col < charBitmap[row].length; col++) {
+                        if (charBitmap[row][col] === 1) {
+                            for (let sy = 0; sy < settings.size; sy++) {
+                                for (let sx = 0; sx < settings.size; sx++) {
+                                    const pixelX = lineX + glyph.x + (col * settings.size) + sx;
+                                    const pixelY = currentY + glyph.y + (row * settings.size) + sy;
+                                    
+                                    if (pixelX >= 0 && pixelX < bitmapWidth && 
+                                        pixelY >= 0 && pixelY < bitmapHeight) {
+                                        pixels[pixelY][pixelX] = 1;
                                     }
                                 }
                             }
                         }
                     }
                 }
-                charX += (font.width + font.spacing) * settings.size;
-            }
+            });
 
             currentY += lineHeight;
         }
@@ -503,7 +492,7 @@ class MultilineTextRenderer {
             lineSpacing: options.lineSpacing || 0
         };
 
-        const font = TextRenderer.fonts[settings.fontType];
+        const font = TextRenderer.getFont(settings.fontType);
         if (!font) {
             return { lineCount: 0, efficiency: 0, overflow: false };
         }
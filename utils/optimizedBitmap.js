@@ -444,11 +444,109 @@ class OptimizedBitmapEditor {
             return;
         }
         
-        // Optimized flood fill algorithm with memory efficiency and timeout protection
-        const stack = [{ x: startX, y: startY }];
+        const region = this.getFloodRegion(startX, startY);
+        if (!region) return;
+        const { mask, minX, minY, maxX, maxY } = region;
+        
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const index = this.getPixelIndex(x, y);
+                if (!mask[index]) continue;
+                
+                // Set alpha first
+                activeLayer.alpha[index] = newAlphaValue;
+                
+                // Apply pattern or solid color for draw channel
+                if (newAlphaValue === 1) {
+                    if (pattern) {
+                        let patternValue;
+                        if (typeof pattern === 'object' && pattern.getValue) {
+                            // Color pattern object
+                            patternValue = pattern.getValue(x, y);
+                            activeLayer.pixels[index] = patternValue.draw;
+                        } else if (typeof Patterns !== 'undefined') {
+                            // String pattern name - use drawValue as color guide
+                            const primary = drawValue !== null ? drawValue : 0; // Use as-is: 0=black, 1=white
+                            const secondary = drawValue !== null ? (1 - drawValue) : 1; // Invert: 0→1, 1→0
+                            patternValue = Patterns.applyPattern(pattern, x, y, primary, secondary);
+                            activeLayer.pixels[index] = patternValue.draw;
+                            activeLayer.alpha[index] = patternValue.alpha;
+                        }
+                    } else if (drawValue !== null) {
+                        // Use explicit drawValue (no pattern)
+                        activeLayer.pixels[index] = drawValue;
+                    } else {
+                        activeLayer.pixels[index] = newDrawValue;
+                    }
+                } else {
+                    // For transparent pixels, still set draw value
+                    activeLayer.pixels[index] = drawValue !== null ? drawValue : newDrawValue;
+                }
+            }
+        }
+        
+        // Mark composite cache as dirty (incremental compositing)
+        this.markCompositeDirtyIncremental();
+        // Update dirty rect to only affected area
+        this.addDirtyRect(minX, minY, maxX - minX + 1, maxY - minY + 1);
+        // Force immediate render
+        this.scheduleRender();
+    }
+
+    /**
+     * Find the pixels of the active layer that match the start pixel.
+     * This is the traversal behind bucket fill and the magic wand.
+     * @param {number} startX - Start pixel X
+     * @param {number} startY - Start pixel Y
+     * @param {Object} options - Matching options
+     * @param {boolean} options.contiguous - Only pixels connected to the start pixel (default true);
+     *   false matches every pixel on the layer
+     * @param {boolean} options.matchAlpha - Compare alpha as well as the draw value (default true)
+     * @param {number} options.connectivity - 4 or 8 neighbours (default 4)
+     * @returns {{mask: Uint8Array, count: number, minX: number, minY: number, maxX: number, maxY: number}|null}
+     *   Canvas-sized mask of matching pixels, or null when the start pixel is off the canvas
+     */
+    getFloodRegion(startX, startY, options = {}) {
+        const activeLayer = this.getActiveLayer();
+        if (!activeLayer) return null;
+        if (startX < 0 || startX >= this.width || startY < 0 || startY >= this.height) return null;
+        
+        const { contiguous = true, matchAlpha = true, connectivity = 4 } = options;
+        const startIndex = this.getPixelIndex(startX, startY);
+        const originalDrawValue = activeLayer.pixels[startIndex];
+        const originalAlphaValue = activeLayer.alpha[startIndex];
+        const matches = (index) => activeLayer.pixels[index] === originalDrawValue &&
+            (!matchAlpha || activeLayer.alpha[index] === originalAlphaValue);
+        
         const visited = new Uint8Array(this.width * this.height); // 87.5% memory reduction!
         let minX = startX, maxX = startX, minY = startY, maxY = startY;
-        let pixelsChanged = 0;
+        let count = 0;
+        
+        const mark = (x, y, index) => {
+            visited[index] = 1;
+            count++;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        };
+        
+        if (!contiguous) {
+            for (let y = 0; y < this.height; y++) {
+                for (let x = 0; x < this.width; x++) {
+                    const index = this.getPixelIndex(x, y);
+                    if (matches(index)) mark(x, y, index);
+                }
+            }
+            return { mask: visited, count, minX, minY, maxX, maxY };
+        }
+        
+        const neighbours = connectivity === 8
+            ? [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, 1], [1, -1], [-1, -1]]
+            : [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        
+        // Optimized flood fill algorithm with memory efficiency and timeout protection
+        const stack = [{ x: startX, y: startY }];
         
         // Performance monitoring and timeout protection
         const startTime = performance.now();
@@ -459,7 +557,7 @@ class OptimizedBitmapEditor {
         while (stack.length > 0) {
             // Timeout protection to prevent UI freezing
             if (performance.now() - startTime > TIMEOUT_MS) {
-                console.warn(`Flood fill timeout after ${TIMEOUT_MS}ms. Processed ${pixelsChanged} pixels.`);
+                console.warn(`Flood fill timeout after ${TIMEOUT_MS}ms. Processed ${count} pixels.`);
                 if (typeof this.showNotification === 'function') {
                     this.showNotification('Large fill operation timed out - partially completed', 'warning');
                 }
@@ -476,8 +574,8 @@ class OptimizedBitmapEditor {
             }
             
             // Progress notification for large operations
-            if (pixelsChanged > 0 && pixelsChanged % PROGRESS_INTERVAL === 0) {
-                console.log(`Flood fill progress: ${pixelsChanged} pixels processed, stack size: ${stack.length}`);
+            if (count > 0 && count % PROGRESS_INTERVAL === 0) {
+                console.log(`Flood fill progress: ${count} pixels processed, stack size: ${stack.length}`);
             }
             const { x, y } = stack.pop();
             
@@ -487,66 +585,15 @@ class OptimizedBitmapEditor {
             const index = this.getPixelIndex(x, y);
             
             // Skip if already visited or not matching original values
-            if (visited[index] !== 0 || 
-                activeLayer.pixels[index] !== originalDrawValue ||
-                activeLayer.alpha[index] !== originalAlphaValue) continue;
-            
-            // Mark as visited and fill pixel
-            visited[index] = 1;
-            pixelsChanged++;
-            
-            // Update bounding box
-            minX = Math.min(minX, x);
-            maxX = Math.max(maxX, x);
-            minY = Math.min(minY, y);
-            maxY = Math.max(maxY, y);
+            if (visited[index] !== 0 || !matches(index)) continue;
             
-            // Set alpha first
-            activeLayer.alpha[index] = newAlphaValue;
-            
-            // Apply pattern or solid color for draw channel
-            if (newAlphaValue === 1) {
-                if (pattern) {
-                    let patternValue;
-                    if (typeof pattern === 'object' && pattern.getValue) {
-                        // Color pattern object
-                        patternValue = pattern.getValue(x, y);
-                        activeLayer.pixels[index] = patternValue.draw;
-                    } else if (typeof Patterns !== 'undefined') {
-                        // String pattern name - use drawValue as color guide
-                        const primary = drawValue !== null ? drawValue : 0; // Use as-is: 0=black, 1=white
-                        const secondary = drawValue !== null ? (1 - drawValue) : 1; // Invert: 0→1, 1→0
-                        patternValue = Patterns.applyPattern(pattern, x, y, primary, secondary);
-                        activeLayer.pixels[index] = patternValue.draw;
-                        activeLayer.alpha[index] = patternValue.alpha;
-                    }
-                } else if (drawValue !== null) {
-                    // Use explicit drawValue (no pattern)
-                    activeLayer.pixels[index] = drawValue;
-                } else {
-                    activeLayer.pixels[index] = newDrawValue;
-                }
-            } else {
-                // For transparent pixels, still set draw value
-                activeLayer.pixels[index] = drawValue !== null ? drawValue : newDrawValue;
-            }
+            mark(x, y, index);
             
             // Add adjacent pixels to stack
-            stack.push({ x: x + 1, y: y });     // Right
-            stack.push({ x: x - 1, y: y });     // Left
-            stack.push({ x: x, y: y + 1 });     // Down
-            stack.push({ x: x, y: y - 1 });     // Up
+            neighbours.forEach(([dx, dy]) => stack.push({ x: x + dx, y: y + dy }));
         }
         
-        // Only update if pixels were actually changed
-        if (pixelsChanged > 0) {
-            // Mark composite cache as dirty (incremental compositing)
-            this.markCompositeDirtyIncremental();
-            // Update dirty rect to only affected area
-            this.addDirtyRect(minX, minY, maxX - minX + 1, maxY - minY + 1);
-            // Force immediate render
-            this.scheduleRender();
-        }
+        return { mask: visited, count, minX, minY, maxX, maxY };
     }
 
     // ===== OPTIMIZED SHAPE DRAWING =====
@@ -1798,7 +1845,11 @@ class OptimizedBitmapEditor {
         this.scheduleRender();
     }
 
-    getCanvasCoordinates(mouseX, mouseY) {
+    /**
+     * Convert client coordinates to canvas pixels
+     * @param {boolean} subpixel - Return fractional pixel positions instead of whole pixels
+     */
+    getCanvasCoordinates(mouseX, mouseY, subpixel = false) {
         const rect = this.canvas.getBoundingClientRect();
         
         // Get canvas transform to account for panning
@@ -1821,10 +1872,10 @@ class OptimizedBitmapEditor {
         }
         
         // Calculate coordinates considering pan offset
-        const x = Math.floor((mouseX - rect.left - panOffsetX) / this.zoom);
-        const y = Math.floor((mouseY - rect.top - panOffsetY) / this.zoom);
+        const x = (mouseX - rect.left - panOffsetX) / this.zoom;
+        const y = (mouseY - rect.top - panOffsetY) / this.zoom;
         
-        return { x, y };
+        return subpixel ? { x, y } : { x: Math.floor(x), y: Math.floor(y) };
     }
 
     getBitmapData() {
@@ -2129,6 +2180,404 @@ class OptimizedBitmapEditor {
         return points;
     }
 
+    // ===== POLYLINE AND CURVE DRAWING =====
+
+    /**
+     * Pixels along a chain of line segments, each pixel listed once.
+     * Segments share their vertex pixel, and L-shaped joints at shallow bends are trimmed
+     * so the line stays one pixel thick. Right-angle and sharper corners keep their vertex.
+     * @param {Array<{x: number, y: number}>} points - Vertices in canvas pixels
+     * @param {boolean} closed - Join the last vertex back to the first
+     * @returns {Array<{x: number, y: number}>} Path pixels in drawing order
+     */
+    getPolylinePath(points, closed = false) {
+        if (!points || points.length === 0) return [];
+
+        const closing = closed && points.length > 2;
+        const vertices = closing ? [...points, points[0]] : points;
+        const path = [{ x: vertices[0].x, y: vertices[0].y }];
+        const bends = new Set(); // Path indices of vertices where the direction turns by less than 90°
+
+        for (let i = 1; i < vertices.length; i++) {
+            const a = vertices[i - 1];
+            const b = vertices[i];
+            // Skip the first pixel, it is the previous segment's last
+            path.push(...this.getLinePoints(a.x, a.y, b.x, b.y).slice(1));
+
+            const next = vertices[i + 1] || (closing ? vertices[1] : null);
+            if (next && (b.x - a.x) * (next.x - b.x) + (b.y - a.y) * (next.y - b.y) > 0) {
+                bends.add(i === vertices.length - 1 ? 0 : path.length - 1);
+            }
+        }
+        if (closing && path.length > 1) {
+            path.pop(); // The closing segment ends on the first pixel
+        }
+
+        const count = path.length;
+        const trimmed = path.filter((point, index) => {
+            if (!bends.has(index)) return true;
+            const before = path[index - 1] || (closing ? path[count - 1] : null);
+            const after = path[index + 1] || (closing ? path[0] : null);
+            return !(before && after && this.isPixelPathCorner(before, after));
+        });
+
+        return this.uniquePixels(trimmed);
+    }
+
+    /**
+     * Pixels along a cubic Bézier curve, one pixel thick with no L-shaped corners
+     * @param {Array<{x: number, y: number}>} controlPoints - Start, two control points and end
+     * @returns {Array<{x: number, y: number}>} Path pixels in drawing order
+     */
+    getBezierPath(controlPoints) {
+        const [p0, p1, p2, p3] = controlPoints;
+
+        // The control polygon is never shorter than the curve
+        const length = Math.hypot(p1.x - p0.x, p1.y - p0.y) +
+            Math.hypot(p2.x - p1.x, p2.y - p1.y) +
+            Math.hypot(p3.x - p2.x, p3.y - p2.y);
+        const steps = Math.max(1, Math.ceil(length * 2));
+
+        const path = [{ x: Math.round(p0.x), y: Math.round(p0.y) }];
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const mt = 1 - t;
+            const x = Math.round(mt * mt * mt * p0.x + 3 * mt * mt * t * p1.x + 3 * mt * t * t * p2.x + t * t * t * p3.x);
+            const y = Math.round(mt * mt * mt * p0.y + 3 * mt * mt * t * p1.y + 3 * mt * t * t * p2.y + t * t * t * p3.y);
+            const last = path[path.length - 1];
+            if (x === last.x && y === last.y) continue;
+
+            // Fill any gap left by a fast part of the curve
+            path.push(...this.getLinePoints(last.x, last.y, x, y).slice(1));
+        }
+
+        // Pixel-perfect pass: drop the middle pixel of every L-shaped step
+        const cleaned = [];
+        for (const point of path) {
+            if (cleaned.length >= 2 &&
+                   this.isPixelPathCorner(cleaned[cleaned.length - 2], point) &&
+                   this.isPixelPathNeighbour(cleaned[cleaned.length - 1], point)) {
+                cleaned.pop();
+            }
+            cleaned.push(point);
+        }
+
+        return this.uniquePixels(cleaned);
+    }
+
+    /**
+     * Whether two pixels on either side of a path pixel touch diagonally,
+     * making the pixel between them an L-shaped corner
+     */
+    isPixelPathCorner(before, after) {
+        return Math.abs(before.x - after.x) === 1 && Math.abs(before.y - after.y) === 1;
+    }
+
+    isPixelPathNeighbour(a, b) {
+        return Math.abs(a.x - b.x) <= 1 && Math.abs(a.y - b.y) <= 1;
+    }
+
+    /**
+     * Remove repeated pixels (a path crossing itself) keeping the first occurrence
+     */
+    uniquePixels(pixels) {
+        const seen = new Set();
+        return pixels.filter(({ x, y }) => {
+            const key = `${x},${y}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Pixels for a polyline or polygon with the values they will be drawn with
+     * @param {Array<{x: number, y: number}>} points - Vertices
+     * @param {Object} options
+     * @param {boolean} options.closed - Draw a closed polygon
+     * @param {boolean} options.border - Draw the outline
+     * @param {boolean} options.filled - Fill the interior (closed polygons only)
+     * @returns {Array<{x: number, y: number, value: number, alpha: number}>}
+     */
+    getPolygonShapePixels(points, options = {}, pattern = null, drawValue = null) {
+        const { closed = false, border = true, filled = false } = options;
+        const pixels = [];
+
+        // An open polyline with the border turned off would draw nothing, so it always gets one
+        if (border || !closed) {
+            pixels.push(...this.getPolylinePath(points, closed));
+        }
+
+        if (closed && filled) {
+            const area = this.createPolygonSelection(points);
+            if (area) {
+                const width = area.x2 - area.x1 + 1;
+                area.mask.forEach((selected, index) => {
+                    if (selected) {
+                        pixels.push({ x: area.x1 + index % width, y: area.y1 + Math.floor(index / width) });
+                    }
+                });
+            }
+        }
+
+        return this.uniquePixels(pixels).map(({ x, y }) => ({ x, y, ...this.getPixelData(x, y, pattern, drawValue) }));
+    }
+
+    /**
+     * Pixels for a cubic Bézier curve with the values they will be drawn with
+     */
+    getBezierShapePixels(controlPoints, pattern = null, drawValue = null) {
+        return this.getBezierPath(controlPoints).map(({ x, y }) => ({ x, y, ...this.getPixelData(x, y, pattern, drawValue) }));
+    }
+
+    /**
+     * Draw pixels produced by getPolygonShapePixels() or getBezierShapePixels()
+     */
+    drawShapePixels(pixels) {
+        const operation = (layer) => {
+            pixels.forEach(({x, y, value, alpha}) => {
+                if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+                    const index = this.getPixelIndex(x, y);
+                    layer.pixels[index] = value;
+                    layer.alpha[index] = alpha;
+                }
+            });
+        };
+
+        this.batchPixelOperation(operation);
+
+        // Filled polygons can have too many pixels to spread into Math.min()
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        pixels.forEach(({x, y}) => {
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        });
+        if (pixels.length > 0) {
+            this.addDirtyRect(minX, minY, maxX - minX + 1, maxY - minY + 1);
+        }
+
+        return pixels; // Return for undo system
+    }
+
+    // ===== U8G2 SHAPE DRAWING =====
+    // Ports of u8g2's own rasterizers so shapes drawn here match what the device draws
+
+    /**
+     * Quadrant flags of u8g2_DrawCircle()/u8g2_DrawDisc()
+     */
+    static U8G2_DRAW = {
+        UPPER_RIGHT: 0x01,
+        UPPER_LEFT: 0x02,
+        LOWER_LEFT: 0x04,
+        LOWER_RIGHT: 0x08,
+        ALL: 0x0F
+    };
+
+    /**
+     * Pixels of u8g2_DrawCircle() (or u8g2_DrawDisc() when filled) limited to the given quadrants
+     */
+    getU8g2CirclePath(x0, y0, rad, option = OptimizedBitmapEditor.U8G2_DRAW.ALL, filled = false) {
+        const DRAW = OptimizedBitmapEditor.U8G2_DRAW;
+        const pixels = [];
+        const vline = (x, y, length) => {
+            for (let i = 0; i < length; i++) pixels.push({ x, y: y + i });
+        };
+        const section = (x, y) => {
+            if (filled) {
+                if (option & DRAW.UPPER_RIGHT) { vline(x0 + x, y0 - y, y + 1); vline(x0 + y, y0 - x, x + 1); }
+                if (option & DRAW.UPPER_LEFT) { vline(x0 - x, y0 - y, y + 1); vline(x0 - y, y0 - x, x + 1); }
+                if (option & DRAW.LOWER_RIGHT) { vline(x0 + x, y0, y + 1); vline(x0 + y, y0, x + 1); }
+                if (option & DRAW.LOWER_LEFT) { vline(x0 - x, y0, y + 1); vline(x0 - y, y0, x + 1); }
+            } else {
+                if (option & DRAW.UPPER_RIGHT) pixels.push({ x: x0 + x, y: y0 - y }, { x: x0 + y, y: y0 - x });
+                if (option & DRAW.UPPER_LEFT) pixels.push({ x: x0 - x, y: y0 - y }, { x: x0 - y, y: y0 - x });
+                if (option & DRAW.LOWER_RIGHT) pixels.push({ x: x0 + x, y: y0 + y }, { x: x0 + y, y: y0 + x });
+                if (option & DRAW.LOWER_LEFT) pixels.push({ x: x0 - x, y: y0 + y }, { x: x0 - y, y: y0 + x });
+            }
+        };
+
+        let f = 1 - rad;
+        let ddFx = 1;
+        let ddFy = -2 * rad;
+        let x = 0;
+        let y = rad;
+
+        section(x, y);
+        while (x < y) {
+            if (f >= 0) {
+                y--;
+                ddFy += 2;
+                f += ddFy;
+            }
+            x++;
+            ddFx += 2;
+            f += ddFx;
+            section(x, y);
+        }
+
+        return this.uniquePixels(pixels);
+    }
+
+    /**
+     * Largest corner radius u8g2 supports for a box, which requires w and h >= 2 * (r + 1)
+     */
+    getMaxCornerRadius(width, height) {
+        return Math.max(0, Math.floor(Math.min(width, height) / 2) - 1);
+    }
+
+    /**
+     * Pixels of u8g2_DrawRFrame(), or u8g2_DrawRBox() when filled
+     */
+    getRoundedBoxPath(x, y, w, h, r, filled = false) {
+        const DRAW = OptimizedBitmapEditor.U8G2_DRAW;
+        const pixels = [];
+        if (w <= 0 || h <= 0) return pixels;
+
+        const box = (bx, by, bw, bh) => {
+            for (let py = by; py < by + bh; py++) {
+                for (let px = bx; px < bx + bw; px++) pixels.push({ x: px, y: py });
+            }
+        };
+        let xl = x + r;
+        let yu = y + r;
+        const xr = x + w - r - 1;
+        const yl = y + h - r - 1;
+
+        pixels.push(...this.getU8g2CirclePath(xl, yu, r, DRAW.UPPER_LEFT, filled));
+        pixels.push(...this.getU8g2CirclePath(xr, yu, r, DRAW.UPPER_RIGHT, filled));
+        pixels.push(...this.getU8g2CirclePath(xl, yl, r, DRAW.LOWER_LEFT, filled));
+        pixels.push(...this.getU8g2CirclePath(xr, yl, r, DRAW.LOWER_RIGHT, filled));
+
+        let ww = w - 2 * r;
+        let hh = h - 2 * r;
+        xl++;
+        yu++;
+        if (filled) {
+            if (ww >= 3) {
+                ww -= 2;
+                box(xl, y, ww, r + 1);
+                box(xl, yl, ww, r + 1);
+            }
+            if (hh >= 3) {
+                hh -= 2;
+                box(x, yu, w, hh);
+            }
+        } else {
+            if (ww >= 3) {
+                ww -= 2;
+                box(xl, y, ww, 1);
+                box(xl, y + h - 1, ww, 1);
+            }
+            if (hh >= 3) {
+                hh -= 2;
+                box(x, yu, 1, hh);
+                box(x + w - 1, yu, 1, hh);
+            }
+        }
+
+        return this.uniquePixels(pixels);
+    }
+
+    /**
+     * Convert degrees (counter-clockwise from 3 o'clock) to u8g2's 0-255 arc angle
+     */
+    degreesToU8g2Angle(degrees) {
+        return ((Math.round(degrees * 256 / 360) % 256) + 256) % 256;
+    }
+
+    /**
+     * Pixels of u8g2_DrawArc(): an Andres circle of radius rad from start to end angle,
+     * counter-clockwise in u8g2 angle units (0-255 for a full turn, equal angles draw a full circle)
+     */
+    getArcPath(x0, y0, rad, start, end) {
+        const pixels = [];
+        // u8g2 divides by the radius, so it cannot draw radius 0
+        if (rad < 1) return pixels;
+
+        const full = start === end;
+        const inverted = start > end;
+        const aStart = inverted ? end : start;
+        const aEnd = inverted ? start : end;
+        const inArc = (condition) => full || (condition !== inverted);
+
+        let x = 0;
+        let y = rad;
+        let d = rad - 1;
+
+        while (y >= x) {
+            // u8g2's integer approximation of arctan(x / y), 0-32 over the octant
+            let ratio = Math.floor(x * 255 / y);
+            ratio = Math.floor(ratio * (770195 - (ratio - 255) * (ratio + 941)) / 6137491);
+
+            if (inArc(ratio >= aStart && ratio < aEnd)) pixels.push({ x: x0 + y, y: y0 - x });
+            if (inArc(ratio + aEnd > 63 && ratio + aStart <= 63)) pixels.push({ x: x0 + x, y: y0 - y });
+            if (inArc(ratio + 64 >= aStart && ratio + 64 < aEnd)) pixels.push({ x: x0 - x, y: y0 - y });
+            if (inArc(ratio + aEnd > 127 && ratio + aStart <= 127)) pixels.push({ x: x0 - y, y: y0 - x });
+            if (inArc(ratio + 128 >= aStart && ratio + 128 < aEnd)) pixels.push({ x: x0 - y, y: y0 + x });
+            if (inArc(ratio + aEnd > 191 && ratio + aStart <= 191)) pixels.push({ x: x0 - x, y: y0 + y });
+            if (inArc(ratio + 192 >= aStart && ratio + 192 < aEnd)) pixels.push({ x: x0 + x, y: y0 + y });
+            if (inArc(ratio + aEnd > 255 && ratio + aStart <= 255)) pixels.push({ x: x0 + y, y: y0 + x });
+
+            // Step to the next pixel of the Andres circle
+            if (d >= 2 * x) {
+                d = d - 2 * x - 1;
+                x++;
+            } else if (d < 2 * (rad - y)) {
+                d = d + 2 * y - 1;
+                y--;
+            } else {
+                d = d + 2 * (y - x - 1);
+                y--;
+                x++;
+            }
+        }
+
+        return this.uniquePixels(pixels);
+    }
+
+    /**
+     * Pixels for a rounded rectangle between two corners with the values they will be drawn with.
+     * The radius is clamped to what u8g2 allows for the box size.
+     * @param {Object} options - {border, filled}; fill matches drawRBox(), border alone drawRFrame()
+     */
+    getRoundedRectShapePixels(x1, y1, x2, y2, radius, options = {}, pattern = null, drawValue = null) {
+        const { border = true, filled = false } = options;
+        if (!border && !filled) return [];
+
+        const x = Math.min(x1, x2);
+        const y = Math.min(y1, y2);
+        const w = Math.abs(x2 - x1) + 1;
+        const h = Math.abs(y2 - y1) + 1;
+        const r = Math.min(radius, this.getMaxCornerRadius(w, h));
+
+        return this.getRoundedBoxPath(x, y, w, h, r, filled)
+            .map(({ x, y }) => ({ x, y, ...this.getPixelData(x, y, pattern, drawValue) }));
+    }
+
+    /**
+     * Pixels for an arc with the values they will be drawn with. Angles are u8g2 units.
+     * Filling to the center gives the pie that calling drawArc() for every radius from 1 to rad
+     * plus drawPixel() at the center produces, since concentric Andres circles leave no gaps.
+     * @param {Object} options - {border, filled}
+     */
+    getArcShapePixels(centerX, centerY, radius, start, end, options = {}, pattern = null, drawValue = null) {
+        const { border = true, filled = false } = options;
+        const pixels = [];
+
+        if (filled) {
+            pixels.push({ x: centerX, y: centerY });
+            for (let r = 1; r <= radius; r++) {
+                pixels.push(...this.getArcPath(centerX, centerY, r, start, end));
+            }
+        } else if (border) {
+            pixels.push(...this.getArcPath(centerX, centerY, radius, start, end));
+        }
+
+        return pixels.map(({ x, y }) => ({ x, y, ...this.getPixelData(x, y, pattern, drawValue) }));
+    }
+
     // Selection management methods
     createSelection(x1, y1, x2, y2, type = 'rect') {
         const selection = {
@@ -2167,6 +2616,242 @@ class OptimizedBitmapEditor {
         return selection;
     }
 
+    /**
+     * Create a per-pixel selection from a closed polygon (lasso or polygon select).
+     * Pixels whose centers fall inside the polygon are selected, plus the
+     * pixels under its edges so thin strokes still select something.
+     * @param {Array<{x: number, y: number}>} points - Polygon vertices in canvas pixels
+     * @returns {Object|null} Mask selection, or null when nothing on the canvas is enclosed
+     */
+    createPolygonSelection(points) {
+        if (!points || points.length < 3) return null;
+        
+        const x1 = Math.max(0, Math.min(...points.map(p => p.x)));
+        const y1 = Math.max(0, Math.min(...points.map(p => p.y)));
+        const x2 = Math.min(this.width - 1, Math.max(...points.map(p => p.x)));
+        const y2 = Math.min(this.height - 1, Math.max(...points.map(p => p.y)));
+        if (x1 > x2 || y1 > y2) return null;
+        
+        const width = x2 - x1 + 1;
+        const mask = new Uint8Array(width * (y2 - y1 + 1));
+        const setMask = (x, y) => {
+            if (x >= x1 && x <= x2 && y >= y1 && y <= y2) {
+                mask[(y - y1) * width + (x - x1)] = 1;
+            }
+        };
+        
+        // Even-odd scanline fill sampled at pixel centers
+        for (let y = y1; y <= y2; y++) {
+            const crossings = [];
+            for (let i = 0; i < points.length; i++) {
+                const a = points[i];
+                const b = points[(i + 1) % points.length];
+                if ((a.y <= y) !== (b.y <= y)) {
+                    crossings.push(a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+            
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                for (let x = Math.ceil(crossings[i]); x <= Math.floor(crossings[i + 1]); x++) {
+                    setMask(x, y);
+                }
+            }
+        }
+        
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            this.getLinePoints(a.x, a.y, b.x, b.y).forEach(p => setMask(p.x, p.y));
+        }
+        
+        return this.createMaskSelection(mask, x1, y1, width);
+    }
+
+    /**
+     * Wrap a mask in a selection, trimming its bounds to the selected pixels
+     * @param {Uint8Array} mask - 1 for selected pixels, row-major within the bounds
+     * @param {number} originX - Canvas x of the mask's first column
+     * @param {number} originY - Canvas y of the mask's first row
+     * @param {number} maskWidth - Mask row length
+     * @returns {Object|null} Selection of type 'mask', or null when the mask is empty
+     */
+    createMaskSelection(mask, originX, originY, maskWidth) {
+        const maskHeight = mask.length / maskWidth;
+        let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+        
+        for (let y = 0; y < maskHeight; y++) {
+            for (let x = 0; x < maskWidth; x++) {
+                if (mask[y * maskWidth + x]) {
+                    minX = Math.min(minX, x);
+                    maxX = Math.max(maxX, x);
+                    minY = Math.min(minY, y);
+                    maxY = Math.max(maxY, y);
+                }
+            }
+        }
+        if (maxX < 0) return null;
+        
+        const width = maxX - minX + 1;
+        const height = maxY - minY + 1;
+        const trimmed = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const start = (y + minY) * maskWidth + minX;
+            trimmed.set(mask.subarray(start, start + width), y * width);
+        }
+        
+        return {
+            x1: originX + minX,
+            y1: originY + minY,
+            x2: originX + maxX,
+            y2: originY + maxY,
+            type: 'mask',
+            mask: trimmed,
+            active: true
+        };
+    }
+
+    /**
+     * Create a magic wand selection from the pixels matching the one at (x, y)
+     * @param {Object} options - Same options as getFloodRegion()
+     * @returns {Object|null} Mask selection
+     */
+    createWandSelection(x, y, options = {}) {
+        const region = this.getFloodRegion(x, y, options);
+        if (!region) return null;
+        
+        return this.createMaskSelection(region.mask, 0, 0, this.width);
+    }
+
+    /**
+     * Canvas-sized mask (1 = selected) for any selection type
+     */
+    getSelectionMask(selection) {
+        const mask = new Uint8Array(this.width * this.height);
+        if (!selection || !selection.active) return mask;
+        
+        const x1 = Math.max(0, Math.floor(selection.x1));
+        const y1 = Math.max(0, Math.floor(selection.y1));
+        const x2 = Math.min(this.width - 1, Math.ceil(selection.x2));
+        const y2 = Math.min(this.height - 1, Math.ceil(selection.y2));
+        for (let y = y1; y <= y2; y++) {
+            for (let x = x1; x <= x2; x++) {
+                if (this.isInSelection(x, y, selection)) {
+                    mask[this.getPixelIndex(x, y)] = 1;
+                }
+            }
+        }
+        return mask;
+    }
+
+    /**
+     * Combine a new selection with the current one.
+     * Used by every selection tool so they share the same modes.
+     * @param {Object|null} current - Existing selection
+     * @param {Object|null} next - Newly drawn selection
+     * @param {string} mode - 'replace', 'add', 'subtract' or 'intersect'
+     * @returns {Object|null} Resulting selection, or null when it is empty
+     */
+    combineSelections(current, next, mode = 'replace') {
+        if (mode === 'replace' || !current || !current.active) {
+            return mode === 'replace' || mode === 'add' ? next : null;
+        }
+        if (!next) {
+            return mode === 'intersect' ? null : current;
+        }
+        
+        const base = this.getSelectionMask(current);
+        const other = this.getSelectionMask(next);
+        for (let i = 0; i < base.length; i++) {
+            if (mode === 'add') {
+                base[i] = base[i] | other[i];
+            } else if (mode === 'subtract') {
+                base[i] = base[i] & (1 - other[i]);
+            } else if (mode === 'intersect') {
+                base[i] = base[i] & other[i];
+            }
+        }
+        
+        return this.createMaskSelection(base, 0, 0, this.width);
+    }
+
+    /**
+     * Lift the selected pixels of the active layer into a floating buffer and clear them.
+     * The caller is responsible for saving state once the buffer is stamped back.
+     * @returns {{x: number, y: number, width: number, height: number, codes: Uint8Array}|null}
+     *   Buffer over the selection bounds using PixelTransform.CODE values
+     */
+    liftSelection(selection) {
+        const activeLayer = this.getActiveLayer();
+        if (!activeLayer || !selection || !selection.active) return null;
+
+        const x1 = Math.max(0, Math.floor(selection.x1));
+        const y1 = Math.max(0, Math.floor(selection.y1));
+        const x2 = Math.min(this.width - 1, Math.ceil(selection.x2));
+        const y2 = Math.min(this.height - 1, Math.ceil(selection.y2));
+        if (x2 < x1 || y2 < y1) return null;
+
+        const width = x2 - x1 + 1;
+        const height = y2 - y1 + 1;
+        const codes = new Uint8Array(width * height);
+
+        for (let y = y1; y <= y2; y++) {
+            for (let x = x1; x <= x2; x++) {
+                if (!this.isInSelection(x, y, selection)) continue;
+
+                const index = this.getPixelIndex(x, y);
+                let code = PixelTransform.CODE.CLEAR;
+                if (activeLayer.alpha[index]) {
+                    code = activeLayer.pixels[index] === 0 ? PixelTransform.CODE.BLACK : PixelTransform.CODE.WHITE;
+                }
+                codes[(y - y1) * width + (x - x1)] = code;
+
+                activeLayer.pixels[index] = 0;
+                activeLayer.alpha[index] = 0;
+            }
+        }
+
+        this.markCompositeDirtyIncremental();
+        this.addDirtyRect(x1, y1, width, height);
+        this.scheduleRender();
+
+        return { x: x1, y: y1, width, height, codes };
+    }
+
+    /**
+     * Draw the opaque pixels of a floating buffer onto the active layer
+     * @returns {Object|null} Mask selection covering the buffer's selected pixels
+     */
+    stampSelectionBuffer(buffer) {
+        const activeLayer = this.getActiveLayer();
+        if (!activeLayer || !buffer) return null;
+
+        const mask = new Uint8Array(buffer.width * buffer.height);
+
+        for (let y = 0; y < buffer.height; y++) {
+            for (let x = 0; x < buffer.width; x++) {
+                const code = buffer.codes[y * buffer.width + x];
+                const canvasX = buffer.x + x;
+                const canvasY = buffer.y + y;
+                if (code === PixelTransform.CODE.EMPTY ||
+                    canvasX < 0 || canvasX >= this.width || canvasY < 0 || canvasY >= this.height) continue;
+
+                mask[y * buffer.width + x] = 1;
+                if (code === PixelTransform.CODE.CLEAR) continue;
+
+                const index = this.getPixelIndex(canvasX, canvasY);
+                activeLayer.pixels[index] = code === PixelTransform.CODE.BLACK ? 0 : 1;
+                activeLayer.alpha[index] = 1;
+            }
+        }
+
+        this.markCompositeDirtyIncremental();
+        this.addDirtyRect(buffer.x, buffer.y, buffer.width, buffer.height);
+        this.scheduleRender();
+
+        return this.createMaskSelection(mask, buffer.x, buffer.y, buffer.width);
+    }
+
     isInSelection(x, y, selection) {
         if (!selection || !selection.active) return false;
         
@@ -2177,11 +2862,60 @@ class OptimizedBitmapEditor {
             const dx = x - selection.centerX;
             const dy = y - selection.centerY;
             return (dx * dx + dy * dy) <= (selection.radius * selection.radius);
+        } else if (selection.type === 'mask') {
+            // Mask is stored relative to the bounds, so moving the bounds moves the mask
+            if (x < selection.x1 || x > selection.x2 || y < selection.y1 || y > selection.y2) return false;
+            const width = selection.x2 - selection.x1 + 1;
+            return selection.mask[(y - selection.y1) * width + (x - selection.x1)] === 1;
         }
         
         return false;
     }
 
+    /**
+     * Outline of a mask selection as merged horizontal and vertical edge runs,
+     * relative to the mask origin. Cached per mask since the overlay redraws every frame.
+     */
+    getMaskOutline(selection) {
+        if (this.maskOutlineCache && this.maskOutlineCache.mask === selection.mask) {
+            return this.maskOutlineCache.segments;
+        }
+        
+        const width = selection.x2 - selection.x1 + 1;
+        const height = selection.y2 - selection.y1 + 1;
+        const at = (x, y) => x >= 0 && x < width && y >= 0 && y < height && selection.mask[y * width + x] === 1;
+        const segments = [];
+        
+        // Horizontal edges lie between rows y-1 and y
+        for (let y = 0; y <= height; y++) {
+            let start = -1;
+            for (let x = 0; x <= width; x++) {
+                const edge = x < width && at(x, y - 1) !== at(x, y);
+                if (edge && start < 0) start = x;
+                if (!edge && start >= 0) {
+                    segments.push([start, y, x, y]);
+                    start = -1;
+                }
+            }
+        }
+        
+        // Vertical edges lie between columns x-1 and x
+        for (let x = 0; x <= width; x++) {
+            let start = -1;
+            for (let y = 0; y <= height; y++) {
+                const edge = y < height && at(x - 1, y) !== at(x, y);
+                if (edge && start < 0) start = y;
+                if (!edge && start >= 0) {
+                    segments.push([x, start, x, y]);
+                    start = -1;
+                }
+            }
+        }
+        
+        this.maskOutlineCache = { mask: selection.mask, segments };
+        return segments;
+    }
+
     drawSelectionOverlay(ctx, selection, zoom) {
         if (!selection || !selection.active) return;
         
@@ -2207,6 +2941,15 @@ class OptimizedBitmapEditor {
             ctx.beginPath();
             ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
             ctx.stroke();
+        } else if (selection.type === 'mask') {
+            const originX = selection.x1 * zoom;
+            const originY = selection.y1 * zoom;
+            ctx.beginPath();
+            this.getMaskOutline(selection).forEach(([ax, ay, bx, by]) => {
+                ctx.moveTo(originX + ax * zoom, originY + ay * zoom);
+                ctx.lineTo(originX + bx * zoom, originY + by * zoom);
+            });
+            ctx.stroke();
         }
         
         ctx.restore();
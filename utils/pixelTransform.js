@@ -0,0 +1,264 @@
+/**
+ * Pixel Transform Utility
+ * Free transform (scale, rotate, skew) of floating selection buffers with
+ * resampling that keeps 1-bit pixel art clean
+ */
+
+class PixelTransform {
+    // Values stored in a selection buffer's codes array
+    static CODE = {
+        EMPTY: 0,       // Outside the selection
+        CLEAR: 1,       // Selected but transparent
+        BLACK: 2,       // Opaque, draw value 0
+        WHITE: 3        // Opaque, draw value 1
+    };
+
+    static METHODS = {
+        rotsprite: 'RotSprite',
+        nearest: 'Nearest Neighbor'
+    };
+
+    // RotSprite samples a 8x Scale2x upscale of the source
+    static ROTSPRITE_FACTOR = 8;
+
+    /**
+     * Transform with no effect
+     */
+    static createIdentity() {
+        return { scaleX: 1, scaleY: 1, angle: 0, skewX: 0, skewY: 0, offsetX: 0, offsetY: 0 };
+    }
+
+    static getCenter(buffer) {
+        return { x: buffer.x + buffer.width / 2, y: buffer.y + buffer.height / 2 };
+    }
+
+    /**
+     * Linear part of the transform: rotate · skew · scale, applied around the buffer center.
+     * Angles are in degrees, skewX shears x by y and skewY shears y by x.
+     * @returns {{a: number, b: number, c: number, d: number}} Matrix [[a, b], [c, d]]
+     */
+    static getMatrix(transform) {
+        const angle = transform.angle * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const kx = Math.tan(transform.skewX * Math.PI / 180);
+        const ky = Math.tan(transform.skewY * Math.PI / 180);
+
+        // skew · scale
+        const p = transform.scaleX;
+        const q = kx * transform.scaleY;
+        const r = ky * transform.scaleX;
+        const s = transform.scaleY;
+
+        return {
+            a: cos * p - sin * r,
+            b: cos * q - sin * s,
+            c: sin * p + cos * r,
+            d: sin * q + cos * s
+        };
+    }
+
+    /**
+     * @returns {Object|null} Inverse matrix, or null when the transform collapses the buffer
+     */
+    static invertMatrix(m) {
+        const det = m.a * m.d - m.b * m.c;
+        if (Math.abs(det) < 1e-9) return null;
+
+        return { a: m.d / det, b: -m.b / det, c: -m.c / det, d: m.a / det };
+    }
+
+    /**
+     * Map a canvas point of the untransformed buffer to its transformed position
+     */
+    static transformPoint(buffer, transform, x, y) {
+        const m = this.getMatrix(transform);
+        const center = this.getCenter(buffer);
+        const dx = x - center.x;
+        const dy = y - center.y;
+
+        return {
+            x: center.x + transform.offsetX + m.a * dx + m.b * dy,
+            y: center.y + transform.offsetY + m.c * dx + m.d * dy
+        };
+    }
+
+    /**
+     * Transformed corners of the buffer, clockwise from top-left
+     */
+    static getCorners(buffer, transform) {
+        const { x, y, width, height } = buffer;
+        return [
+            this.transformPoint(buffer, transform, x, y),
+            this.transformPoint(buffer, transform, x + width, y),
+            this.transformPoint(buffer, transform, x + width, y + height),
+            this.transformPoint(buffer, transform, x, y + height)
+        ];
+    }
+
+    /**
+     * Corner and edge handles of the transform box.
+     * hx/hy give the handle's side: -1 = left/top, 0 = middle, 1 = right/bottom.
+     */
+    static getHandles(buffer, transform) {
+        const handles = [];
+        const center = this.getCenter(buffer);
+
+        for (let hy = -1; hy <= 1; hy++) {
+            for (let hx = -1; hx <= 1; hx++) {
+                if (hx === 0 && hy === 0) continue;
+                const point = this.transformPoint(buffer, transform,
+                    center.x + hx * buffer.width / 2, center.y + hy * buffer.height / 2);
+                handles.push({ hx, hy, x: point.x, y: point.y });
+            }
+        }
+        return handles;
+    }
+
+    /**
+     * Shift an axis-aligned transform so the box edges land on whole pixels.
+     * Scaling or quarter-turning an odd-sized buffer around its center leaves them on half pixels.
+     */
+    static snapToPixelGrid(buffer, transform) {
+        if (!this.isAxisAligned(transform)) return transform;
+
+        const corners = this.getCorners(buffer, transform);
+        const minX = Math.min(...corners.map(p => p.x));
+        const minY = Math.min(...corners.map(p => p.y));
+        return {
+            ...transform,
+            offsetX: transform.offsetX + Math.round(minX) - minX,
+            offsetY: transform.offsetY + Math.round(minY) - minY
+        };
+    }
+
+    /**
+     * Quarter turns and flips without skew map pixels one-to-one, so they never need smoothing
+     */
+    static isAxisAligned(transform) {
+        const quarter = transform.angle / 90;
+        return Math.abs(quarter - Math.round(quarter)) < 1e-6 &&
+               transform.skewX === 0 && transform.skewY === 0;
+    }
+
+    /**
+     * Scale2x (EPX) upscale of a codes array
+     * Pixels outside the buffer count as EMPTY so selection edges are smoothed too.
+     */
+    static scale2x(codes, width, height) {
+        const out = new Uint8Array(width * height * 4);
+        const outWidth = width * 2;
+        const at = (x, y) => (x < 0 || x >= width || y < 0 || y >= height) ? this.CODE.EMPTY : codes[y * width + x];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const e = codes[y * width + x];
+                const b = at(x, y - 1);
+                const d = at(x - 1, y);
+                const f = at(x + 1, y);
+                const h = at(x, y + 1);
+                const index = (y * 2) * outWidth + x * 2;
+
+                if (b !== h && d !== f) {
+                    out[index] = d === b ? d : e;
+                    out[index + 1] = b === f ? f : e;
+                    out[index + outWidth] = d === h ? d : e;
+                    out[index + outWidth + 1] = h === f ? f : e;
+                } else {
+                    out[index] = e;
+                    out[index + 1] = e;
+                    out[index + outWidth] = e;
+                    out[index + outWidth + 1] = e;
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Source codes for RotSprite sampling, cached on the buffer since it never changes while transforming
+     */
+    static getRotSpriteSource(buffer) {
+        if (!buffer.rotSpriteCodes) {
+            let codes = buffer.codes;
+            let width = buffer.width;
+            let height = buffer.height;
+            for (let factor = 1; factor < this.ROTSPRITE_FACTOR; factor *= 2) {
+                codes = this.scale2x(codes, width, height);
+                width *= 2;
+                height *= 2;
+            }
+            buffer.rotSpriteCodes = codes;
+        }
+        return buffer.rotSpriteCodes;
+    }
+
+    /**
+     * Resample a selection buffer through a transform.
+     * RotSprite-style resampling upscales with Scale2x before nearest-neighbor sampling,
+     * which keeps rotated and skewed 1-bit lines connected. Axis-aligned transforms always
+     * use plain nearest-neighbor so they stay exact.
+     * @param {Object} buffer - Selection buffer {x, y, width, height, codes}
+     * @param {Object} transform - See createIdentity()
+     * @param {string} method - 'rotsprite' or 'nearest'
+     * @param {{width: number, height: number}|null} clip - Canvas size to clip the result to
+     * @returns {Object} Transformed selection buffer in canvas coordinates
+     */
+    static apply(buffer, transform, method = 'rotsprite', clip = null) {
+        const inverse = this.invertMatrix(this.getMatrix(transform));
+        // Round away floating point noise such as cos(90°) so exact edges stay exact
+        const corners = this.getCorners(buffer, transform).map(p => ({
+            x: Math.round(p.x * 1e6) / 1e6,
+            y: Math.round(p.y * 1e6) / 1e6
+        }));
+
+        // Pixels whose centers can fall inside the transformed box
+        let minX = Math.floor(Math.min(...corners.map(p => p.x)));
+        let minY = Math.floor(Math.min(...corners.map(p => p.y)));
+        let maxX = Math.ceil(Math.max(...corners.map(p => p.x))) - 1;
+        let maxY = Math.ceil(Math.max(...corners.map(p => p.y))) - 1;
+        if (clip) {
+            minX = Math.max(0, minX);
+            minY = Math.max(0, minY);
+            maxX = Math.min(clip.width - 1, maxX);
+            maxY = Math.min(clip.height - 1, maxY);
+        }
+
+        const width = Math.max(0, maxX - minX + 1);
+        const height = Math.max(0, maxY - minY + 1);
+        const result = { x: minX, y: minY, width, height, codes: new Uint8Array(width * height) };
+        if (!inverse || width === 0 || height === 0) return result;
+
+        const useRotSprite = method === 'rotsprite' && !this.isAxisAligned(transform);
+        const factor = useRotSprite ? this.ROTSPRITE_FACTOR : 1;
+        const source = useRotSprite ? this.getRotSpriteSource(buffer) : buffer.codes;
+        const sourceWidth = buffer.width * factor;
+        const sourceHeight = buffer.height * factor;
+        const center = this.getCenter(buffer);
+        // Nudge samples that land exactly on a pixel edge to one side consistently
+        const EPSILON = 1e-6;
+
+        for (let y = 0; y < height; y++) {
+            const py = minY + y + 0.5 - center.y - transform.offsetY;
+            for (let x = 0; x < width; x++) {
+                const px = minX + x + 0.5 - center.x - transform.offsetX;
+                const u = (inverse.a * px + inverse.b * py + buffer.width / 2) * factor;
+                const v = (inverse.c * px + inverse.d * py + buffer.height / 2) * factor;
+                const sx = Math.floor(u + EPSILON);
+                const sy = Math.floor(v + EPSILON);
+
+                if (sx >= 0 && sx < sourceWidth && sy >= 0 && sy < sourceHeight) {
+                    result.codes[y * width + x] = source[sy * sourceWidth + sx];
+                }
+            }
+        }
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PixelTransform;
+} else {
+    window.PixelTransform = PixelTransform;
+}
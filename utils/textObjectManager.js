@@ -27,6 +27,7 @@ class TextObjectManager {
             x: x,
             y: y,
             font: options.font || TextRenderer.getCurrentFont(),
+            fallbackFonts: options.fallbackFonts || [],
             size: options.size || TextRenderer.getCurrentSize(),
             pattern: options.pattern || null,
             layer: options.layer || this.app.editor.getActiveLayerIndex(),
@@ -34,10 +35,12 @@ class TextObjectManager {
             locked: false,
             created: Date.now(),
             modified: Date.now(),
-            // Bounds for hit testing
-            bounds: this.calculateBounds(text, x, y, options.font, options.size)
+            bounds: null
         };
         
+        // Bounds for hit testing
+        textObject.bounds = this.calculateBounds(text, x, y, this.getFontChain(textObject), textObject.size);
+        
         this.textObjects.set(id, textObject);
         this.renderTextObject(textObject);
         this.updateTextObjectsList();
@@ -45,20 +48,36 @@ class TextObjectManager {
         return textObject;
     }
     
+    /**
+     * Font keys used to render a text object: its font followed by its fallback fonts
+     */
+    getFontChain(textObject) {
+        return [textObject.font, ...(textObject.fallbackFonts || [])];
+    }
+    
+    /**
+     * Characters in a text object that none of its fonts can render
+     */
+    getMissingCharacters(textObject) {
+        return TextRenderer.getMissingCharacters(textObject.text, this.getFontChain(textObject));
+    }
+    
     /**
      * Calculate text bounds for hit testing
      */
     calculateBounds(text, x, y, font, size) {
-        const width = TextRenderer.getTextWidth(text, font, size);
-        const height = TextRenderer.getTextHeight(font, size);
+        // Extents cover kerning, bearings that overhang the origin and glyphs below the cell
+        const extents = TextRenderer.getTextExtents(text, font, size);
+        const width = extents.right - extents.left;
+        const height = extents.bottom - extents.top;
         
         return {
-            x: x,
-            y: y,
+            x: x + extents.left,
+            y: y + extents.top,
             width: width,
             height: height,
-            right: x + width,
-            bottom: y + height
+            right: x + extents.right,
+            bottom: y + extents.bottom
         };
     }
     
@@ -78,7 +97,7 @@ class TextObjectManager {
             textObject.y,
             this.app.editor,
             textObject.pattern,
-            textObject.font,
+            this.getFontChain(textObject),
             textObject.size
         );
         
@@ -87,7 +106,7 @@ class TextObjectManager {
             textObject.text,
             textObject.x,
             textObject.y,
-            textObject.font,
+            this.getFontChain(textObject),
             textObject.size
         );
         
@@ -170,6 +189,7 @@ class TextObjectManager {
         const dialog = document.getElementById('text-creation-dialog');
         const textInput = document.getElementById('text-creation-input');
         const fontSelect = document.getElementById('text-creation-font');
+        const fallbackSelect = document.getElementById('text-creation-fallback-font');
         const sizeSelect = document.getElementById('text-creation-size');
         const titleElement = dialog.querySelector('.modal-header h3');
         const createBtn = document.getElementById('text-creation-create');
@@ -181,6 +201,8 @@ class TextObjectManager {
         // Populate current values
         textInput.value = textObject.text;
         fontSelect.value = textObject.font;
+        this.app.populateFallbackFontSelect();
+        fallbackSelect.value = (textObject.fallbackFonts || [])[0] || '';
         sizeSelect.value = textObject.size;
         
         // Show dialog
@@ -204,11 +226,13 @@ class TextObjectManager {
         
         const textInput = document.getElementById('text-creation-input');
         const fontSelect = document.getElementById('text-creation-font');
+        const fallbackSelect = document.getElementById('text-creation-fallback-font');
         const sizeSelect = document.getElementById('text-creation-size');
         
         // Update text object
         this.editingObject.text = textInput.value;
         this.editingObject.font = fontSelect.value;
+        this.editingObject.fallbackFonts = fallbackSelect.value ? [fallbackSelect.value] : [];
         this.editingObject.size = parseInt(sizeSelect.value);
         
         // Re-render
@@ -606,6 +630,12 @@ class TextObjectManager {
                     <button id="upload-custom-font-btn" title="Upload Custom Font">
                         <i class="ph ph-upload-simple"></i>
                     </button>
+                    <button id="rasterize-custom-font-btn" title="Create Font from TTF/OTF">
+                        <i class="ph ph-text-aa"></i>
+                    </button>
+                    <button id="new-custom-font-btn" title="Open Font Editor">
+                        <i class="ph ph-pencil-simple"></i>
+                    </button>
                     <button id="export-custom-fonts-btn" title="Export Custom Fonts">
                         <i class="ph ph-download"></i>
                     </button>
@@ -626,6 +656,14 @@ class TextObjectManager {
             this.app.customFontManager.showFontUploadDialog();
         });
         
+        document.getElementById('rasterize-custom-font-btn').addEventListener('click', () => {
+            this.app.customFontManager.showFontRasterizeDialog();
+        });
+        
+        document.getElementById('new-custom-font-btn').addEventListener('click', () => {
+            this.app.fontEditor.show();
+        });
+        
         document.getElementById('export-custom-fonts-btn').addEventListener('click', () => {
             this.app.customFontManager.exportCustomFonts();
         });
@@ -672,6 +710,9 @@ class TextObjectManager {
                     <button class="custom-font-btn" data-action="preview" title="Preview Font">
                         <i class="ph ph-eye"></i>
                     </button>
+                    <button class="custom-font-btn" data-action="edit" title="Edit Glyphs">
+                        <i class="ph ph-pencil-simple"></i>
+                    </button>
                     <button class="custom-font-btn" data-action="export" title="Export Font">
                         <i class="ph ph-download"></i>
                     </button>
@@ -696,6 +737,9 @@ class TextObjectManager {
                         case 'preview':
                             this.previewCustomFont(fontId);
                             break;
+                        case 'edit':
+                            this.app.fontEditor.show(fontId);
+                            break;
                         case 'export':
                             this.exportCustomFont(fontId);
                             break;
@@ -923,14 +967,21 @@ class TextObjectManager {
             return;
         }
         
-        listElement.innerHTML = textObjects.map(obj => `
+        listElement.innerHTML = textObjects.map(obj => {
+            const missing = this.getMissingCharacters(obj);
+            const missingIndicator = missing.length === 0 ? '' : `
+                        <span class="text-object-missing" title="Missing glyphs: ${this.escapeHtml(missing.join(' '))}">
+                            <i class="ph ph-warning"></i> ${missing.length}
+                        </span>`;
+            
+            return `
             <div class="text-object-item ${obj.id === this.selectedObject ? 'selected' : ''}" 
                  data-id="${obj.id}">
                 <div class="text-object-content">
                     <div class="text-object-text">"${this.truncateText(obj.text, 20)}"</div>
                     <div class="text-object-info">
                         ${obj.font.replace('bitmap-', '')} @ ${obj.size}× 
-                        (${obj.x}, ${obj.y})
+                        (${obj.x}, ${obj.y})${missingIndicator}
                     </div>
                 </div>
                 <div class="text-object-controls">
@@ -950,7 +1001,8 @@ class TextObjectManager {
                     </button>
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
         
         // Setup event listeners for text object items
         listElement.querySelectorAll('.text-object-item').forEach(item => {
@@ -992,8 +1044,10 @@ class TextObjectManager {
      * Truncate text for display
      */
     truncateText(text, maxLength) {
-        if (text.length <= maxLength) return text;
-        return text.substring(0, maxLength - 3) + '...';
+        // Count code points so surrogate pairs are never cut in half
+        const chars = Array.from(text);
+        if (chars.length <= maxLength) return text;
+        return chars.slice(0, maxLength - 3).join('') + '...';
     }
     
     /**
@@ -2,6 +2,7 @@ class TextRenderer {
     // Font configurations
     static currentFont = 'bitmap-5x7';
     static currentSize = 1;
+    static currentFallbackFonts = []; // Font keys tried in order for characters the current font lacks
     
     // Custom font manager
     static customFontManager = null;
@@ -1844,31 +1845,244 @@ class TextRenderer {
         }
     };
 
-    static renderText(text, x, y, bitmapEditor, pattern = null, fontType = null, size = null) {
-        const font = this.fonts[fontType || this.currentFont];
-        const scale = size || this.currentSize;
+    /**
+     * Find the bitmap for a character, falling back to its uppercase form
+     */
+    static getCharBitmap(font, char) {
+        let charBitmap = font.data[char];
         
-        if (!font) return;
+        // If character not found, try uppercase version (for backward compatibility)
+        if (!charBitmap && char.toLowerCase() !== char) {
+            charBitmap = font.data[char.toUpperCase()];
+        }
         
-        let currentX = x;
+        return charBitmap || null;
+    }
+
+    /**
+     * Resolve a font key, or an array of keys forming a fallback chain, to font objects.
+     * Returns an empty array when the primary font doesn't exist.
+     */
+    static getFontChain(fontType = null) {
+        const keys = Array.isArray(fontType) ? fontType : [fontType || this.currentFont];
+        if (!this.fonts[keys[0]]) return [];
         
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            let charBitmap = font.data[char];
-            
-            // If character not found, try uppercase version (for backward compatibility)
-            if (!charBitmap && char.toLowerCase() !== char) {
-                charBitmap = font.data[char.toUpperCase()];
+        const chain = [];
+        keys.forEach(key => {
+            const font = this.fonts[key];
+            if (font && !chain.includes(font)) {
+                chain.push(font);
             }
+        });
+        return chain;
+    }
+
+    /**
+     * Primary font of a font key or fallback chain
+     */
+    static getFont(fontType = null) {
+        return this.getFontChain(fontType)[0] || null;
+    }
+
+    /**
+     * Find the first font in the chain with a glyph for the character.
+     * Exact matches anywhere in the chain win over the uppercase fallback,
+     * so a fallback font with lowercase letters beats an uppercase-only primary.
+     * @returns {{font: Object, bitmap: Array}|null}
+     */
+    static resolveGlyph(fonts, char) {
+        for (const font of fonts) {
+            if (font.data[char]) return { font, bitmap: font.data[char] };
+        }
+        for (const font of fonts) {
+            const bitmap = this.getCharBitmap(font, char);
+            if (bitmap) return { font, bitmap };
+        }
+        return null;
+    }
+
+    /**
+     * Hollow box drawn for characters no font in the chain can render.
+     * It fills the font's cell above the baseline.
+     */
+    static getMissingGlyph(font) {
+        const width = Math.max(3, font.width - 1);
+        const height = Math.max(3, this.getFontBaseline(font));
+        return Array.from({ length: height }, (_, y) =>
+            Array.from({ length: width }, (_, x) =>
+                (y === 0 || y === height - 1 || x === 0 || x === width - 1) ? 1 : 0));
+    }
+
+    /**
+     * Characters of a text that no font in the chain has a glyph for
+     */
+    static getMissingCharacters(text, fontType = null) {
+        const fonts = this.getFontChain(fontType);
+        if (fonts.length === 0) return [];
+        
+        const missing = this.layoutText(text, fonts[0], 1, fonts.slice(1)).missing;
+        return Array.from(new Set(missing));
+    }
+
+    /**
+     * Normalize text so precomposed glyphs are found for combining sequences
+     * (e.g. Japanese dakuten typed as two code points)
+     */
+    static normalizeText(text) {
+        return typeof text.normalize === 'function' ? text.normalize('NFC') : text;
+    }
+
+    /**
+     * Rows of the cell above the baseline. Fonts without an explicit
+     * baseline sit on the bottom of the cell.
+     */
+    static getFontBaseline(font) {
+        return Number.isInteger(font.baseline) ? font.baseline : font.height;
+    }
+
+    /**
+     * Unscaled placement of one glyph.
+     * Fixed-cell fonts advance by width + spacing. Proportional fonts
+     * (font.proportional) advance by the glyph's ink width + spacing and
+     * drop its blank left columns. Entries in font.metrics[char]
+     * ({ advance, bearing, baseline }) override both.
+     * @returns {{bitmap: Array|null, advance: number, bearing: number, yOffset: number}}
+     *   bearing is the x offset of the bitmap from the pen; yOffset moves the
+     *   bitmap down so its own baseline row lines up with the font baseline
+     */
+    static getGlyphLayout(font, char) {
+        const bitmap = this.getCharBitmap(font, char);
+        const spacing = font.spacing || 0;
+        const metrics = (font.metrics && font.metrics[char]) || {};
+        let advance = font.width + spacing;
+        let bearing = 0;
+        
+        if (font.proportional && bitmap) {
+            let minCol = Infinity;
+            let maxCol = -1;
+            bitmap.forEach(row => row.forEach((pixel, col) => {
+                if (pixel === 1) {
+                    minCol = Math.min(minCol, col);
+                    maxCol = Math.max(maxCol, col);
+                }
+            }));
             
-            if (charBitmap) {
-                this.renderChar(charBitmap, currentX, y, bitmapEditor, pattern, scale);
-                currentX += (font.width + font.spacing) * scale;
+            if (maxCol >= 0) {
+                bearing = -minCol;
+                advance = maxCol - minCol + 1 + spacing;
             } else {
-                // Unknown character, render as space
-                currentX += (font.width + font.spacing) * scale;
+                // Blank glyphs such as space get half a cell
+                advance = Math.ceil(font.width / 2) + spacing;
+            }
+        }
+        
+        if (Number.isInteger(metrics.advance)) advance = metrics.advance;
+        if (Number.isInteger(metrics.bearing)) bearing = metrics.bearing;
+        const yOffset = Number.isInteger(metrics.baseline) ? this.getFontBaseline(font) - metrics.baseline : 0;
+        
+        return { bitmap, advance, bearing, yOffset };
+    }
+
+    /**
+     * Kerning adjustment in pixels between two characters (font.kerning['AV'] = -1)
+     */
+    static getKerning(font, left, right) {
+        if (!font.kerning || left === null) return 0;
+        return font.kerning[left + right] || 0;
+    }
+
+    /**
+     * Lay out a single line of text at the given scale.
+     * Text is iterated by code point, so characters outside the BMP
+     * (surrogate pairs) are looked up as one glyph. Characters missing from
+     * the font are taken from the first fallback font that has them, with
+     * its baseline aligned to the primary font's; characters missing from
+     * every font are drawn as a hollow box.
+     * @param {Array<Object>} fallbacks - Fonts tried in order after the primary font
+     * @returns {{glyphs: Array<{char, bitmap, x, y, missing?}>, missing: Array<string>, width: number, left: number, right: number, top: number, bottom: number}}
+     *   glyph x/y are offsets from the text origin; width is the pen advance
+     *   without trailing spacing; left/right/top/bottom are the ink and cell
+     *   extents relative to the origin (left/top may be negative)
+     */
+    static layoutText(text, font, scale = 1, fallbacks = []) {
+        const fonts = [font, ...fallbacks];
+        const baseline = this.getFontBaseline(font);
+        const glyphs = [];
+        const missing = [];
+        let penX = 0;
+        let previous = null;
+        let previousFont = null;
+        let left = 0;
+        let right = 0;
+        let top = 0;
+        let bottom = font.height * scale;
+        
+        for (const char of this.normalizeText(text)) {
+            const resolved = this.resolveGlyph(fonts, char);
+            const glyphFont = resolved ? resolved.font : font;
+            
+            // Kerning pairs only apply between glyphs of the same font
+            if (glyphFont === previousFont) {
+                penX += this.getKerning(glyphFont, previous, char) * scale;
+            }
+            
+            const layout = this.getGlyphLayout(glyphFont, char);
+            let bitmap = layout.bitmap;
+            let yOffset = layout.yOffset + baseline - this.getFontBaseline(glyphFont);
+            
+            // Whitespace and control characters advance like a space without a box
+            const isMissing = !bitmap && !/[\s\p{C}]/u.test(char);
+            if (isMissing) {
+                bitmap = this.getMissingGlyph(font);
+                yOffset = baseline - bitmap.length;
+                missing.push(char);
             }
+            
+            if (bitmap) {
+                const x = penX + layout.bearing * scale;
+                const y = yOffset * scale;
+                const width = (bitmap[0] ? bitmap[0].length : 0) * scale;
+                glyphs.push(isMissing ? { char, bitmap, x, y, missing: true } : { char, bitmap, x, y });
+                
+                left = Math.min(left, x);
+                right = Math.max(right, x + width);
+                top = Math.min(top, y);
+                bottom = Math.max(bottom, y + bitmap.length * scale);
+            }
+            
+            penX += layout.advance * scale;
+            previous = char;
+            previousFont = glyphFont;
         }
+        
+        const trailingSpacing = previousFont ? (previousFont.spacing || 0) * scale : 0;
+        const width = Math.max(0, penX - trailingSpacing);
+        return { glyphs, missing, width, left, right: Math.max(right, width), top, bottom };
+    }
+
+    /**
+     * Lay out a line for a font key or fallback chain of keys
+     */
+    static layoutTextForFont(text, fontType = null, size = null) {
+        const [font, ...fallbacks] = this.getFontChain(fontType);
+        if (!font) return null;
+        
+        return this.layoutText(text, font, size || this.currentSize, fallbacks);
+    }
+
+    /**
+     * Render a line of text.
+     * @param {string|Array<string>} fontType - Font key, or keys of a fallback chain
+     */
+    static renderText(text, x, y, bitmapEditor, pattern = null, fontType = null, size = null) {
+        const scale = size || this.currentSize;
+        const layout = this.layoutTextForFont(text, fontType, scale);
+        
+        if (!layout) return;
+        
+        layout.glyphs.forEach(glyph => {
+            this.renderChar(glyph.bitmap, x + glyph.x, y + glyph.y, bitmapEditor, pattern, scale);
+        });
     }
 
     static renderChar(charBitmap, x, y, bitmapEditor, pattern = null, scale = 1) {
@@ -1894,16 +2108,28 @@ class TextRenderer {
     }
 
     static getTextWidth(text, fontType = null, size = null) {
-        const font = this.fonts[fontType || this.currentFont];
-        const scale = size || this.currentSize;
+        const layout = this.layoutTextForFont(text, fontType, size);
         
-        if (!font) return 0;
+        if (!layout) return 0;
         
-        return text.length * (font.width + font.spacing) * scale - (font.spacing * scale);
+        return layout.width;
+    }
+
+    /**
+     * Pixel extents of a single line relative to its origin, including
+     * negative bearings and glyphs that drop below the cell
+     */
+    static getTextExtents(text, fontType = null, size = null) {
+        const layout = this.layoutTextForFont(text, fontType, size);
+        
+        if (!layout) return { left: 0, right: 0, top: 0, bottom: 0 };
+        
+        const { left, right, top, bottom } = layout;
+        return { left, right, top, bottom };
     }
 
     static getTextHeight(fontType = null, size = null) {
-        const font = this.fonts[fontType || this.currentFont];
+        const font = this.getFont(fontType);
         const scale = size || this.currentSize;
         
         if (!font) return 0;
@@ -1921,6 +2147,21 @@ class TextRenderer {
         this.currentSize = Math.max(1, Math.min(4, size));
     }
 
+    static setCurrentFallbackFonts(fontTypes) {
+        this.currentFallbackFonts = fontTypes.filter(fontType => this.fonts[fontType]);
+    }
+
+    static getCurrentFallbackFonts() {
+        return this.currentFallbackFonts.slice();
+    }
+
+    /**
+     * Current font followed by its fallback fonts, as accepted by renderText
+     */
+    static getCurrentFontChain() {
+        return [this.currentFont, ...this.currentFallbackFonts];
+    }
+
     static getCurrentFont() {
         return this.currentFont;
     }
@@ -1972,10 +2213,10 @@ class TextRenderer {
 
         // Legacy single-line preview
         const ctx = canvas.getContext('2d');
-        const font = this.fonts[fontType || this.currentFont];
         const scale = size || this.currentSize;
+        const layout = this.layoutTextForFont(text, fontType, scale);
         
-        if (!font) return;
+        if (!layout) return;
         
         // Clear canvas
         ctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -1984,48 +2225,35 @@ class TextRenderer {
         ctx.imageSmoothingEnabled = false;
         
         // Create temporary bitmap editor for preview
-        const previewWidth = Math.min(canvas.width, this.getTextWidth(text, fontType, size) + 4);
-        const previewHeight = Math.min(canvas.height, this.getTextHeight(fontType, size) + 4);
+        const previewWidth = Math.min(canvas.width, layout.right - layout.left + 4);
+        const previewHeight = Math.min(canvas.height, layout.bottom - layout.top + 4);
         
         // Create bitmap data
         const pixels = new Array(previewHeight).fill(null).map(() => new Array(previewWidth).fill(0));
         
-        // Render text to bitmap
-        let currentX = 2; // 2px padding
-        const startY = 2; // 2px padding
+        // Render text to bitmap, shifted so overhanging glyphs stay inside the 2px padding
+        const startX = 2 - layout.left;
+        const startY = 2 - layout.top;
         
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            let charBitmap = font.data[char];
-            
-            // If character not found, try uppercase version (for backward compatibility)
-            if (!charBitmap && char.toLowerCase() !== char) {
-                charBitmap = font.data[char.toUpperCase()];
-            }
-            
-            if (charBitmap) {
-                // Render character to bitmap
-                for (let row = 0; row < charBitmap.length; row++) {
-                    for (let col = 0; col < charBitmap[row].length; col++) {
-                        if (charBitmap[row][col] === 1) {
-                            for (let sy = 0; sy < scale; sy++) {
-                                for (let sx = 0; sx < scale; sx++) {
-                                    const pixelX = currentX + (col * scale) + sx;
-                                    const pixelY = startY + (row * scale) + sy;
-                                    
-                                    if (pixelX < previewWidth && pixelY < previewHeight) {
-                                        pixels[pixelY][pixelX] = 1;
-                                    }
+        layout.glyphs.forEach(glyph => {
+            const charBitmap = glyph.bitmap;
+            for (let row = 0; row < charBitmap.length; row++) {
+                for (let col = 0; col < charBitmap[row].length; col++) {
+                    if (charBitmap[row][col] === 1) {
+                        for (let sy = 0; sy < scale; sy++) {
+                            for (let sx = 0; sx < scale; sx++) {
+                                const pixelX = startX + glyph.x + (col * scale) + sx;
+                                const pixelY = startY + glyph.y + (row * scale) + sy;
+                                
+                                if (pixelX >= 0 && pixelX < previewWidth && pixelY >= 0 && pixelY < previewHeight) {
+                                    pixels[pixelY][pixelX] = 1;
                                 }
                             }
                         }
                     }
                 }
-                currentX += (font.width + font.spacing) * scale;
-            } else {
-                currentX += (font.width + font.spacing) * scale;
             }
-        }
+        });
         
         // Render bitmap to canvas
         const imageData = ctx.createImageData(previewWidth, previewHeight);